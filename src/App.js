@@ -1,13 +1,16 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { AppTab } from '@/constants';
-import { syncGmailEmails } from '@/services';
-import { useJobApplications, useSettings } from '@/hooks';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { AppTab, StatusOrigin, ToolChannel } from '@/constants';
+import { syncGmailEmails, summarizeSyncChanges, toLinkedEmail, runTool } from '@/services';
+import { useJobApplications, useSettings, useFollowUps, useGmailSyncState, useConversations } from '@/hooks';
 import {
   Sidebar,
   AssistantView,
   JobDashboard,
+  OfferComparison,
   ResumeValidator,
-  SettingsView
+  SettingsView,
+  SyncReviewDrawer,
+  UndoToast
 } from '@/components';
 
 /**
@@ -79,6 +82,11 @@ function App() {
   const [activeTab, setActiveTab] = useState(AppTab.ASSISTANT);
   const [isSyncingGmail, setIsSyncingGmail] = useState(false);
   const [isOAuthCallback, setIsOAuthCallback] = useState(false);
+  const [syncReview, setSyncReview] = useState(null);
+  const [lastSyncBatch, setLastSyncBatch] = useState(null);
+  // Mirrors of the sync state for the assistant, whose tool handler outlives renders
+  const isSyncingRef = useRef(false);
+  const syncReviewRef = useRef(null);
 
   // Check if this is an OAuth callback
   useEffect(() => {
@@ -103,12 +111,49 @@ function App() {
     saveJobApplication,
     deleteJobApplication,
     updateJobStatus,
+    scheduleInterview,
+    recordOffer,
+    getStatusHistory,
+    getApplicationEmails,
     listJobs,
-    findJobByCompany,
-    clearAllJobs
+    revertChanges,
+    clearAllJobs,
+    batchChanges,
+    undo,
+    redo,
+    actionHistory,
+    isLoaded: areJobsLoaded
   } = useJobApplications();
 
-  const { settings, settingsRef, updateSettings } = useSettings();
+  const { settings, settingsRef, updateSettings, isLoaded: areSettingsLoaded } = useSettings();
+
+  const { syncStateRef, updateSyncState, resetSyncState, isLoaded: isSyncStateLoaded } = useGmailSyncState();
+  const conversations = useConversations();
+
+  // A disconnected (or different) account must start again from a full search
+  useEffect(() => {
+    if (areSettingsLoaded && !settings.isGmailConnected) resetSyncState();
+  }, [areSettingsLoaded, settings.isGmailConnected, resetSyncState]);
+
+  const { followUps, dismissFollowUp, getDueFollowUps } = useFollowUps(
+    applications,
+    settings.followUpRules
+  );
+
+  // Actions the assistant's tools run through (see the tool registry)
+  const jobActions = useMemo(() => ({
+    saveJobApplication,
+    deleteJobApplication,
+    updateJobStatus,
+    scheduleInterview,
+    recordOffer,
+    getStatusHistory,
+    getApplicationEmails,
+    listJobs,
+    getDueFollowUps,
+    undo,
+    applicationsRef
+  }), [saveJobApplication, deleteJobApplication, updateJobStatus, scheduleInterview, recordOffer, getStatusHistory, getApplicationEmails, listJobs, getDueFollowUps, undo, applicationsRef]);
 
   // OAuth success handler
   const handleOAuthSuccess = useCallback((accessToken) => {
@@ -129,13 +174,22 @@ function App() {
     setActiveTab(AppTab.SETTINGS);
   }, []);
 
+  useEffect(() => {
+    syncReviewRef.current = syncReview;
+  }, [syncReview]);
+
   // Gmail sync handler
   const handleSyncGmail = useCallback(async () => {
-    if (!settings.isGmailConnected || isSyncingGmail) return;
+    if (!settings.isGmailConnected || isSyncingRef.current) return;
+    isSyncingRef.current = true;
     setIsSyncingGmail(true);
 
     try {
-      const result = await syncGmailEmails(settingsRef.current, applicationsRef.current);
+      const result = await syncGmailEmails(
+        settingsRef.current,
+        applicationsRef.current,
+        syncStateRef.current
+      );
 
       // If token was refreshed, update settings
       if (result.newAccessToken) {
@@ -145,34 +199,161 @@ function App() {
         });
       }
 
-      // Execute tool calls returned by the sync process
-      for (const part of result.functionCalls) {
-        if (part.functionCall) {
-          const fc = part.functionCall;
-          if (fc.name === 'save_job_application') {
-            saveJobApplication(fc.args);
-          } else if (fc.name === 'update_job_status') {
-            updateJobStatus(fc.args.company, fc.args.status);
-          }
-        }
-      }
+      // Hold proposed changes for review instead of applying them
+      setSyncReview({
+        proposals: result.proposals,
+        syncState: result.syncState,
+        skippedCount: result.skippedCount || 0
+      });
     } catch (err) {
       console.error('Gmail sync failed', err);
       alert(err.message || 'Gmail sync failed. Please try again.');
     } finally {
+      isSyncingRef.current = false;
       setIsSyncingGmail(false);
     }
-  }, [settings.isGmailConnected, isSyncingGmail, settingsRef, saveJobApplication, updateJobStatus, applicationsRef, updateSettings]);
+  }, [settings.isGmailConnected, settingsRef, applicationsRef, updateSettings, syncStateRef]);
+
+  // Apply sync proposals as one undoable batch and advance the sync cursor
+  const applySyncChanges = useCallback((changes, syncState) => {
+    const before = applicationsRef.current;
+
+    batchChanges(`Applied ${changes.length} Gmail sync change${changes.length === 1 ? '' : 's'}`, () => {
+      for (const { name, args, email } of changes) {
+        runTool({ name, args }, {
+          channel: ToolChannel.GMAIL,
+          actions: jobActions,
+          settings: settingsRef.current,
+          origin: StatusOrigin.GMAIL,
+          linkedEmail: email ? toLinkedEmail(email) : null
+        });
+      }
+    });
+
+    updateSyncState(syncState);
+    if (changes.length > 0) {
+      setLastSyncBatch({ before, after: applicationsRef.current, count: changes.length });
+    }
+    return before;
+  }, [applicationsRef, batchChanges, jobActions, settingsRef, updateSyncState]);
+
+  // Apply the proposals the user accepted in the review drawer; the cursor advances only once the review is finished
+  const handleApplySyncReview = useCallback((accepted) => {
+    applySyncChanges(accepted, syncReview.syncState);
+    setSyncReview(null);
+  }, [applySyncChanges, syncReview]);
+
+  // Sync started by the assistant: the user asked for it, so changes are applied
+  // straight away (still undoable) and summarized for Astra to read back.
+  // A cancelled call applies nothing, leaving the emails for the next sync.
+  const handleAssistantSync = useCallback(async ({ signal } = {}) => {
+    const current = settingsRef.current;
+    if (!current.isGmailConnected) {
+      return { error: 'Gmail is not connected. Ask the user to connect it in Settings.' };
+    }
+    if (isSyncingRef.current) {
+      return { error: 'A Gmail sync is already running. Ask the user to try again in a moment.' };
+    }
+    if (syncReviewRef.current) {
+      return { error: 'Changes from the previous sync are still open in the review drawer. Ask the user to review them first.' };
+    }
+
+    isSyncingRef.current = true;
+    setIsSyncingGmail(true);
+    try {
+      const result = await syncGmailEmails(current, applicationsRef.current, syncStateRef.current, { signal });
+      if (result.newAccessToken) {
+        updateSettings({ ...settingsRef.current, gmailAccessToken: result.newAccessToken });
+      }
+
+      if (signal?.aborted) {
+        return { error: 'The Gmail sync was cancelled before any changes were applied.' };
+      }
+
+      const before = applySyncChanges(result.proposals, result.syncState);
+      return summarizeSyncChanges(result.proposals, before, result, current.timezone);
+    } catch (err) {
+      if (signal?.aborted) {
+        return { error: 'The Gmail sync was cancelled before any changes were applied.' };
+      }
+      console.error('Gmail sync failed', err);
+      return { error: err.message || 'Gmail sync failed. Please try again.' };
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncingGmail(false);
+    }
+  }, [settingsRef, applicationsRef, syncStateRef, updateSettings, applySyncChanges]);
+
+  const handleDiscardSyncReview = useCallback(() => {
+    updateSyncState(syncReview.syncState);
+    setSyncReview(null);
+  }, [updateSyncState, syncReview]);
+
+  const handleUndoSyncBatch = useCallback(() => {
+    if (!lastSyncBatch) return;
+    revertChanges(lastSyncBatch.before, lastSyncBatch.after, 'Undid Gmail sync');
+    setLastSyncBatch(null);
+  }, [lastSyncBatch, revertChanges]);
+
+  // Clearing the tracker also forgets which emails were processed, so a sync can rebuild it
+  const handleClearData = useCallback(() => {
+    clearAllJobs();
+    resetSyncState();
+  }, [clearAllJobs, resetSyncState]);
+
+  const handleDeleteMany = useCallback((ids) => {
+    batchChanges(`Deleted ${ids.length} application${ids.length === 1 ? '' : 's'}`, () => {
+      ids.forEach((id) => deleteJobApplication(id));
+    });
+  }, [batchChanges, deleteJobApplication]);
+
+  const handleImportRecords = useCallback((records) => {
+    batchChanges(`Imported ${records.length} application${records.length === 1 ? '' : 's'}`, () => {
+      records.forEach((record) => saveJobApplication(record, StatusOrigin.IMPORT));
+    });
+  }, [batchChanges, saveJobApplication]);
+
+  // Ctrl/Cmd+Z undoes the last tracker change, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes it.
+  // Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Remember the tracker layout choice across sessions
+  const handleLayoutChange = useCallback((trackerLayout) => {
+    updateSettings({ ...settingsRef.current, trackerLayout });
+  }, [updateSettings, settingsRef]);
+
+  // Offer weights are a user preference, like the layout
+  const handleOfferWeightsChange = useCallback((offerWeights) => {
+    updateSettings({ ...settingsRef.current, offerWeights });
+  }, [updateSettings, settingsRef]);
 
   // Job action handlers for assistant view
-  const jobActions = {
-    saveJobApplication,
-    deleteJobApplication,
-    updateJobStatus,
-    listJobs,
-    findJobByCompany,
-    applicationsRef
-  };
+  // Saved data loads asynchronously; wait so nothing is edited before it arrives
+  if (!areJobsLoaded || !areSettingsLoaded || !conversations.isLoaded || !isSyncStateLoaded) {
+    return (
+      <div className="flex h-screen bg-gray-950 text-gray-100 items-center justify-center">
+        <div className="w-10 h-10 border-3 border-violet-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
 
   // Show OAuth callback handler if processing OAuth
   if (isOAuthCallback) {
@@ -191,18 +372,40 @@ function App() {
 
         {/* Tab Content */}
         {activeTab === AppTab.ASSISTANT && (
-          <AssistantView settingsRef={settingsRef} jobActions={jobActions} onSyncGmail={handleSyncGmail} />
+          <AssistantView
+            settingsRef={settingsRef}
+            jobActions={jobActions}
+            conversations={conversations}
+            onSyncGmail={handleAssistantSync}
+          />
         )}
 
         {activeTab === AppTab.DASHBOARD && (
           <JobDashboard
             applications={applications}
             onDelete={deleteJobApplication}
+            onDeleteMany={handleDeleteMany}
             onSave={saveJobApplication}
             isGmailConnected={settings.isGmailConnected}
             onSyncGmail={handleSyncGmail}
             isSyncing={isSyncingGmail}
             timezone={settings.timezone}
+            layout={settings.trackerLayout}
+            onLayoutChange={handleLayoutChange}
+            followUps={followUps}
+            onDismissFollowUp={dismissFollowUp}
+            lastSyncBatch={lastSyncBatch}
+            onUndoSync={handleUndoSyncBatch}
+            onDismissSyncBatch={() => setLastSyncBatch(null)}
+          />
+        )}
+
+        {activeTab === AppTab.OFFERS && (
+          <OfferComparison
+            applications={applications}
+            settings={settings}
+            onSaveOffer={(id, offer) => recordOffer(id, offer, StatusOrigin.MANUAL)}
+            onWeightsChange={handleOfferWeightsChange}
           />
         )}
 
@@ -212,10 +415,29 @@ function App() {
           <SettingsView
             settings={settings}
             onUpdate={updateSettings}
-            onClearData={clearAllJobs}
+            onClearData={handleClearData}
+            applications={applications}
+            onImport={handleImportRecords}
           />
         )}
       </main>
+
+      <SyncReviewDrawer
+        proposals={syncReview?.proposals || null}
+        skippedCount={syncReview?.skippedCount || 0}
+        applications={applications}
+        timezone={settings.timezone}
+        onApply={handleApplySyncReview}
+        onDiscard={handleDiscardSyncReview}
+      />
+
+      <UndoToast
+        event={actionHistory.lastEvent}
+        undoLabel={actionHistory.undoLabel}
+        redoLabel={actionHistory.redoLabel}
+        onUndo={undo}
+        onRedo={redo}
+      />
     </div>
   );
 }
@@ -1,103 +1,212 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import {
   Mic,
   MicOff,
   Sparkles,
   AlertCircle,
-  X,
   Send,
+  Square,
+  History,
+  SquarePen,
+  Download,
   Loader2
 } from 'lucide-react';
-import { AssistantState } from '@/constants';
-import { sendTextMessage } from '@/services';
-import { useVoiceSession } from '@/hooks';
+import { AssistantState, StatusOrigin, ToolChannel, ToolApproval } from '@/constants';
+import {
+  sendTextMessage,
+  runTool,
+  getTool,
+  getToolApproval,
+  describeToolCall,
+  getConversationTitle,
+  conversationToMarkdown,
+  conversationFileName,
+  toChatContents,
+  downloadFile
+} from '@/services';
+import { useVoiceSession, useToolConfirmations } from '@/hooks';
 import Waveform from './Waveform';
 import TranscriptionLog from './TranscriptionLog';
+import ConversationHistory from './ConversationHistory';
+import ToolConfirmationCard from './ToolConfirmationCard';
+
+/**
+ * Tells whether two tool calls would do the same thing (same tool, same application)
+ * @param {Object} a - Function call ({ name, args })
+ * @param {Object} b - Function call ({ name, args })
+ * @returns {boolean} - True if they match
+ */
+function isSameCall(a, b) {
+  return a.name === b.name && (a.args?.id ?? null) === (b.args?.id ?? null);
+}
+
+/**
+ * Reduces a tool result to text: structured results carry a summary or an error
+ * @param {*} result - Tool result
+ * @returns {string} - Result text ('' if there is none)
+ */
+function toResultText(result) {
+  if (typeof result === 'string') return result;
+  return result?.summary || result?.error || '';
+}
 
 /**
  * Main assistant interaction view with voice and text chat
  * @param {Object} props - Component props
  * @param {Object} props.settingsRef - Reference to current settings
  * @param {Object} props.jobActions - Job management action functions
+ * @param {Object} props.conversations - Saved conversations (see useConversations)
+ * @param {Function} props.onSyncGmail - Runs a Gmail sync ({ signal }), applies it and resolves to a summary of the changes
  */
-function AssistantView({ settingsRef, jobActions }) {
-  const [messages, setMessages] = useState([]);
+function AssistantView({ settingsRef, jobActions, conversations, onSyncGmail }) {
   const [textInput, setTextInput] = useState('');
   const [isTextThinking, setIsTextThinking] = useState(false);
+  // Reply being streamed in: { text, tools: [{ id, name, status }] }
+  const [streamingReply, setStreamingReply] = useState(null);
+  const abortControllerRef = useRef(null);
   const [error, setError] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
 
   const {
-    saveJobApplication,
-    deleteJobApplication,
-    updateJobStatus,
-    listJobs,
-    findJobByCompany
-  } = jobActions;
-
-  // Handle tool calls from voice or text
-  const handleToolCall = useCallback(
-    (fc) => {
-      let result = '';
-      if (fc.name === 'save_job_application') {
-        result = saveJobApplication(fc.args);
-      } else if (fc.name === 'list_job_applications') {
-        result = listJobs();
-      } else if (fc.name === 'update_job_status') {
-        result = updateJobStatus(fc.args.company, fc.args.status);
-      } else if (fc.name === 'delete_job_application') {
-        const job = findJobByCompany(fc.args.company);
-        result = job
-          ? deleteJobApplication(job.id)
-          : `Could not find a job for ${fc.args.company}.`;
-      }
-      return result;
-    },
-    [saveJobApplication, deleteJobApplication, updateJobStatus, listJobs, findJobByCompany]
+    conversations: savedConversations,
+    activeConversation,
+    appendMessage,
+    selectConversation,
+    startNewConversation,
+    deleteConversation
+  } = conversations;
+  const messages = activeConversation?.messages || [];
+
+  const { getDueFollowUps } = jobActions;
+
+  const { confirmations, requestConfirmation, resolveConfirmation, dismissConfirmations, findConfirmation } = useToolConfirmations();
+  // Set once the voice session exists, so decisions made on screen can be reported to it
+  const sendVoiceTextRef = useRef(null);
+
+  // Runs a tool call through the tool registry; resolves to the function
+  // response. The signal aborts when the call is cancelled or times out.
+  const executeTool = useCallback(
+    (channel, call, signal) => runTool(call, {
+      channel,
+      actions: jobActions,
+      settings: settingsRef.current,
+      origin: StatusOrigin.ASSISTANT,
+      syncGmail: onSyncGmail,
+      signal
+    }),
+    [jobActions, settingsRef, onSyncGmail]
   );
 
+  // Returns the registry entry of a call that must wait for the user's go-ahead
+  const getGatedTool = useCallback((name) => {
+    const tool = getTool(name);
+    return tool && getToolApproval(tool, settingsRef.current.toolApprovals) === ToolApproval.CONFIRM ? tool : null;
+  }, [settingsRef]);
+
+  // Voice answers a gated call straight away so Astra can ask out loud, and
+  // runs it when the call comes again with "confirmed". A decision made on the
+  // card instead is passed on to the session.
+  const handleVoiceToolCall = useCallback((fc, { signal } = {}) => {
+    const { confirmed, ...args } = fc.args || {};
+    const call = { name: fc.name, args };
+    const tool = getGatedTool(fc.name);
+    if (!tool) return executeTool(ToolChannel.VOICE, call, signal);
+
+    const open = findConfirmation((c) => c.channel === ToolChannel.VOICE && isSameCall(c.call, call));
+    if (open && typeof confirmed === 'boolean') {
+      resolveConfirmation(open.id, null);
+      return confirmed ? executeTool(ToolChannel.VOICE, call, signal) : 'Cancelled; nothing was changed.';
+    }
+
+    const summary = describeToolCall(call, jobActions.applicationsRef.current);
+    if (!open) {
+      requestConfirmation({ call, channel: ToolChannel.VOICE, summary, permission: tool.permission }).then((approved) => {
+        if (approved === null) return;
+        if (!approved) {
+          sendVoiceTextRef.current?.(`I cancelled "${summary}" on screen, so nothing was changed.`);
+          return;
+        }
+        Promise.resolve()
+          .then(() => executeTool(ToolChannel.VOICE, call))
+          .then(toResultText, (err) => err.message)
+          .then((result) => sendVoiceTextRef.current?.(`I confirmed "${summary}" on screen. Result: ${result}`));
+      });
+    }
+    return {
+      confirmationRequired: true,
+      message: `Nothing has been done yet. Ask the user: "${summary}?" and wait for their answer.`
+    };
+  }, [getGatedTool, executeTool, findConfirmation, resolveConfirmation, requestConfirmation, jobActions]);
+
+  // Text holds a gated call until the user answers the card; stopping the reply declines it
+  const handleTextToolCall = useCallback(async (fc, { signal } = {}) => {
+    const tool = getGatedTool(fc.name);
+    if (tool) {
+      const summary = describeToolCall(fc, jobActions.applicationsRef.current);
+      const approved = await requestConfirmation({ call: fc, channel: ToolChannel.TEXT, summary, permission: tool.permission }, signal);
+      if (!approved) return `The user declined "${summary}", so nothing was changed.`;
+    }
+    return executeTool(ToolChannel.TEXT, fc, signal);
+  }, [getGatedTool, executeTool, requestConfirmation, jobActions]);
+
   // Handle voice messages
   const handleVoiceMessage = useCallback((userText, assistantText) => {
     if (userText) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now().toString() + '-user',
-          role: 'user',
-          text: userText,
-          timestamp: Date.now()
-        }
-      ]);
+      appendMessage({
+        id: Date.now().toString() + '-user',
+        role: 'user',
+        text: userText,
+        timestamp: Date.now(),
+        channel: 'voice'
+      });
     }
     if (assistantText) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now().toString() + '-assistant',
-          role: 'assistant',
-          text: assistantText,
-          timestamp: Date.now()
-        }
-      ]);
+      appendMessage({
+        id: Date.now().toString() + '-assistant',
+        role: 'assistant',
+        text: assistantText,
+        timestamp: Date.now(),
+        channel: 'voice'
+      });
     }
-  }, []);
+  }, [appendMessage]);
 
   // Handle errors
   const handleError = useCallback((errorMessage) => {
     setError(errorMessage);
   }, []);
 
+  // Due follow-ups are handed to each new voice session so Astra can raise them
+  const getSessionContext = useCallback(
+    () => ({ followUps: getDueFollowUps() }),
+    [getDueFollowUps]
+  );
+
   // Initialize voice session hook
-  const { state, analyser, startSession, stopSession } = useVoiceSession({
+  const { state, analyser, pendingTools, startSession, stopSession, sendText } = useVoiceSession({
     settingsRef,
     onMessage: handleVoiceMessage,
-    onToolCall: handleToolCall,
-    onError: handleError
+    onToolCall: handleVoiceToolCall,
+    onError: handleError,
+    getSessionContext
   });
+  React.useEffect(() => {
+    sendVoiceTextRef.current = sendText;
+  }, [sendText]);
+
+  // Voice cards are only good for the session that asked; dismiss them when it
+  // stops, closes or drops so a leftover card can't run the action later
+  React.useEffect(() => {
+    if (state === AssistantState.IDLE || state === AssistantState.ERROR) {
+      dismissConfirmations(ToolChannel.VOICE);
+    }
+  }, [state, dismissConfirmations]);
 
   // Cleanup on unmount - ensure session is stopped when navigating away
   React.useEffect(() => {
     return () => {
       stopSession();
+      abortControllerRef.current?.abort();
     };
   }, [stopSession]);
 
@@ -109,47 +218,80 @@ function AssistantView({ settingsRef, jobActions }) {
     const userMsg = textInput.trim();
     setTextInput('');
     setIsTextThinking(true);
+    setStreamingReply({ text: '', tools: [] });
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
-    const newUserMessage = {
+    const userMessage = {
       id: Date.now().toString() + '-user',
       role: 'user',
       text: userMsg,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      channel: 'text'
     };
-    setMessages((prev) => [...prev, newUserMessage]);
+    // Earlier turns (including their tool calls and results) give follow-ups their context
+    const history = toChatContents([...messages, userMessage]);
+    appendMessage(userMessage);
 
     try {
-      const response = await sendTextMessage(userMsg, settingsRef.current);
-      let assistantText = response.text || '';
-
-      // Process function calls
-      for (const part of response.functionCalls) {
-        if (part.functionCall) {
-          const result = handleToolCall(part.functionCall);
-          if (!assistantText) {
-            assistantText = result;
-          } else {
-            assistantText += `\n\n[Action: ${result}]`;
-          }
+      let tools = [];
+      const { text, turn, toolResults, stopped } = await sendTextMessage(history, settingsRef.current, {
+        onToolCall: handleTextToolCall,
+        signal: controller.signal,
+        onText: (partial) => setStreamingReply((prev) => ({ ...prev, text: partial })),
+        // Tools run one at a time, so 'done' always belongs to the last one started
+        onToolProgress: ({ name, status }) => {
+          tools = status === 'running'
+            ? [...tools, { name, status }]
+            : tools.map((t, i) => (i === tools.length - 1 ? { ...t, status } : t));
+          setStreamingReply((prev) => ({ ...prev, tools }));
         }
-      }
+      });
 
-      setMessages((prev) => [
-        ...prev,
-        {
+      // The model normally sums up what it did; fall back to the raw results if it didn't
+      const reply = text || toolResults.map(toResultText).filter(Boolean).join('\n\n');
+      if (reply || tools.length > 0) {
+        appendMessage({
           id: Date.now().toString() + '-assistant',
           role: 'assistant',
-          text: assistantText,
-          timestamp: Date.now()
-        }
-      ]);
+          text: stopped ? `${reply}${reply ? ' ' : ''}_(stopped)_` : reply,
+          timestamp: Date.now(),
+          channel: 'text',
+          tools,
+          contents: turn
+        });
+      }
     } catch (err) {
       setError('Text service unavailable. Check your connection.');
     } finally {
+      abortControllerRef.current = null;
+      setStreamingReply(null);
       setIsTextThinking(false);
     }
   };
 
+  const handleStopText = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      conversationToMarkdown(activeConversation, settingsRef.current.timezone),
+      'text/markdown',
+      conversationFileName(activeConversation)
+    );
+  };
+
+  const handleSelectConversation = (id) => {
+    selectConversation(id);
+    setShowHistory(false);
+  };
+
+  const handleNewConversation = () => {
+    startNewConversation();
+    setShowHistory(false);
+  };
+
   const settings = settingsRef.current;
 
   return (
@@ -205,6 +347,21 @@ function AssistantView({ settingsRef, jobActions }) {
             {error && <span className="text-red-400/80">{error}</span>}
           </p>
 
+          {/* Voice tool calls still running */}
+          {pendingTools.length > 0 && (
+            <div className="mt-3 flex flex-wrap justify-center gap-1.5" aria-live="polite">
+              {pendingTools.map(({ id, name }) => (
+                <span
+                  key={id}
+                  className="flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-violet-500/10 border border-violet-500/20 text-xs text-violet-300"
+                >
+                  <Loader2 size={12} className="animate-spin" />
+                  Working on {name.replace(/_/g, ' ')}...
+                </span>
+              ))}
+            </div>
+          )}
+
           {/* Waveform Visualization */}
           <Waveform state={state} analyser={analyser} />
         </div>
@@ -232,6 +389,20 @@ function AssistantView({ settingsRef, jobActions }) {
             </div>
           </div>
 
+          {/* Assistant actions waiting for the user's go-ahead */}
+          {confirmations.length > 0 && (
+            <div className="space-y-2">
+              {confirmations.map((confirmation) => (
+                <ToolConfirmationCard
+                  key={confirmation.id}
+                  confirmation={confirmation}
+                  onApprove={(id) => resolveConfirmation(id, true)}
+                  onDecline={(id) => resolveConfirmation(id, false)}
+                />
+              ))}
+            </div>
+          )}
+
           {/* Text Chat Input */}
           <form onSubmit={handleSendText} className="relative group">
             <div className="absolute inset-0 bg-violet-500/5 rounded-2xl blur-xl group-focus-within:bg-violet-500/10 transition-all pointer-events-none" />
@@ -249,17 +420,24 @@ function AssistantView({ settingsRef, jobActions }) {
                 className="flex-1 bg-transparent border-none outline-none px-4 py-2 text-sm text-white placeholder-gray-500 resize-none min-h-[44px] max-h-32"
                 rows={1}
               />
-              <button
-                type="submit"
-                disabled={!textInput.trim() || isTextThinking}
-                className="p-3 bg-violet-600 hover:bg-violet-500 disabled:bg-gray-800 disabled:text-gray-600 rounded-xl transition-all active:scale-90 text-white"
-              >
-                {isTextThinking ? (
-                  <Loader2 size={18} className="animate-spin" />
-                ) : (
+              {isTextThinking ? (
+                <button
+                  type="button"
+                  onClick={handleStopText}
+                  title="Stop"
+                  className="p-3 bg-gray-700 hover:bg-gray-600 rounded-xl transition-all active:scale-90 text-white"
+                >
+                  <Square size={18} fill="currentColor" />
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!textInput.trim()}
+                  className="p-3 bg-violet-600 hover:bg-violet-500 disabled:bg-gray-800 disabled:text-gray-600 rounded-xl transition-all active:scale-90 text-white"
+                >
                   <Send size={18} />
-                )}
-              </button>
+                </button>
+              )}
             </div>
           </form>
         </div>
@@ -267,17 +445,52 @@ function AssistantView({ settingsRef, jobActions }) {
 
       {/* Sidebar Log */}
       <aside className="w-full md:w-96 glass border-l border-white/5 flex flex-col h-1/2 md:h-full">
-        <div className="p-4 border-b border-white/5 flex items-center justify-between">
-          <h3 className="font-medium text-gray-300">Activity Log</h3>
-          <button
-            onClick={() => setMessages([])}
-            className="p-1.5 hover:bg-white/5 rounded text-gray-500"
-          >
-            <X size={16} />
-          </button>
+        <div className="p-4 border-b border-white/5 flex items-center justify-between gap-2">
+          <h3 className="font-medium text-gray-300 truncate">
+            {showHistory ? 'Conversations' : activeConversation ? getConversationTitle(activeConversation) : 'New conversation'}
+          </h3>
+          <div className="flex items-center gap-1 flex-shrink-0">
+            <button
+              onClick={() => setShowHistory((prev) => !prev)}
+              aria-pressed={showHistory}
+              title="Past conversations"
+              className={`p-1.5 rounded transition-all ${showHistory ? 'bg-violet-600/20 text-violet-300' : 'hover:bg-white/5 text-gray-500'}`}
+            >
+              <History size={16} />
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={messages.length === 0}
+              title="Export as Markdown"
+              className="p-1.5 hover:bg-white/5 rounded text-gray-500 disabled:text-gray-700 disabled:hover:bg-transparent"
+            >
+              <Download size={16} />
+            </button>
+            <button
+              onClick={handleNewConversation}
+              title="New conversation"
+              className="p-1.5 hover:bg-white/5 rounded text-gray-500"
+            >
+              <SquarePen size={16} />
+            </button>
+          </div>
         </div>
         <div className="flex-1 p-4 overflow-hidden flex flex-col">
-          <TranscriptionLog messages={messages} />
+          {showHistory ? (
+            <ConversationHistory
+              conversations={savedConversations}
+              activeId={activeConversation?.id}
+              timezone={settings.timezone}
+              onSelect={handleSelectConversation}
+              onDelete={deleteConversation}
+            />
+          ) : (
+            <TranscriptionLog
+              messages={streamingReply
+                ? [...messages, { id: 'streaming', role: 'assistant', ...streamingReply, isStreaming: true }]
+                : messages}
+            />
+          )}
         </div>
       </aside>
     </section>
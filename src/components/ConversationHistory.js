@@ -0,0 +1,104 @@
+import { useState, useMemo } from 'react';
+import { Search, Trash2, MessageSquare, Mic } from 'lucide-react';
+import { searchConversations, getConversationTitle, formatInTimezone } from '@/services';
+
+/**
+ * Wraps each query word in a snippet with a highlight
+ * @param {Object} props - Component props
+ * @param {string} props.text - Snippet
+ * @param {string} props.query - Search text
+ */
+function Highlighted({ text, query }) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return text;
+
+  const pattern = new RegExp(`(${terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) =>
+    terms.includes(part.toLowerCase())
+      ? <mark key={i} className="bg-violet-500/30 text-violet-100 rounded px-0.5">{part}</mark>
+      : part
+  );
+}
+
+/**
+ * Searchable list of saved assistant conversations
+ * @param {Object} props - Component props
+ * @param {Array} props.conversations - Saved conversations
+ * @param {string} [props.activeId] - ID of the open conversation
+ * @param {string} [props.timezone] - Timezone used to display dates
+ * @param {Function} props.onSelect - Called with a conversation ID
+ * @param {Function} props.onDelete - Called with a conversation ID
+ */
+function ConversationHistory({ conversations, activeId, timezone, onSelect, onDelete }) {
+  const [query, setQuery] = useState('');
+
+  const results = useMemo(() => searchConversations(conversations, query), [conversations, query]);
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Delete "${getConversationTitle(conversation)}"?`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden">
+      <div className="relative mb-3">
+        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search conversations..."
+          autoFocus
+          className="w-full bg-white/5 border border-white/10 rounded-xl pl-9 pr-3 py-2 text-sm text-white outline-none focus:border-violet-500 transition-all"
+        />
+      </div>
+
+      {results.length === 0 ? (
+        <div className="flex-1 flex items-center justify-center text-gray-500 italic text-sm text-center px-4">
+          {query ? `No conversations mention "${query}".` : 'Past conversations will appear here.'}
+        </div>
+      ) : (
+        <ul className="flex-1 overflow-y-auto space-y-2 pr-2 custom-scrollbar">
+          {results.map(({ conversation, snippet, matchCount }) => {
+            const hasVoice = conversation.messages.some((m) => m.channel === 'voice');
+            return (
+              <li key={conversation.id} className="group relative">
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  className={`w-full text-left p-3 rounded-xl border transition-all ${conversation.id === activeId
+                    ? 'bg-violet-600/20 border-violet-500/30'
+                    : 'bg-white/5 border-white/5 hover:border-white/10'
+                    }`}
+                >
+                  <p className="text-sm font-medium text-gray-200 truncate pr-6 flex items-center gap-1.5">
+                    {hasVoice ? <Mic size={12} className="flex-shrink-0 text-violet-400" /> : <MessageSquare size={12} className="flex-shrink-0 text-gray-500" />}
+                    {getConversationTitle(conversation)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {formatInTimezone(conversation.updatedAt, timezone)} · {conversation.messages.length} messages
+                    {matchCount > 0 && ` · ${matchCount} match${matchCount === 1 ? '' : 'es'}`}
+                  </p>
+                  {snippet && (
+                    <p className="text-xs text-gray-400 mt-1 line-clamp-2">
+                      <Highlighted text={snippet} query={query} />
+                    </p>
+                  )}
+                </button>
+                <button
+                  onClick={() => handleDelete(conversation)}
+                  aria-label="Delete conversation"
+                  className="absolute top-2 right-2 p-1.5 text-gray-500 hover:text-red-400 hover:bg-red-400/10 rounded-lg transition-all md:opacity-0 md:group-hover:opacity-100"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ConversationHistory;
@@ -0,0 +1,240 @@
+import { useState, useMemo, useEffect } from 'react';
+import { X, Upload, CheckCircle, AlertCircle, RefreshCw, Plus, Minus } from 'lucide-react';
+import {
+  IMPORT_FIELDS,
+  parseImportFile,
+  guessColumnMapping,
+  mapImportRows,
+  buildImportPlan,
+  formatContacts
+} from '@/services';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Modal for previewing, mapping and merging an imported JSON/CSV file
+ * @param {Object} props - Component props
+ * @param {File} [props.file] - File selected for import (modal is hidden when null)
+ * @param {Array} props.applications - Current tracker applications
+ * @param {string} [props.timezone] - Timezone the imported dates and times are in
+ * @param {Function} props.onImport - Saves the accepted records as one batch
+ * @param {Function} props.onClose - Close handler
+ */
+function ImportModal({ file, applications, timezone, onImport, onClose }) {
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!file) return;
+    setParsed(null);
+    setResult(null);
+    setError(null);
+
+    file.text()
+      .then((text) => {
+        const table = parseImportFile(text, file.name);
+        setParsed(table);
+        setMapping(guessColumnMapping(table.columns));
+      })
+      .catch((err) => setError(err.message || 'Could not read this file.'));
+  }, [file]);
+
+  const mappedRows = useMemo(
+    () => (parsed ? mapImportRows(parsed.rows, mapping) : []),
+    [parsed, mapping]
+  );
+
+  const plan = useMemo(
+    () => buildImportPlan(mappedRows, applications, timezone),
+    [mappedRows, applications, timezone]
+  );
+
+  const handleMappingChange = (field, column) => {
+    setMapping((prev) => ({ ...prev, [field]: column }));
+  };
+
+  const handleImport = () => {
+    onImport([...plan.adds, ...plan.updates].map(({ record }) => record));
+    setResult({ added: plan.adds.length, updated: plan.updates.length });
+  };
+
+  if (!file) return null;
+
+  const rowLabel = (index) => `Row ${index + 1}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
+      <div className="glass w-full max-w-3xl max-h-[90vh] overflow-y-auto custom-scrollbar rounded-3xl p-8 border border-white/10 shadow-2xl animate-in zoom-in-95 duration-200">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-2xl font-bold text-white">Import Applications</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              {file.name}
+              {parsed && ` · ${parsed.format.toUpperCase()} · ${parsed.rows.length} rows`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/5 rounded-full text-gray-400"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-500/10 border border-red-500/20 rounded-2xl flex items-start gap-3">
+            <AlertCircle size={20} className="text-red-400 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-red-300">{error}</p>
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-6">
+            <div className="p-4 bg-green-500/10 border border-green-500/20 rounded-2xl flex items-center gap-3">
+              <CheckCircle size={20} className="text-green-400" />
+              <p className="text-sm text-green-300">
+                Imported {result.added} new and updated {result.updated} existing applications.
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="w-full py-3 px-4 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold transition-all"
+            >
+              Done
+            </button>
+          </div>
+        )}
+
+        {parsed && !result && (
+          <div className="space-y-6">
+            {/* Column Mapping */}
+            <div>
+              <h4 className="text-sm font-semibold text-gray-300 mb-3">Column Mapping</h4>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {IMPORT_FIELDS.map(({ key, label, required }) => (
+                  <div key={key} className="space-y-1.5">
+                    <label className="text-xs font-medium text-gray-400 ml-1">
+                      {label}{required && ' *'}
+                    </label>
+                    <select
+                      value={mapping[key] || ''}
+                      onChange={(e) => handleMappingChange(key, e.target.value)}
+                      className="w-full bg-white/5 border border-white/10 rounded-xl px-3 py-2 outline-none focus:border-violet-500 transition-all text-white text-sm appearance-none"
+                    >
+                      <option value="" className="bg-gray-900">— Not mapped —</option>
+                      {parsed.columns.map((col) => (
+                        <option key={col} value={col} className="bg-gray-900">
+                          {col}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Preview */}
+            <div>
+              <h4 className="text-sm font-semibold text-gray-300 mb-3">
+                Preview (first {Math.min(PREVIEW_ROWS, mappedRows.length)} rows)
+              </h4>
+              <div className="overflow-x-auto rounded-xl border border-white/10">
+                <table className="w-full text-xs text-left">
+                  <thead className="bg-white/5 text-gray-400">
+                    <tr>
+                      {IMPORT_FIELDS.map(({ key, label }) => (
+                        <th key={key} className="px-3 py-2 font-medium">{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mappedRows.slice(0, PREVIEW_ROWS).map(({ index, record, errors }) => (
+                      <tr key={index} className="border-t border-white/5 text-gray-200">
+                        {record ? (
+                          IMPORT_FIELDS.map(({ key }) => (
+                            <td key={key} className="px-3 py-2 truncate max-w-[140px]">
+                              {(Array.isArray(record[key]) ? formatContacts(record[key]) : record[key]) ||
+                                <span className="text-gray-600">—</span>}
+                            </td>
+                          ))
+                        ) : (
+                          <td colSpan={IMPORT_FIELDS.length} className="px-3 py-2 text-red-400">
+                            {errors.join('; ')}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Dry-run Report */}
+            <div>
+              <h4 className="text-sm font-semibold text-gray-300 mb-3">Dry Run</h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                <div className="p-3 bg-green-500/10 border border-green-500/20 rounded-xl">
+                  <p className="text-xs text-green-400 flex items-center gap-1"><Plus size={12} /> New</p>
+                  <p className="text-xl font-bold text-white">{plan.adds.length}</p>
+                </div>
+                <div className="p-3 bg-blue-500/10 border border-blue-500/20 rounded-xl">
+                  <p className="text-xs text-blue-400 flex items-center gap-1"><RefreshCw size={12} /> Updates</p>
+                  <p className="text-xl font-bold text-white">{plan.updates.length}</p>
+                </div>
+                <div className="p-3 bg-yellow-500/10 border border-yellow-500/20 rounded-xl">
+                  <p className="text-xs text-yellow-400 flex items-center gap-1"><AlertCircle size={12} /> Conflicts</p>
+                  <p className="text-xl font-bold text-white">{plan.conflicts.length}</p>
+                </div>
+                <div className="p-3 bg-white/5 border border-white/10 rounded-xl">
+                  <p className="text-xs text-gray-400 flex items-center gap-1"><Minus size={12} /> Skipped</p>
+                  <p className="text-xl font-bold text-white">{plan.unchanged.length + plan.invalid.length}</p>
+                </div>
+              </div>
+
+              <ul className="space-y-1.5 text-xs max-h-48 overflow-y-auto custom-scrollbar pr-2">
+                {plan.updates.map(({ index, record, changedFields }) => (
+                  <li key={`u-${index}`} className="text-blue-300">
+                    {rowLabel(index)}: update {record.role} at {record.company} ({changedFields.join(', ')})
+                  </li>
+                ))}
+                {plan.conflicts.map(({ index, record, reason }) => (
+                  <li key={`c-${index}`} className="text-yellow-300">
+                    {rowLabel(index)}: {record.role} at {record.company} — {reason} (will be skipped)
+                  </li>
+                ))}
+                {plan.invalid.map(({ index, errors }) => (
+                  <li key={`i-${index}`} className="text-red-400">
+                    {rowLabel(index)}: {errors.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="pt-2 flex gap-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 py-3 px-4 bg-white/5 hover:bg-white/10 text-white rounded-xl font-semibold transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={plan.adds.length + plan.updates.length === 0}
+                className="flex-1 py-3 px-4 bg-violet-600 hover:bg-violet-500 disabled:bg-gray-800 disabled:text-gray-600 text-white rounded-xl font-semibold transition-all shadow-lg shadow-violet-600/20 active:scale-[0.98] flex items-center justify-center gap-2"
+              >
+                <Upload size={16} />
+                Import {plan.adds.length + plan.updates.length} Applications
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportModal;
@@ -0,0 +1,154 @@
+import { Plus, Trash2, CalendarPlus } from 'lucide-react';
+import { InterviewType, InterviewOutcome } from '@/constants';
+import {
+  toInterviewRound,
+  buildInterviewIcs,
+  interviewIcsFileName,
+  downloadFile
+} from '@/services';
+
+const EMPTY_ROUND = {
+  id: null,
+  type: InterviewType.PHONE_SCREEN,
+  date: '',
+  time: '09:00',
+  durationMinutes: 60,
+  interviewer: '',
+  location: '',
+  prepNotes: '',
+  outcome: InterviewOutcome.PENDING
+};
+
+const INPUT_CLASS = 'w-full bg-white/5 border border-white/10 rounded-xl px-3 py-2 outline-none focus:border-violet-500 text-sm text-white';
+
+/**
+ * Editable list of interview rounds inside the application form
+ * @param {Object} props - Component props
+ * @param {Array} props.rows - Form rows (see toInterviewFormRows)
+ * @param {Function} props.onChange - Called with the updated rows
+ * @param {Object} props.job - Application the rounds belong to (company, role, jobUrl)
+ * @param {string} [props.timezone] - Timezone the dates and times are in
+ */
+function InterviewRoundsEditor({ rows, onChange, job, timezone }) {
+  const handleRowChange = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleDownload = (row) => {
+    const interview = toInterviewRound(row, timezone);
+    downloadFile(buildInterviewIcs(job, interview), 'text/calendar', interviewIcsFileName(job, interview));
+  };
+
+  return (
+    <div className="space-y-3">
+      {rows.map((row, index) => (
+        <div key={row.id || index} className="p-3 bg-white/5 border border-white/5 rounded-xl space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              aria-label="Round type"
+              value={row.type}
+              onChange={(e) => handleRowChange(index, 'type', e.target.value)}
+              className={`${INPUT_CLASS} appearance-none`}
+            >
+              {Object.values(InterviewType).map((type) => (
+                <option key={type} value={type} className="bg-gray-900">{type}</option>
+              ))}
+            </select>
+            <select
+              aria-label="Outcome"
+              value={row.outcome}
+              onChange={(e) => handleRowChange(index, 'outcome', e.target.value)}
+              className={`${INPUT_CLASS} appearance-none`}
+            >
+              {Object.values(InterviewOutcome).map((outcome) => (
+                <option key={outcome} value={outcome} className="bg-gray-900">{outcome}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="date"
+              aria-label="Interview date"
+              value={row.date}
+              onChange={(e) => handleRowChange(index, 'date', e.target.value)}
+              className={INPUT_CLASS}
+            />
+            <input
+              type="time"
+              aria-label={`Interview time (${timezone || 'UTC'})`}
+              value={row.time}
+              onChange={(e) => handleRowChange(index, 'time', e.target.value)}
+              className={INPUT_CLASS}
+            />
+            <input
+              type="number"
+              min="5"
+              step="5"
+              aria-label="Duration in minutes"
+              value={row.durationMinutes}
+              onChange={(e) => handleRowChange(index, 'durationMinutes', e.target.value)}
+              className={INPUT_CLASS}
+              placeholder="Minutes"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="text"
+              aria-label="Interviewer"
+              value={row.interviewer}
+              onChange={(e) => handleRowChange(index, 'interviewer', e.target.value)}
+              className={INPUT_CLASS}
+              placeholder="Interviewer"
+            />
+            <input
+              type="text"
+              aria-label="Location or meeting link"
+              value={row.location}
+              onChange={(e) => handleRowChange(index, 'location', e.target.value)}
+              className={INPUT_CLASS}
+              placeholder="Office or meeting link"
+            />
+          </div>
+          <textarea
+            aria-label="Prep notes"
+            rows={2}
+            value={row.prepNotes}
+            onChange={(e) => handleRowChange(index, 'prepNotes', e.target.value)}
+            className={`${INPUT_CLASS} resize-none`}
+            placeholder="Prep notes"
+          />
+          <div className="flex justify-end gap-1">
+            <button
+              type="button"
+              onClick={() => handleDownload(row)}
+              disabled={!row.date}
+              title="Download calendar file (.ics)"
+              className="flex items-center gap-1.5 px-2 py-1 text-xs text-gray-400 hover:text-violet-300 hover:bg-violet-400/10 disabled:text-gray-700 disabled:hover:bg-transparent rounded-lg transition-all"
+            >
+              <CalendarPlus size={14} />
+              .ics
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(rows.filter((_, i) => i !== index))}
+              aria-label="Remove round"
+              className="p-1.5 text-gray-500 hover:text-red-400 hover:bg-red-400/10 rounded-lg transition-all"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...rows, EMPTY_ROUND])}
+        className="flex items-center gap-1.5 text-sm text-violet-400 hover:text-violet-300 ml-1"
+      >
+        <Plus size={14} />
+        Add interview round
+      </button>
+    </div>
+  );
+}
+
+export default InterviewRoundsEditor;
@@ -0,0 +1,144 @@
+import { useState, useRef } from 'react';
+import { Edit2, GripVertical } from 'lucide-react';
+import { JobStatus } from '@/constants';
+import { getAppliedAt, formatInTimezone } from '@/services';
+import StatusIcon from './StatusIcon';
+
+const COLUMNS = Object.values(JobStatus);
+
+/**
+ * Kanban board with one column per job status
+ * Cards can be dragged between columns, or moved with the arrow keys when focused.
+ * @param {Object} props - Component props
+ * @param {Array} props.applications - Job applications to display
+ * @param {Function} props.onMove - Called with (job, newStatus) when a card changes column
+ * @param {Function} props.onEdit - Edit handler
+ * @param {string} [props.timezone] - Timezone used to display dates
+ */
+function JobBoard({ applications, onMove, onEdit, timezone }) {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const boardRef = useRef(null);
+
+  const moveJob = (job, status, keepFocus = false) => {
+    if (!status || job.status === status) return;
+    onMove(job, status);
+    setAnnouncement(`Moved ${job.role} at ${job.company} to ${status}.`);
+
+    // The card remounts in its new column, so hand focus back to it
+    if (keepFocus) {
+      requestAnimationFrame(() => {
+        boardRef.current?.querySelector(`[data-job-id="${job.id}"]`)?.focus();
+      });
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain');
+    const job = applications.find((j) => j.id === id);
+    if (job) moveJob(job, status);
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  const handleCardKeyDown = (e, job) => {
+    const index = COLUMNS.indexOf(job.status);
+    if (e.key === 'ArrowRight' && index < COLUMNS.length - 1) {
+      e.preventDefault();
+      moveJob(job, COLUMNS[index + 1], true);
+    } else if (e.key === 'ArrowLeft' && index > 0) {
+      e.preventDefault();
+      moveJob(job, COLUMNS[index - 1], true);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      onEdit(job);
+    }
+  };
+
+  return (
+    <div ref={boardRef} className="flex gap-4 overflow-x-auto pb-4 custom-scrollbar">
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+      {COLUMNS.map((status) => {
+        const jobs = applications.filter((j) => j.status === status);
+        return (
+          <section
+            key={status}
+            aria-label={`${status} (${jobs.length})`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropTarget(status);
+            }}
+            onDragLeave={() => setDropTarget((prev) => (prev === status ? null : prev))}
+            onDrop={(e) => handleDrop(e, status)}
+            className={`flex-1 min-w-[220px] rounded-2xl p-3 border transition-all ${dropTarget === status
+              ? 'bg-violet-500/10 border-violet-500/40'
+              : 'bg-white/[0.02] border-white/5'
+              }`}
+          >
+            <header className="flex items-center justify-between px-1 mb-3">
+              <div className="flex items-center gap-2 text-sm font-semibold text-gray-300">
+                <StatusIcon status={status} />
+                {status}
+              </div>
+              <span className="text-xs px-2 py-0.5 rounded-full bg-white/5 text-gray-400">
+                {jobs.length}
+              </span>
+            </header>
+
+            <ul className="space-y-2 min-h-[80px]">
+              {jobs.map((job) => (
+                <li
+                  key={job.id}
+                  data-job-id={job.id}
+                  draggable
+                  tabIndex={0}
+                  aria-label={`${job.role} at ${job.company}, ${status}. Use left and right arrow keys to change status, Enter to edit.`}
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', job.id);
+                    e.dataTransfer.effectAllowed = 'move';
+                    setDraggingId(job.id);
+                  }}
+                  onDragEnd={() => {
+                    setDraggingId(null);
+                    setDropTarget(null);
+                  }}
+                  onKeyDown={(e) => handleCardKeyDown(e, job)}
+                  className={`glass rounded-xl p-3 border border-white/5 hover:border-violet-500/30 focus:border-violet-500 focus:outline-none cursor-grab active:cursor-grabbing group transition-all ${draggingId === job.id ? 'opacity-40' : ''
+                    }`}
+                >
+                  <div className="flex items-start gap-2">
+                    <GripVertical size={14} className="text-gray-600 mt-0.5 flex-shrink-0" />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-semibold text-white truncate" title={job.role}>
+                        {job.role}
+                      </p>
+                      <p className="text-xs text-violet-300/80 truncate" title={job.company}>
+                        {job.company}
+                      </p>
+                      {getAppliedAt(job) && (
+                        <p className="text-[11px] text-gray-500 mt-1">
+                          {formatInTimezone(getAppliedAt(job), timezone, false)}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => onEdit(job)}
+                      tabIndex={-1}
+                      className="p-1 text-gray-500 hover:text-blue-400 rounded transition-all md:opacity-0 md:group-hover:opacity-100"
+                    >
+                      <Edit2 size={14} />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+export default JobBoard;
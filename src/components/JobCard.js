@@ -1,5 +1,7 @@
-import { Calendar, Link2, Trash2, Edit2 } from 'lucide-react';
+import { Calendar, CalendarClock, Link2, Trash2, Edit2, Banknote, MapPin, ExternalLink, Users, StickyNote } from 'lucide-react';
+import { getAppliedAt, formatInTimezone, formatSalaryRange, formatContacts, getUpcomingInterviews } from '@/services';
 import StatusIcon from './StatusIcon';
+import StatusTimeline from './StatusTimeline';
 
 /**
  * Displays a single job application card
@@ -7,6 +9,7 @@ import StatusIcon from './StatusIcon';
  * @param {Object} props.job - Job application data
  * @param {Function} props.onEdit - Edit handler
  * @param {Function} props.onDelete - Delete handler
+ * @param {string} [props.timezone] - Timezone used to display dates
  */
 function JobCard({ job, onEdit, onDelete, timezone }) {
   const getStatusStyle = (status) => {
@@ -22,27 +25,13 @@ function JobCard({ job, onEdit, onDelete, timezone }) {
     }
   };
 
-  const formatDateTime = (dateString, timeString) => {
-    if (!dateString) return 'Unknown date';
-    try {
-      const combined = timeString ? `${dateString}T${timeString}` : dateString;
-      const date = new Date(combined);
+  // appliedAt is a UTC instant; show it on the user's clock
+  const formatDateTime = (appliedAt) => formatInTimezone(appliedAt, timezone);
 
-      if (isNaN(date.getTime())) return dateString;
-
-      return new Intl.DateTimeFormat('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: 'numeric',
-        hour12: true,
-        timeZone: timezone || undefined
-      }).format(date);
-    } catch (e) {
-      return dateString;
-    }
-  };
+  const salary = formatSalaryRange(job);
+  const place = [job.location, job.workMode].filter(Boolean).join(' · ');
+  const contacts = job.contacts || [];
+  const [nextRound] = getUpcomingInterviews([job], { days: Infinity });
 
   return (
     <div className="glass rounded-2xl p-5 border border-white/5 hover:border-violet-500/30 transition-all group animate-in fade-in zoom-in-95 duration-300">
@@ -85,12 +74,61 @@ function JobCard({ job, onEdit, onDelete, timezone }) {
         </div>
         <div className="flex items-center gap-3 text-sm text-gray-400">
           <Calendar size={16} />
-          <span>Applied on {formatDateTime(job.dateApplied, job.timeApplied)}</span>
+          <span>Applied on {formatDateTime(getAppliedAt(job))}</span>
         </div>
+        {nextRound && (
+          <div className="flex items-center gap-3 text-sm text-yellow-400">
+            <CalendarClock size={16} className="flex-shrink-0" />
+            <span className="truncate">
+              {nextRound.interview.type} on {formatDateTime(nextRound.interview.scheduledAt)}
+            </span>
+          </div>
+        )}
         <div className="flex items-center gap-3 text-sm text-gray-400">
           <Link2 size={16} />
           <span className="truncate">via {job.source}</span>
+          {job.jobUrl && (
+            <a
+              href={job.jobUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="ml-auto flex items-center gap-1 text-violet-400 hover:text-violet-300 flex-shrink-0"
+            >
+              Posting <ExternalLink size={12} />
+            </a>
+          )}
         </div>
+        {salary && (
+          <div className="flex items-center gap-3 text-sm text-gray-400">
+            <Banknote size={16} />
+            <span>{salary}</span>
+          </div>
+        )}
+        {place && (
+          <div className="flex items-center gap-3 text-sm text-gray-400">
+            <MapPin size={16} />
+            <span className="truncate">{place}</span>
+          </div>
+        )}
+        {contacts.length > 0 && (
+          <div className="flex items-center gap-3 text-sm text-gray-400">
+            <Users size={16} className="flex-shrink-0" />
+            <span className="truncate" title={formatContacts(contacts)}>
+              {contacts.map((c) => c.name || c.email).join(', ')}
+            </span>
+          </div>
+        )}
+        {job.notes && (
+          <div className="flex items-start gap-3 text-sm text-gray-500">
+            <StickyNote size={16} className="flex-shrink-0 mt-0.5" />
+            <p className="line-clamp-2" title={job.notes}>{job.notes}</p>
+          </div>
+        )}
+        {job.statusHistory?.length > 1 && (
+          <div className="pt-3 border-t border-white/5">
+            <StatusTimeline history={job.statusHistory} timezone={timezone} compact />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,52 +1,87 @@
 import { useState } from 'react';
-import { Briefcase, Plus, RefreshCcw, Loader2, Search, Filter, Trash2, X } from 'lucide-react';
+import { TrackerLayout, WorkMode } from '@/constants';
+import { parseSalary, formatContacts } from '@/services';
+import { Briefcase, Plus, RefreshCcw, Loader2, Search, Filter, Trash2, X, BarChart3, LayoutGrid, Columns3, Undo2, MapPin, Home, Banknote } from 'lucide-react';
 import JobCard from './JobCard';
 import JobModal from './JobModal';
+import JobBoard from './JobBoard';
+import PipelineAnalytics from './PipelineAnalytics';
+import RemindersInbox from './RemindersInbox';
+import UpcomingInterviews from './UpcomingInterviews';
 
 /**
  * Job applications dashboard component
  * @param {Object} props - Component props
  * @param {Array} props.applications - Job applications array
  * @param {Function} props.onDelete - Delete handler
+ * @param {Function} props.onDeleteMany - Deletes several applications as one undoable action
  * @param {Function} props.onSave - Save handler
  * @param {boolean} props.isGmailConnected - Gmail connection status
  * @param {Function} props.onSyncGmail - Gmail sync handler
  * @param {boolean} props.isSyncing - Syncing state
+ * @param {string} [props.timezone] - Timezone used to display dates
+ * @param {string} [props.layout] - TrackerLayout value (grid or board)
+ * @param {Function} props.onLayoutChange - Layout toggle handler
+ * @param {Array} [props.followUps] - Due follow-up reminders
+ * @param {Function} props.onDismissFollowUp - Reminder dismiss handler
+ * @param {Object} [props.lastSyncBatch] - Most recently applied Gmail sync batch
+ * @param {Function} props.onUndoSync - Reverts the last sync batch
+ * @param {Function} props.onDismissSyncBatch - Hides the undo banner
  */
 function JobDashboard({
   applications,
   onDelete,
+  onDeleteMany,
   onSave,
   isGmailConnected,
   onSyncGmail,
   isSyncing,
-  timezone
+  timezone,
+  layout = TrackerLayout.GRID,
+  onLayoutChange,
+  followUps = [],
+  onDismissFollowUp,
+  lastSyncBatch,
+  onUndoSync,
+  onDismissSyncBatch
 }) {
   /* ... existing imports */
 
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingJob, setEditingJob] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
 
   // Search and Filter State
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCompany, setSelectedCompany] = useState('All');
   const [selectedRole, setSelectedRole] = useState('All');
   const [selectedStatus, setSelectedStatus] = useState('All');
+  const [selectedLocation, setSelectedLocation] = useState('All');
+  const [selectedWorkMode, setSelectedWorkMode] = useState('All');
+  const [minSalary, setMinSalary] = useState('');
 
   // Derived filters
   const companies = ['All', ...new Set(applications.map(job => job.company).filter(Boolean))].sort();
   const roles = ['All', ...new Set(applications.map(job => job.role).filter(Boolean))].sort();
   const statuses = ['All', ...new Set(applications.map(job => job.status).filter(Boolean))].sort();
+  const locations = ['All', ...new Set(applications.map(job => job.location).filter(Boolean))].sort();
+  const workModes = ['All', ...Object.values(WorkMode)];
+
+  // Salaries are compared as numbers regardless of currency
+  const salaryFloor = parseSalary(minSalary);
 
   const filteredApplications = applications.filter(job => {
-    const matchesSearch =
-      (job.company?.toLowerCase() || '').includes(searchTerm.toLowerCase()) ||
-      (job.role?.toLowerCase() || '').includes(searchTerm.toLowerCase());
+    const searchable = [job.company, job.role, job.location, job.notes, formatContacts(job.contacts)];
+    const matchesSearch = searchable.some(text => (text?.toLowerCase() || '').includes(searchTerm.toLowerCase()));
     const matchesCompany = selectedCompany === 'All' || job.company === selectedCompany;
     const matchesRole = selectedRole === 'All' || job.role === selectedRole;
     const matchesStatus = selectedStatus === 'All' || job.status === selectedStatus;
+    const matchesLocation = selectedLocation === 'All' || job.location === selectedLocation;
+    const matchesWorkMode = selectedWorkMode === 'All' || job.workMode === selectedWorkMode;
+    const matchesSalary = salaryFloor === null || (job.salaryMax ?? job.salaryMin ?? -1) >= salaryFloor;
 
-    return matchesSearch && matchesCompany && matchesRole && matchesStatus;
+    return matchesSearch && matchesCompany && matchesRole && matchesStatus &&
+      matchesLocation && matchesWorkMode && matchesSalary;
   });
 
   const handleOpenAddModal = () => {
@@ -64,10 +99,14 @@ function JobDashboard({
     setEditingJob(null);
   };
 
+  const handleMoveJob = (job, status) => {
+    onSave({ ...job, status });
+  };
+
   const handleRemoveRejected = () => {
     if (window.confirm('Are you sure you want to remove all rejected applications?')) {
       const rejectedJobs = applications.filter(job => job.status === 'Rejected');
-      rejectedJobs.forEach(job => onDelete(job.id));
+      onDeleteMany(rejectedJobs.map(job => job.id));
     }
   };
 
@@ -84,6 +123,43 @@ function JobDashboard({
             </p>
           </div>
           <div className="flex gap-3">
+            <RemindersInbox
+              followUps={followUps}
+              applications={applications}
+              onDismiss={onDismissFollowUp}
+              onSave={onSave}
+            />
+            <div className="flex bg-white/5 p-1 rounded-xl border border-white/10">
+              {[
+                { id: TrackerLayout.GRID, icon: LayoutGrid, label: 'Grid view' },
+                { id: TrackerLayout.BOARD, icon: Columns3, label: 'Board view' }
+              ].map(({ id, icon: Icon, label }) => (
+                <button
+                  key={id}
+                  onClick={() => onLayoutChange(id)}
+                  aria-pressed={layout === id}
+                  title={label}
+                  className={`px-3 rounded-lg transition-all ${layout === id
+                    ? 'bg-violet-600 text-white shadow-lg'
+                    : 'text-gray-500 hover:text-gray-300'
+                    }`}
+                >
+                  <Icon size={18} />
+                </button>
+              ))}
+            </div>
+            {applications.length > 0 && (
+              <button
+                onClick={() => setShowAnalytics((prev) => !prev)}
+                className={`flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold border transition-all active:scale-95 ${showAnalytics
+                  ? 'bg-violet-600/20 text-violet-300 border-violet-500/30'
+                  : 'bg-white/5 hover:bg-white/10 text-white border-white/10'
+                  }`}
+              >
+                <BarChart3 size={18} />
+                Analytics
+              </button>
+            )}
             {isGmailConnected && (
               <button
                 onClick={onSyncGmail}
@@ -108,6 +184,39 @@ function JobDashboard({
           </div>
         </header>
 
+        {lastSyncBatch && (
+          <div className="mb-6 p-4 glass rounded-2xl border border-violet-500/20 flex items-center justify-between gap-4 animate-in fade-in slide-in-from-top-2 duration-300">
+            <p className="text-sm text-gray-300">
+              Gmail sync applied {lastSyncBatch.count} change{lastSyncBatch.count === 1 ? '' : 's'}.
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={onUndoSync}
+                className="flex items-center gap-2 px-4 py-1.5 text-sm bg-violet-600 hover:bg-violet-500 text-white rounded-lg font-semibold transition-all"
+              >
+                <Undo2 size={14} />
+                Undo sync
+              </button>
+              <button
+                onClick={onDismissSyncBatch}
+                className="p-1.5 hover:bg-white/5 rounded text-gray-500"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <UpcomingInterviews
+          applications={applications}
+          onEdit={handleOpenEditModal}
+          timezone={timezone}
+        />
+
+        {showAnalytics && applications.length > 0 && (
+          <PipelineAnalytics applications={applications} />
+        )}
+
         {/* Search and Filters */}
         <div className="mb-8 space-y-4">
           <div className="flex flex-col md:flex-row gap-4">
@@ -115,7 +224,7 @@ function JobDashboard({
               <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
               <input
                 type="text"
-                placeholder="Search by company or role..."
+                placeholder="Search company, role, location, notes or contacts..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full bg-white/5 border border-white/10 rounded-xl py-2.5 pl-10 pr-4 text-white placeholder:text-gray-500 focus:outline-none focus:border-violet-500/50 transition-colors"
@@ -194,6 +303,66 @@ function JobDashboard({
                 </div>
               </div>
 
+              {/* Location Filter */}
+              {locations.length > 1 && (
+                <div className="relative min-w-[150px]">
+                  <div className="absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                    <MapPin size={16} />
+                  </div>
+                  <select
+                    value={selectedLocation}
+                    onChange={(e) => setSelectedLocation(e.target.value)}
+                    className="w-full appearance-none bg-white/5 border border-white/10 rounded-xl py-2.5 pl-10 pr-8 text-white focus:outline-none focus:border-violet-500/50 transition-colors cursor-pointer"
+                  >
+                    {locations.map(location => (
+                      <option key={location} value={location} className="bg-gray-900 text-white">
+                        {location === 'All' ? 'All Locations' : location}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                    <Filter size={14} />
+                  </div>
+                </div>
+              )}
+
+              {/* Work Mode Filter */}
+              <div className="relative min-w-[150px]">
+                <div className="absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                  <Home size={16} />
+                </div>
+                <select
+                  value={selectedWorkMode}
+                  onChange={(e) => setSelectedWorkMode(e.target.value)}
+                  className="w-full appearance-none bg-white/5 border border-white/10 rounded-xl py-2.5 pl-10 pr-8 text-white focus:outline-none focus:border-violet-500/50 transition-colors cursor-pointer"
+                >
+                  {workModes.map(mode => (
+                    <option key={mode} value={mode} className="bg-gray-900 text-white">
+                      {mode === 'All' ? 'Any Work Mode' : mode}
+                    </option>
+                  ))}
+                </select>
+                <div className="absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                  <Filter size={14} />
+                </div>
+              </div>
+
+              {/* Minimum Salary Filter */}
+              <div className="relative min-w-[140px]">
+                <div className="absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                  <Banknote size={16} />
+                </div>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  aria-label="Minimum salary"
+                  placeholder="Min salary"
+                  value={minSalary}
+                  onChange={(e) => setMinSalary(e.target.value)}
+                  className="w-full bg-white/5 border border-white/10 rounded-xl py-2.5 pl-10 pr-3 text-white placeholder:text-gray-500 focus:outline-none focus:border-violet-500/50 transition-colors"
+                />
+              </div>
+
               {/* Remove Rejected Button */}
               {applications.some(job => job.status === 'Rejected') && (
                 <button
@@ -231,6 +400,13 @@ function JobDashboard({
               Try adjusting your search or filters to find what you&apos;re looking for.
             </p>
           </div>
+        ) : layout === TrackerLayout.BOARD ? (
+          <JobBoard
+            applications={filteredApplications}
+            onMove={handleMoveJob}
+            onEdit={handleOpenEditModal}
+            timezone={timezone}
+          />
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {filteredApplications.map((job) => (
@@ -251,6 +427,7 @@ function JobDashboard({
         onClose={handleCloseModal}
         onSave={onSave}
         editingJob={editingJob}
+        timezone={timezone}
       />
     </div >
   );
@@ -1,6 +1,25 @@
 import { useState, useEffect } from 'react';
-import { X } from 'lucide-react';
-import { JobStatus } from '@/constants';
+import { X, Plus, Trash2 } from 'lucide-react';
+import { JobStatus, WorkMode, Currencies } from '@/constants';
+import { getAppliedAt, toZonedParts, fromZonedParts, toInterviewFormRows, fromInterviewFormRows } from '@/services';
+import StatusTimeline from './StatusTimeline';
+import InterviewRoundsEditor from './InterviewRoundsEditor';
+import LinkedEmails from './LinkedEmails';
+
+/** Form values for the optional details of a new application */
+const EMPTY_DETAILS = {
+  salaryMin: '',
+  salaryMax: '',
+  currency: 'USD',
+  location: '',
+  workMode: '',
+  jobUrl: '',
+  contacts: [],
+  notes: '',
+  interviews: []
+};
+
+const EMPTY_CONTACT = { name: '', title: '', email: '' };
 
 /**
  * Modal for adding/editing job applications
@@ -9,45 +28,76 @@ import { JobStatus } from '@/constants';
  * @param {Function} props.onClose - Close handler
  * @param {Function} props.onSave - Save handler
  * @param {Object} [props.editingJob] - Job being edited (null for new)
+ * @param {string} [props.timezone] - Timezone used to display and edit dates
  */
-function JobModal({ isOpen, onClose, onSave, editingJob }) {
+function JobModal({ isOpen, onClose, onSave, editingJob, timezone }) {
   const [formData, setFormData] = useState({
     company: '',
     role: '',
     source: '',
-    dateApplied: new Date().toISOString().split('T')[0],
-    timeApplied: new Date().toISOString().split('T')[1],
-    status: JobStatus.APPLIED
+    dateApplied: '',
+    timeApplied: '',
+    status: JobStatus.APPLIED,
+    ...EMPTY_DETAILS
   });
 
+  // The date and time inputs are wall-clock values in the user's timezone
   useEffect(() => {
     if (editingJob) {
+      const applied = toZonedParts(getAppliedAt(editingJob), timezone);
       setFormData({
         company: editingJob.company,
         role: editingJob.role,
         source: editingJob.source,
-        dateApplied: editingJob.dateApplied,
-        timeApplied: editingJob.timeApplied,
-        status: editingJob.status
+        dateApplied: applied.date,
+        timeApplied: applied.time,
+        status: editingJob.status,
+        salaryMin: editingJob.salaryMin ?? '',
+        salaryMax: editingJob.salaryMax ?? '',
+        currency: editingJob.currency || EMPTY_DETAILS.currency,
+        location: editingJob.location || '',
+        workMode: editingJob.workMode || '',
+        jobUrl: editingJob.jobUrl || '',
+        contacts: editingJob.contacts || [],
+        notes: editingJob.notes || '',
+        interviews: toInterviewFormRows(editingJob.interviews, timezone)
       });
     } else {
+      const now = toZonedParts(new Date().toISOString(), timezone);
       setFormData({
         company: '',
         role: '',
         source: '',
-        dateApplied: new Date().toISOString().split('T')[0],
-        timeApplied: new Date().toISOString().split('T')[1],
-        status: JobStatus.APPLIED
+        dateApplied: now.date,
+        timeApplied: now.time,
+        status: JobStatus.APPLIED,
+        ...EMPTY_DETAILS
       });
     }
-  }, [editingJob, isOpen]);
+  }, [editingJob, isOpen, timezone]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    const jobData = {
+      company: formData.company,
+      role: formData.role,
+      source: formData.source,
+      status: formData.status,
+      appliedAt: fromZonedParts(formData.dateApplied, formData.timeApplied, timezone),
+      salaryMin: formData.salaryMin,
+      salaryMax: formData.salaryMax,
+      currency: formData.currency,
+      location: formData.location,
+      workMode: formData.workMode,
+      jobUrl: formData.jobUrl,
+      contacts: formData.contacts,
+      notes: formData.notes,
+      interviews: fromInterviewFormRows(formData.interviews, timezone)
+    };
     if (editingJob) {
-      onSave({ ...formData, id: editingJob.id });
+      onSave({ ...jobData, id: editingJob.id });
     } else {
-      onSave(formData);
+      onSave(jobData);
     }
     onClose();
   };
@@ -57,11 +107,26 @@ function JobModal({ isOpen, onClose, onSave, editingJob }) {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  const handleContactChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      contacts: prev.contacts.map((c, i) => (i === index ? { ...c, [field]: value } : c))
+    }));
+  };
+
+  const handleAddContact = () => {
+    setFormData((prev) => ({ ...prev, contacts: [...prev.contacts, EMPTY_CONTACT] }));
+  };
+
+  const handleRemoveContact = (index) => {
+    setFormData((prev) => ({ ...prev, contacts: prev.contacts.filter((_, i) => i !== index) }));
+  };
+
   if (!isOpen) return null;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
-      <div className="glass w-full max-w-lg rounded-3xl p-8 border border-white/10 shadow-2xl animate-in zoom-in-95 duration-200">
+      <div className="glass w-full max-w-lg max-h-[90vh] overflow-y-auto custom-scrollbar rounded-3xl p-8 border border-white/10 shadow-2xl animate-in zoom-in-95 duration-200">
         <div className="flex items-center justify-between mb-8">
           <h3 className="text-2xl font-bold text-white">
             {editingJob ? 'Edit Application' : 'New Application'}
@@ -106,7 +171,7 @@ function JobModal({ isOpen, onClose, onSave, editingJob }) {
           </div>
 
           <div className="grid grid-cols-2 gap-4">
-            <div className="space-y-1.5">
+            <div className="col-span-2 space-y-1.5">
               <label className="text-sm font-medium text-gray-400 ml-1">
                 Source
               </label>
@@ -133,6 +198,18 @@ function JobModal({ isOpen, onClose, onSave, editingJob }) {
                 className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
               />
             </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Time Applied <span className="text-xs text-gray-600">({timezone || 'UTC'})</span>
+              </label>
+              <input
+                type="time"
+                name="timeApplied"
+                value={formData.timeApplied}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+              />
+            </div>
           </div>
 
           <div className="space-y-1.5">
@@ -163,6 +240,192 @@ function JobModal({ isOpen, onClose, onSave, editingJob }) {
             </select>
           </div>
 
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Salary From
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                name="salaryMin"
+                value={formData.salaryMin}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+                placeholder="e.g. 120k"
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Salary To
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                name="salaryMax"
+                value={formData.salaryMax}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+                placeholder="e.g. 150k"
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Currency
+              </label>
+              <select
+                name="currency"
+                value={formData.currency}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white appearance-none"
+              >
+                {Currencies.map((code) => (
+                  <option key={code} value={code} className="bg-gray-900">{code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Location
+              </label>
+              <input
+                type="text"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+                placeholder="e.g. Berlin"
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Work Mode
+              </label>
+              <select
+                name="workMode"
+                value={formData.workMode}
+                onChange={handleChange}
+                className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white appearance-none"
+              >
+                <option value="" className="bg-gray-900">Not specified</option>
+                {Object.values(WorkMode).map((mode) => (
+                  <option key={mode} value={mode} className="bg-gray-900">{mode}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <label className="text-sm font-medium text-gray-400 ml-1">
+              Job Posting URL
+            </label>
+            <input
+              type="url"
+              name="jobUrl"
+              value={formData.jobUrl}
+              onChange={handleChange}
+              className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+              placeholder="https://..."
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-400 ml-1">
+              Contacts
+            </label>
+            {formData.contacts.map((contact, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="text"
+                  aria-label="Contact name"
+                  value={contact.name}
+                  onChange={(e) => handleContactChange(index, 'name', e.target.value)}
+                  className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-xl px-3 py-2 outline-none focus:border-violet-500 text-sm text-white"
+                  placeholder="Name"
+                />
+                <input
+                  type="text"
+                  aria-label="Contact title"
+                  value={contact.title}
+                  onChange={(e) => handleContactChange(index, 'title', e.target.value)}
+                  className="w-28 bg-white/5 border border-white/10 rounded-xl px-3 py-2 outline-none focus:border-violet-500 text-sm text-white"
+                  placeholder="Recruiter"
+                />
+                <input
+                  type="email"
+                  aria-label="Contact email"
+                  value={contact.email}
+                  onChange={(e) => handleContactChange(index, 'email', e.target.value)}
+                  className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-xl px-3 py-2 outline-none focus:border-violet-500 text-sm text-white"
+                  placeholder="Email"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleRemoveContact(index)}
+                  aria-label="Remove contact"
+                  className="p-2 text-gray-500 hover:text-red-400 hover:bg-red-400/10 rounded-lg transition-all"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={handleAddContact}
+              className="flex items-center gap-1.5 text-sm text-violet-400 hover:text-violet-300 ml-1"
+            >
+              <Plus size={14} />
+              Add contact
+            </button>
+          </div>
+
+          <div className="space-y-1.5">
+            <label className="text-sm font-medium text-gray-400 ml-1">
+              Notes
+            </label>
+            <textarea
+              name="notes"
+              rows={3}
+              value={formData.notes}
+              onChange={handleChange}
+              className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white resize-none"
+              placeholder="Anything worth remembering about this application"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-400 ml-1">
+              Interview Rounds <span className="text-xs text-gray-600">({timezone || 'UTC'})</span>
+            </label>
+            <InterviewRoundsEditor
+              rows={formData.interviews}
+              onChange={(interviews) => setFormData((prev) => ({ ...prev, interviews }))}
+              job={formData}
+              timezone={timezone}
+            />
+          </div>
+
+          {editingJob && (
+            <div className="space-y-3">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Status History
+              </label>
+              <StatusTimeline history={editingJob.statusHistory} timezone={timezone} />
+            </div>
+          )}
+
+          {editingJob && (
+            <div className="space-y-3">
+              <label className="text-sm font-medium text-gray-400 ml-1">
+                Emails
+              </label>
+              <LinkedEmails emails={editingJob.emails} timezone={timezone} />
+            </div>
+          )}
+
           <div className="pt-4 flex gap-3">
             <button
               type="button"
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { Mail, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatInTimezone } from '@/services';
+
+/**
+ * List of Gmail messages linked to an application, newest first
+ * @param {Object} props - Component props
+ * @param {Array} [props.emails] - Linked emails ({ messageId, from, subject, snippet, body, receivedAt })
+ * @param {string} [props.timezone] - Timezone used to display when emails arrived
+ */
+function LinkedEmails({ emails = [], timezone }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (emails.length === 0) {
+    return (
+      <p className="text-xs text-gray-600 italic ml-1">
+        No emails linked yet. Emails are attached when Gmail sync updates this application.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {[...emails].reverse().map((email) => {
+        const isExpanded = expandedId === email.messageId;
+        return (
+          <li key={email.messageId} className="p-3 bg-white/5 rounded-xl text-xs space-y-1">
+            <button
+              type="button"
+              onClick={() => setExpandedId(isExpanded ? null : email.messageId)}
+              aria-expanded={isExpanded}
+              className="w-full text-left space-y-1"
+            >
+              <span className="flex items-center gap-1.5 text-gray-300">
+                <Mail size={12} className="text-red-400 flex-shrink-0" />
+                <span className="truncate flex-1">{email.from}</span>
+                {isExpanded ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+              </span>
+              <span className="block text-white font-medium">{email.subject}</span>
+              {email.receivedAt && (
+                <span className="block text-gray-600">{formatInTimezone(email.receivedAt, timezone)}</span>
+              )}
+            </button>
+            {isExpanded ? (
+              <pre className="whitespace-pre-wrap font-sans text-gray-400 max-h-64 overflow-y-auto custom-scrollbar">
+                {email.body || email.snippet}
+              </pre>
+            ) : (
+              <p className="text-gray-500 line-clamp-2">{email.snippet}</p>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default LinkedEmails;
@@ -0,0 +1,320 @@
+import { useState, useMemo } from 'react';
+import { Scale, Trophy, Edit2, Check, X, CalendarClock, SlidersHorizontal } from 'lucide-react';
+import { OfferCriteria, Currencies, DEFAULT_OFFER_WEIGHTS } from '@/constants';
+import { compareOffers, formatOfferAmount, formatInTimezone, DEFAULT_VESTING_YEARS } from '@/services';
+
+/** Form fields of an offer, in display order */
+const OFFER_FIELDS = [
+  { key: 'baseSalary', label: 'Base salary', placeholder: 'e.g. 180k' },
+  { key: 'bonus', label: 'Annual bonus', placeholder: 'e.g. 20k' },
+  { key: 'equity', label: 'Equity (total grant)', placeholder: 'e.g. 200k' },
+  { key: 'vestingYears', label: 'Vesting years', placeholder: String(DEFAULT_VESTING_YEARS) },
+  { key: 'signOnBonus', label: 'Sign-on bonus', placeholder: 'e.g. 25k' }
+];
+
+/** Criteria rated by hand on each offer */
+const RATED_CRITERIA = OfferCriteria.filter(({ key }) => key !== 'compensation');
+
+const INPUT_CLASS = 'w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 outline-none focus:border-violet-500 text-sm text-white';
+
+/**
+ * Builds form values from a saved offer
+ * @param {Object} job - Job application
+ * @returns {Object} - Form values
+ */
+function toDraft(job) {
+  const offer = job.offer || {};
+  return {
+    baseSalary: offer.baseSalary ?? job.salaryMax ?? job.salaryMin ?? '',
+    bonus: offer.bonus ?? '',
+    equity: offer.equity ?? '',
+    vestingYears: offer.vestingYears ?? '',
+    signOnBonus: offer.signOnBonus ?? '',
+    currency: offer.currency || job.currency || 'USD',
+    benefits: offer.benefits || '',
+    startDate: offer.startDate || '',
+    deadline: offer.deadline || '',
+    ratings: { ...offer.ratings }
+  };
+}
+
+/**
+ * Formats a YYYY-MM-DD date for display
+ * @param {string} date - Calendar date
+ * @returns {string} - e.g. "Nov 3, 2026"
+ */
+const formatDay = (date) => formatInTimezone(`${date}T12:00:00Z`, 'UTC', false);
+
+/**
+ * One offer column: totals, breakdown, scores and an inline editor
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Entry from compareOffers
+ * @param {number} props.rank - 1-based rank
+ * @param {Function} props.onSave - Called with (id, offer fields)
+ */
+function OfferCard({ entry, rank, onSave }) {
+  const { job, comp, scores, weightedScore, daysToDeadline } = entry;
+  const [draft, setDraft] = useState(null);
+  const offer = job.offer || {};
+  const money = (amount) => formatOfferAmount(amount, offer.currency || job.currency);
+
+  const handleSave = () => {
+    onSave(job.id, draft);
+    setDraft(null);
+  };
+
+  const setField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+  const setRating = (key, value) => setDraft((prev) => ({ ...prev, ratings: { ...prev.ratings, [key]: value } }));
+
+  return (
+    <div className={`glass rounded-2xl p-5 border transition-all ${rank === 1 && weightedScore !== null ? 'border-green-500/30' : 'border-white/5'}`}>
+      <div className="flex items-start justify-between gap-2 mb-4">
+        <div className="min-w-0">
+          <p className="text-xs font-semibold text-gray-500 flex items-center gap-1">
+            {rank === 1 && weightedScore !== null && <Trophy size={12} className="text-green-400" />}
+            #{rank}
+          </p>
+          <h3 className="text-lg font-bold text-white truncate" title={job.role}>{job.role}</h3>
+          <p className="text-violet-300/80 font-medium truncate">{job.company}</p>
+        </div>
+        <div className="text-right flex-shrink-0">
+          <p className="text-2xl font-bold text-white">{weightedScore ?? '–'}</p>
+          <p className="text-xs text-gray-500">score / 5</p>
+        </div>
+      </div>
+
+      {draft ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            {OFFER_FIELDS.map(({ key, label, placeholder }) => (
+              <label key={key} className="space-y-1 text-xs text-gray-400">
+                <span>{label}</span>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={draft[key]}
+                  onChange={(e) => setField(key, e.target.value)}
+                  className={INPUT_CLASS}
+                  placeholder={placeholder}
+                />
+              </label>
+            ))}
+            <label className="space-y-1 text-xs text-gray-400">
+              <span>Currency</span>
+              <select
+                value={draft.currency}
+                onChange={(e) => setField('currency', e.target.value)}
+                className={`${INPUT_CLASS} appearance-none`}
+              >
+                {Currencies.map((code) => (
+                  <option key={code} value={code} className="bg-gray-900">{code}</option>
+                ))}
+              </select>
+            </label>
+            <label className="space-y-1 text-xs text-gray-400">
+              <span>Start date</span>
+              <input type="date" value={draft.startDate} onChange={(e) => setField('startDate', e.target.value)} className={INPUT_CLASS} />
+            </label>
+            <label className="space-y-1 text-xs text-gray-400">
+              <span>Decision deadline</span>
+              <input type="date" value={draft.deadline} onChange={(e) => setField('deadline', e.target.value)} className={INPUT_CLASS} />
+            </label>
+          </div>
+          <label className="block space-y-1 text-xs text-gray-400">
+            <span>Benefits</span>
+            <textarea
+              rows={2}
+              value={draft.benefits}
+              onChange={(e) => setField('benefits', e.target.value)}
+              className={`${INPUT_CLASS} resize-none`}
+              placeholder="Health, 401k match, PTO, stipends..."
+            />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            {RATED_CRITERIA.map(({ key, label }) => (
+              <label key={key} className="space-y-1 text-xs text-gray-400">
+                <span>{label}</span>
+                <select
+                  value={draft.ratings[key] ?? ''}
+                  onChange={(e) => setRating(key, e.target.value)}
+                  className={`${INPUT_CLASS} appearance-none`}
+                >
+                  <option value="" className="bg-gray-900">Not rated</option>
+                  {[1, 2, 3, 4, 5].map((n) => (
+                    <option key={n} value={n} className="bg-gray-900">{n}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2 pt-1">
+            <button
+              onClick={() => setDraft(null)}
+              className="flex-1 flex items-center justify-center gap-1.5 py-2 text-sm bg-white/5 hover:bg-white/10 text-gray-300 rounded-lg font-semibold transition-all"
+            >
+              <X size={14} />
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="flex-1 flex items-center justify-center gap-1.5 py-2 text-sm bg-violet-600 hover:bg-violet-500 text-white rounded-lg font-semibold transition-all"
+            >
+              <Check size={14} />
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs text-gray-500">Annualized total comp</p>
+            <p className="text-xl font-bold text-green-400">{comp.total > 0 ? money(comp.total) : 'Not recorded'}</p>
+            {comp.total > 0 && (
+              <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-400">
+                <span>Base</span><span className="text-right">{money(comp.base)}</span>
+                <span>Bonus</span><span className="text-right">{money(comp.bonus)}</span>
+                <span>Equity / yr</span><span className="text-right">{money(comp.equityPerYear)}</span>
+                <span>Sign-on / yr</span><span className="text-right">{money(comp.signOnPerYear)}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-1 text-sm text-gray-400">
+            <p className="line-clamp-2" title={offer.benefits}>
+              <span className="text-gray-500">Benefits:</span> {offer.benefits || '–'}
+            </p>
+            <p><span className="text-gray-500">Start:</span> {offer.startDate ? formatDay(offer.startDate) : '–'}</p>
+            {offer.deadline && (
+              <p className={`flex items-center gap-1.5 ${daysToDeadline !== null && daysToDeadline <= 3 ? 'text-red-400' : ''}`}>
+                <CalendarClock size={14} />
+                Decide by {formatDay(offer.deadline)}
+                {' '}({daysToDeadline < 0 ? 'passed' : `${daysToDeadline} day${daysToDeadline === 1 ? '' : 's'} left`})
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-1.5">
+            {OfferCriteria.map(({ key, label }) => (
+              <div key={key} className="space-y-0.5">
+                <div className="flex justify-between text-xs">
+                  <span className="text-gray-400">{label}</span>
+                  <span className="text-gray-500">{scores[key] ?? 'Not rated'}</span>
+                </div>
+                <div className="h-1.5 bg-white/5 rounded-full overflow-hidden">
+                  <div
+                    className="h-full rounded-full bg-violet-500 transition-all duration-500"
+                    style={{ width: `${((scores[key] || 0) / 5) * 100}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <button
+            onClick={() => setDraft(toDraft(job))}
+            className="w-full flex items-center justify-center gap-1.5 py-2 text-sm bg-white/5 hover:bg-white/10 text-gray-300 rounded-lg font-semibold transition-all"
+          >
+            <Edit2 size={14} />
+            Edit offer
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Side-by-side comparison of applications at the Offer stage, scored by
+ * annualized compensation and the user's weighted priorities
+ * @param {Object} props - Component props
+ * @param {Array} props.applications - Job applications
+ * @param {Object} props.settings - User settings (offerWeights, targetRole, timezone)
+ * @param {Function} props.onSaveOffer - Called with (id, offer fields)
+ * @param {Function} props.onWeightsChange - Called with the updated criterion weights
+ */
+function OfferComparison({ applications, settings, onSaveOffer, onWeightsChange }) {
+  const [showWeights, setShowWeights] = useState(false);
+  const weights = settings.offerWeights || DEFAULT_OFFER_WEIGHTS;
+
+  const comparison = useMemo(
+    () => compareOffers(applications, weights, { timezone: settings.timezone }),
+    [applications, weights, settings.timezone]
+  );
+
+  const currencies = new Set(comparison.map(({ job }) => job.offer?.currency || job.currency || 'USD'));
+
+  return (
+    <div className="flex-1 p-6 overflow-y-auto custom-scrollbar">
+      <div className="max-w-6xl mx-auto pb-20">
+        <header className="mb-8 flex flex-col md:flex-row md:items-end justify-between gap-4">
+          <div>
+            <h2 className="text-3xl font-bold text-white mb-2">Offer Comparison</h2>
+            <p className="text-gray-400">
+              Weigh your offers side by side{settings.targetRole ? ` for your next ${settings.targetRole} role` : ''}.
+            </p>
+          </div>
+          <button
+            onClick={() => setShowWeights((prev) => !prev)}
+            className={`flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold border transition-all active:scale-95 ${showWeights
+              ? 'bg-violet-600/20 text-violet-300 border-violet-500/30'
+              : 'bg-white/5 hover:bg-white/10 text-white border-white/10'
+              }`}
+          >
+            <SlidersHorizontal size={18} />
+            Priorities
+          </button>
+        </header>
+
+        {showWeights && (
+          <div className="glass rounded-3xl p-6 border border-white/10 mb-8 space-y-4 animate-in fade-in duration-300">
+            <p className="text-sm text-gray-400">
+              How much does each criterion matter to you? 0 leaves it out of the score.
+            </p>
+            <div className="grid md:grid-cols-2 gap-x-8 gap-y-4">
+              {OfferCriteria.map(({ key, label }) => (
+                <label key={key} className="space-y-1">
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-300">{label}</span>
+                    <span className="text-violet-300 font-semibold">{weights[key] ?? DEFAULT_OFFER_WEIGHTS[key]}</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max="5"
+                    value={weights[key] ?? DEFAULT_OFFER_WEIGHTS[key]}
+                    onChange={(e) => onWeightsChange({ ...weights, [key]: Number(e.target.value) })}
+                    className="w-full accent-violet-500"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {currencies.size > 1 && (
+          <p className="mb-6 text-sm text-yellow-400/80">
+            Offers are in different currencies ({[...currencies].join(', ')}); compensation is only scored against offers in the same currency.
+          </p>
+        )}
+
+        {comparison.length === 0 ? (
+          <div className="glass rounded-3xl p-12 text-center border-dashed border-2 border-white/10">
+            <Scale size={48} className="mx-auto text-gray-600 mb-4" />
+            <h3 className="text-xl font-medium text-gray-300">No offers yet</h3>
+            <p className="text-gray-500 mt-2">
+              Applications you move to Offer show up here so you can compare pay, benefits and deadlines.
+            </p>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
+            {comparison.map((entry, index) => (
+              <OfferCard key={entry.job.id} entry={entry} rank={index + 1} onSave={onSaveOffer} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OfferComparison;
@@ -0,0 +1,189 @@
+import { useState, useMemo } from 'react';
+import { TrendingUp, MessageCircle, Clock, Ghost, CalendarRange } from 'lucide-react';
+import { computePipelineStats } from '@/services';
+
+const RANGE_PRESETS = [
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: 'All time', days: null }
+];
+
+/**
+ * Returns the YYYY-MM-DD date a number of days before today
+ * @param {number} days - Days to go back
+ * @returns {string} - ISO date
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+const pct = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Horizontal bar used by the funnel and source charts
+ * @param {Object} props - Component props
+ * @param {string} props.label - Row label
+ * @param {number} props.value - Fraction between 0 and 1 controlling bar width
+ * @param {string} props.caption - Text shown to the right of the bar
+ * @param {string} props.color - Tailwind background class for the bar
+ */
+function BarRow({ label, value, caption, color }) {
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-xs">
+        <span className="text-gray-300 truncate">{label}</span>
+        <span className="text-gray-500">{caption}</span>
+      </div>
+      <div className="h-2 bg-white/5 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-500 ${color}`}
+          style={{ width: `${Math.max(value * 100, value > 0 ? 2 : 0)}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Pipeline analytics panel with funnel, source, timing and volume charts
+ * @param {Object} props - Component props
+ * @param {Array} props.applications - Job applications array
+ */
+function PipelineAnalytics({ applications }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+
+  const stats = useMemo(
+    () => computePipelineStats(applications, range),
+    [applications, range]
+  );
+
+  const maxWeekly = Math.max(1, ...stats.weeklyVolume.map((w) => w.count));
+
+  const applyPreset = (days) => {
+    setRange(days ? { from: daysAgo(days), to: '' } : { from: '', to: '' });
+  };
+
+  return (
+    <div className="glass rounded-3xl p-6 border border-white/10 mb-8 space-y-6 animate-in fade-in duration-300">
+      {/* Date Range */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <h3 className="text-lg font-bold text-white flex items-center gap-2">
+          <TrendingUp size={20} className="text-violet-400" />
+          Pipeline Analytics
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {RANGE_PRESETS.map(({ label, days }) => (
+            <button
+              key={label}
+              onClick={() => applyPreset(days)}
+              className="px-3 py-1.5 text-xs rounded-lg bg-white/5 hover:bg-white/10 text-gray-300 border border-white/10 transition-all"
+            >
+              {label}
+            </button>
+          ))}
+          <div className="flex items-center gap-2 text-xs text-gray-400">
+            <CalendarRange size={14} />
+            <input
+              type="date"
+              value={range.from}
+              onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))}
+              className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white outline-none focus:border-violet-500"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={range.to}
+              onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))}
+              className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-white outline-none focus:border-violet-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      {stats.total === 0 ? (
+        <p className="text-sm text-gray-500 italic">No applications in this date range.</p>
+      ) : (
+        <>
+          {/* Headline Metrics */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div className="p-4 bg-white/5 border border-white/5 rounded-2xl">
+              <p className="text-xs text-gray-400">Applications</p>
+              <p className="text-2xl font-bold text-white">{stats.total}</p>
+            </div>
+            <div className="p-4 bg-white/5 border border-white/5 rounded-2xl">
+              <p className="text-xs text-gray-400 flex items-center gap-1"><MessageCircle size={12} /> Response rate</p>
+              <p className="text-2xl font-bold text-white">{pct(stats.responseRate)}</p>
+            </div>
+            <div className="p-4 bg-white/5 border border-white/5 rounded-2xl">
+              <p className="text-xs text-gray-400 flex items-center gap-1"><Clock size={12} /> Median days to reply</p>
+              <p className="text-2xl font-bold text-white">
+                {stats.medianDaysToResponse === null ? '—' : stats.medianDaysToResponse.toFixed(1)}
+              </p>
+            </div>
+            <div className="p-4 bg-white/5 border border-white/5 rounded-2xl">
+              <p className="text-xs text-gray-400 flex items-center gap-1"><Ghost size={12} /> Ghosting rate</p>
+              <p className="text-2xl font-bold text-white">{pct(stats.ghostingRate)}</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Funnel */}
+            <div className="space-y-3">
+              <h4 className="text-sm font-semibold text-gray-300">Funnel</h4>
+              <BarRow label="Applied" value={1} caption={`${stats.funnel.applied}`} color="bg-blue-500" />
+              <BarRow
+                label="Interviewing"
+                value={stats.funnel.appliedToInterview}
+                caption={`${stats.funnel.interviewing} · ${pct(stats.funnel.appliedToInterview)}`}
+                color="bg-yellow-500"
+              />
+              <BarRow
+                label="Offer"
+                value={stats.funnel.applied ? stats.funnel.offer / stats.funnel.applied : 0}
+                caption={`${stats.funnel.offer} · ${pct(stats.funnel.interviewToOffer)} of interviews`}
+                color="bg-green-500"
+              />
+            </div>
+
+            {/* Response Rate by Source */}
+            <div className="space-y-3">
+              <h4 className="text-sm font-semibold text-gray-300">Response Rate by Source</h4>
+              {stats.responseRateBySource.slice(0, 6).map((s) => (
+                <BarRow
+                  key={s.source}
+                  label={s.source}
+                  value={s.rate}
+                  caption={`${pct(s.rate)} of ${s.total}`}
+                  color="bg-violet-500"
+                />
+              ))}
+            </div>
+          </div>
+
+          {/* Weekly Volume */}
+          <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-gray-300">Weekly Applications</h4>
+            <div className="flex items-end gap-1 h-32">
+              {stats.weeklyVolume.map((w) => (
+                <div
+                  key={w.weekStart}
+                  className="flex-1 min-w-[6px] bg-violet-500/60 hover:bg-violet-400 rounded-t transition-all"
+                  style={{ height: `${(w.count / maxWeekly) * 100}%` }}
+                  title={`Week of ${w.weekStart}: ${w.count}`}
+                />
+              ))}
+            </div>
+            {stats.weeklyVolume.length > 0 && (
+              <div className="flex justify-between text-[10px] text-gray-500">
+                <span>{stats.weeklyVolume[0].weekStart}</span>
+                <span>{stats.weeklyVolume[stats.weeklyVolume.length - 1].weekStart}</span>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PipelineAnalytics;
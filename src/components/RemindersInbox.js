@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { Bell, Ghost, Mail, Heart, Check, X } from 'lucide-react';
+import { FollowUpType, JobStatus } from '@/constants';
+
+const TYPE_ICONS = {
+  [FollowUpType.FOLLOW_UP]: { icon: Mail, className: 'text-blue-400' },
+  [FollowUpType.SUGGEST_GHOSTED]: { icon: Ghost, className: 'text-gray-400' },
+  [FollowUpType.THANK_YOU]: { icon: Heart, className: 'text-pink-400' }
+};
+
+/**
+ * Bell button with a dropdown inbox of due follow-up reminders
+ * @param {Object} props - Component props
+ * @param {Array} props.followUps - Due reminders
+ * @param {Array} props.applications - Job applications (to resolve reminder targets)
+ * @param {Function} props.onDismiss - Dismiss handler (reminder id)
+ * @param {Function} props.onSave - Save handler, used to apply suggested status changes
+ */
+function RemindersInbox({ followUps, applications, onDismiss, onSave }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleMarkGhosted = (reminder) => {
+    const job = applications.find((j) => j.id === reminder.jobId);
+    if (job) onSave({ ...job, status: JobStatus.GHOSTED });
+    onDismiss(reminder.id);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-label={`Reminders (${followUps.length} due)`}
+        className="relative flex items-center justify-center h-full px-3.5 py-2.5 bg-white/5 hover:bg-white/10 text-white rounded-xl border border-white/10 transition-all active:scale-95"
+      >
+        <Bell size={18} />
+        {followUps.length > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 min-w-[20px] h-5 px-1 rounded-full bg-violet-600 text-[11px] font-bold flex items-center justify-center">
+            {followUps.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 md:w-96 z-40 glass bg-gray-950/95 rounded-2xl border border-white/10 shadow-2xl animate-in fade-in slide-in-from-top-2 duration-200">
+          <div className="p-4 border-b border-white/5 flex items-center justify-between">
+            <h4 className="font-semibold text-white">Reminders</h4>
+            <button
+              onClick={() => setIsOpen(false)}
+              className="p-1 hover:bg-white/5 rounded text-gray-500"
+            >
+              <X size={16} />
+            </button>
+          </div>
+
+          {followUps.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 text-center italic">
+              You&apos;re all caught up.
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto custom-scrollbar divide-y divide-white/5">
+              {followUps.map((reminder) => {
+                const { icon: Icon, className } = TYPE_ICONS[reminder.type] || TYPE_ICONS[FollowUpType.FOLLOW_UP];
+                return (
+                  <li key={reminder.id} className="p-4 flex gap-3">
+                    <Icon size={18} className={`${className} mt-0.5 flex-shrink-0`} />
+                    <div className="flex-1 min-w-0 space-y-2">
+                      <p className="text-sm text-gray-200">{reminder.message}</p>
+                      <div className="flex gap-2">
+                        {reminder.type === FollowUpType.SUGGEST_GHOSTED && (
+                          <button
+                            onClick={() => handleMarkGhosted(reminder)}
+                            className="px-3 py-1 text-xs rounded-lg bg-violet-600 hover:bg-violet-500 text-white transition-all"
+                          >
+                            Mark Ghosted
+                          </button>
+                        )}
+                        <button
+                          onClick={() => onDismiss(reminder.id)}
+                          className="px-3 py-1 text-xs rounded-lg bg-white/5 hover:bg-white/10 text-gray-300 flex items-center gap-1 transition-all"
+                        >
+                          <Check size={12} />
+                          {reminder.type === FollowUpType.SUGGEST_GHOSTED ? 'Keep waiting' : 'Done'}
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RemindersInbox;
@@ -1,9 +1,10 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import {
   User,
   Volume2,
   Trash2,
   Download,
+  Upload,
   RefreshCw,
   Mail,
   CheckCircle,
@@ -11,11 +12,22 @@ import {
   Eye,
   EyeOff,
   ExternalLink,
-  AlertCircle
+  AlertCircle,
+  BellRing,
+  ShieldCheck
 } from 'lucide-react';
-import { VoiceNames, ConcisenessLevels, STORAGE_KEYS, Timezones } from '@/constants';
-import { exchangeCodeForTokens } from '@/services/geminiService';
+import {
+  VoiceNames,
+  ConcisenessLevels,
+  Timezones,
+  DEFAULT_FOLLOW_UP_RULES,
+  DEFAULT_EMAIL_FILTERS,
+  ToolPermission,
+  ToolApproval
+} from '@/constants';
+import { exchangeCodeForTokens, applicationsToCSV, downloadFile, TOOL_REGISTRY, getToolApproval } from '@/services';
 import { Globe } from 'lucide-react';
+import ImportModal from './ImportModal';
 
 // Gmail OAuth Configuration
 const GMAIL_CLIENT_ID = '193744440236-au46mlea5ctjic4o3bt92pgk7klhtbdo.apps.googleusercontent.com'; // User needs to set this up in Google Cloud Console
@@ -28,9 +40,13 @@ const GMAIL_SCOPES = 'https://www.googleapis.com/auth/gmail.readonly';
  * @param {Object} props.settings - Current settings
  * @param {Function} props.onUpdate - Settings update handler
  * @param {Function} props.onClearData - Clear data handler
+ * @param {Array} props.applications - Current job applications (for import merging)
+ * @param {Function} props.onImport - Saves imported applications as one undoable batch
  */
-function SettingsView({ settings, onUpdate, onClearData }) {
+function SettingsView({ settings, onUpdate, onClearData, applications, onImport }) {
   const [showApiKey, setShowApiKey] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const importInputRef = useRef(null);
   const [apiKeyInput, setApiKeyInput] = useState(settings.geminiApiKey || import.meta.env.VITE_GEMINI_API_KEY || '');
   const [isConnectingGmail, setIsConnectingGmail] = useState(false);
 
@@ -137,15 +153,66 @@ function SettingsView({ settings, onUpdate, onClearData }) {
     });
   };
 
+  const exportFileName = (extension) => `astra-career-export-${new Date().toISOString().split('T')[0]}.${extension}`;
+
   const exportData = () => {
-    const data = localStorage.getItem(STORAGE_KEYS.JOBS);
-    if (!data) return;
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `astra-career-export-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
+    if (applications.length === 0) return;
+    downloadFile(JSON.stringify(applications, null, 2), 'application/json', exportFileName('json'));
+  };
+
+  // Spreadsheet export; dates and times are written in the user's timezone
+  const exportCsv = () => {
+    if (applications.length === 0) return;
+    downloadFile(applicationsToCSV(applications, settings.timezone), 'text/csv', exportFileName('csv'));
+  };
+
+  const followUpRules = { ...DEFAULT_FOLLOW_UP_RULES, ...settings.followUpRules };
+
+  const handleRuleChange = (name, value) => {
+    onUpdate({ ...settings, followUpRules: { ...followUpRules, [name]: value } });
+  };
+
+  const emailFilters = { ...DEFAULT_EMAIL_FILTERS, ...settings.emailFilters };
+
+  // Sender lists are edited as one address or domain per line
+  const handleSenderListChange = (name, text) => {
+    const entries = [...new Set(
+      text.split(/[\n,]/).map((entry) => entry.trim().toLowerCase()).filter(Boolean)
+    )];
+    onUpdate({ ...settings, emailFilters: { ...emailFilters, [name]: entries } });
+  };
+
+  // Only tools that change data can be made to ask first
+  const gatableTools = TOOL_REGISTRY.filter((tool) => tool.permission !== ToolPermission.READ);
+
+  const handleApprovalChange = (name, approval) => {
+    onUpdate({ ...settings, toolApprovals: { ...settings.toolApprovals, [name]: approval } });
+  };
+
+  const handleToggleNotifications = async () => {
+    if (followUpRules.notificationsEnabled) {
+      handleRuleChange('notificationsEnabled', false);
+      return;
+    }
+    if (typeof Notification === 'undefined') {
+      alert('This browser does not support notifications.');
+      return;
+    }
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    if (permission === 'granted') {
+      handleRuleChange('notificationsEnabled', true);
+    } else {
+      alert('Notifications are blocked. Allow them for this site in your browser settings.');
+    }
+  };
+
+  const handleImportFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) setImportFile(file);
+    // Reset so selecting the same file again still triggers a change
+    e.target.value = '';
   };
 
   const handleClearData = () => {
@@ -354,6 +421,42 @@ function SettingsView({ settings, onUpdate, onClearData }) {
                 </div>
               )}
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[
+                  {
+                    name: 'allowSenders',
+                    label: 'Always check',
+                    hint: 'Senders whose emails are never treated as noise'
+                  },
+                  {
+                    name: 'denySenders',
+                    label: 'Always skip',
+                    hint: 'Senders whose emails are never sent to the assistant'
+                  }
+                ].map(({ name, label, hint }) => (
+                  <div key={name} className="space-y-1.5">
+                    <label htmlFor={name} className="text-sm font-medium text-gray-400">
+                      {label}
+                    </label>
+                    <textarea
+                      id={name}
+                      // Remount when the saved list changes so the text reflects it
+                      key={emailFilters[name].join('\n')}
+                      defaultValue={emailFilters[name].join('\n')}
+                      onBlur={(e) => handleSenderListChange(name, e.target.value)}
+                      rows={3}
+                      placeholder={'recruiting@acme.com\ngreenhouse.io'}
+                      className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white text-sm resize-none custom-scrollbar"
+                    />
+                    <p className="text-[11px] text-gray-500">{hint}. One address or domain per line.</p>
+                  </div>
+                ))}
+              </div>
+
+              <p className="text-[10px] text-gray-500 leading-relaxed italic">
+                * Job alerts, newsletters and other emails without an application update are filtered out on this device before anything is sent to Gemini.
+              </p>
+
               <p className="text-[10px] text-gray-500 leading-relaxed italic">
                 * When connected, Astra can scan your inbox to automatically find and track job application emails, interview invitations, and status updates.
               </p>
@@ -418,6 +521,108 @@ function SettingsView({ settings, onUpdate, onClearData }) {
             </div>
           </div>
 
+          {/* Assistant Permissions */}
+          <div className="glass rounded-3xl p-8 border border-white/10 space-y-6">
+            <h3 className="text-xl font-bold text-white flex items-center gap-2">
+              <ShieldCheck size={20} className="text-amber-400" />
+              Assistant Permissions
+            </h3>
+            <p className="text-sm text-gray-400">
+              Choose which actions Astra must check with you before running. Astra asks out loud during voice chats and shows a confirm card on screen.
+            </p>
+
+            <div className="space-y-3">
+              {gatableTools.map((tool) => {
+                const approval = getToolApproval(tool, settings.toolApprovals);
+                return (
+                  <div key={tool.name} className="flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-200 capitalize">{tool.name.replace(/_/g, ' ')}</p>
+                      <p className="text-xs text-gray-500 capitalize">{tool.permission}</p>
+                    </div>
+                    <div className="flex bg-white/5 p-1 rounded-xl border border-white/10 flex-shrink-0">
+                      {[
+                        { value: ToolApproval.CONFIRM, label: 'Ask first' },
+                        { value: ToolApproval.AUTO, label: 'Auto-approve' }
+                      ].map(({ value, label }) => (
+                        <button
+                          key={value}
+                          onClick={() => handleApprovalChange(tool.name, value)}
+                          className={`px-3 py-1.5 text-xs rounded-lg transition-all ${approval === value
+                            ? 'bg-violet-600 text-white shadow-lg'
+                            : 'text-gray-500 hover:text-gray-300'
+                            }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Follow-up Reminders */}
+          <div className="glass rounded-3xl p-8 border border-white/10 space-y-6">
+            <h3 className="text-xl font-bold text-white flex items-center gap-2">
+              <BellRing size={20} className="text-pink-400" />
+              Follow-up Reminders
+            </h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1.5">
+                  <label className="text-sm font-medium text-gray-400">
+                    Follow up after (days)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={followUpRules.followUpAfterDays}
+                    onChange={(e) => handleRuleChange('followUpAfterDays', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+                  />
+                </div>
+                <div className="space-y-1.5">
+                  <label className="text-sm font-medium text-gray-400">
+                    Suggest Ghosted after (days)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={followUpRules.ghostedAfterDays}
+                    onChange={(e) => handleRuleChange('ghostedAfterDays', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2.5 outline-none focus:border-violet-500 focus:ring-1 focus:ring-violet-500 transition-all text-white"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                Counted from the last status change of an application still marked Applied. Use 0 to turn a rule off.
+              </p>
+
+              <label className="flex items-center justify-between p-3 bg-white/5 border border-white/5 rounded-xl cursor-pointer">
+                <span className="text-sm text-gray-300">Remind me to send thank-you notes after interviews</span>
+                <input
+                  type="checkbox"
+                  checked={followUpRules.thankYouAfterInterview}
+                  onChange={(e) => handleRuleChange('thankYouAfterInterview', e.target.checked)}
+                  className="accent-violet-600 w-4 h-4"
+                />
+              </label>
+
+              <label className="flex items-center justify-between p-3 bg-white/5 border border-white/5 rounded-xl cursor-pointer">
+                <span className="text-sm text-gray-300">Browser notifications while Astra is open</span>
+                <input
+                  type="checkbox"
+                  checked={followUpRules.notificationsEnabled}
+                  onChange={handleToggleNotifications}
+                  className="accent-violet-600 w-4 h-4"
+                />
+              </label>
+            </div>
+          </div>
+
           {/* Data Management */}
           <div className="glass rounded-3xl p-8 border border-white/10 space-y-6">
             <h3 className="text-xl font-bold text-white flex items-center gap-2">
@@ -429,20 +634,48 @@ function SettingsView({ settings, onUpdate, onClearData }) {
               <div className="p-6 bg-white/5 border border-white/5 rounded-2xl">
                 <h4 className="font-semibold text-white mb-2">Export Records</h4>
                 <p className="text-sm text-gray-500 mb-4">
-                  Download your entire job tracker history as a JSON file.
+                  Download your entire job tracker history as JSON, or as CSV for Google Sheets and Excel.
                 </p>
+                <div className="flex gap-2">
+                  <button
+                    onClick={exportData}
+                    className="flex-1 py-2.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-xl flex items-center justify-center gap-2 text-sm font-medium transition-all"
+                  >
+                    <Download size={16} /> Export JSON
+                  </button>
+                  <button
+                    onClick={exportCsv}
+                    className="flex-1 py-2.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-xl flex items-center justify-center gap-2 text-sm font-medium transition-all"
+                  >
+                    <Download size={16} /> Export CSV
+                  </button>
+                </div>
+              </div>
+
+              <div className="p-6 bg-white/5 border border-white/5 rounded-2xl">
+                <h4 className="font-semibold text-white mb-2">Import Records</h4>
+                <p className="text-sm text-gray-500 mb-4">
+                  Bring in an Astra JSON export or a CSV from Google Sheets or Notion. You&apos;ll preview the merge before anything changes.
+                </p>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".json,.csv,application/json,text/csv"
+                  onChange={handleImportFileChange}
+                  className="hidden"
+                />
                 <button
-                  onClick={exportData}
+                  onClick={() => importInputRef.current?.click()}
                   className="w-full py-2.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-xl flex items-center justify-center gap-2 text-sm font-medium transition-all"
                 >
-                  <Download size={16} /> Export JSON
+                  <Upload size={16} /> Import JSON / CSV
                 </button>
               </div>
 
               <div className="p-6 bg-red-500/5 border border-red-500/10 rounded-2xl">
                 <h4 className="font-semibold text-red-400 mb-2">Danger Zone</h4>
                 <p className="text-sm text-red-900/60 mb-4">
-                  Permanently clear all job applications from your local storage.
+                  Permanently clear all job applications from this browser.
                 </p>
                 <button
                   onClick={handleClearData}
@@ -455,6 +688,14 @@ function SettingsView({ settings, onUpdate, onClearData }) {
           </div>
         </div>
       </div>
+
+      <ImportModal
+        file={importFile}
+        applications={applications}
+        timezone={settings.timezone}
+        onImport={onImport}
+        onClose={() => setImportFile(null)}
+      />
     </div>
   );
 }
@@ -3,6 +3,7 @@ import {
   MessageSquare,
   LayoutDashboard,
   FileCheck,
+  Scale,
   Settings
 } from 'lucide-react';
 import { AppTab } from '@/constants';
@@ -17,6 +18,7 @@ function Sidebar({ activeTab, onTabChange }) {
   const navItems = [
     { id: AppTab.ASSISTANT, icon: MessageSquare, label: 'Assistant' },
     { id: AppTab.DASHBOARD, icon: LayoutDashboard, label: 'Tracker' },
+    { id: AppTab.OFFERS, icon: Scale, label: 'Offers' },
     { id: AppTab.RESUME, icon: FileCheck, label: 'Resume Lab' }
   ];
 
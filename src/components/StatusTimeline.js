@@ -0,0 +1,76 @@
+import StatusIcon from './StatusIcon';
+
+/**
+ * Formats a history timestamp in the user's timezone
+ * @param {string} at - ISO timestamp
+ * @param {string} [timezone] - IANA timezone
+ * @param {boolean} compact - Omit the time of day
+ * @returns {string} - Formatted date
+ */
+function formatTimestamp(at, timezone, compact) {
+  const date = new Date(at);
+  if (isNaN(date.getTime())) return at;
+
+  return new Intl.DateTimeFormat('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(compact ? {} : { year: 'numeric', hour: 'numeric', minute: 'numeric', hour12: true }),
+    timeZone: timezone || undefined
+  }).format(date);
+}
+
+/**
+ * Renders the status transitions recorded for an application
+ * @param {Object} props - Component props
+ * @param {Array} [props.history] - Status history entries ({ from, status, at, origin })
+ * @param {string} [props.timezone] - Timezone used to display timestamps
+ * @param {boolean} [props.compact] - Horizontal single-line variant for cards
+ */
+function StatusTimeline({ history = [], timezone, compact = false }) {
+  if (history.length === 0) {
+    return compact ? null : (
+      <p className="text-sm text-gray-500 italic">No status changes recorded yet.</p>
+    );
+  }
+
+  if (compact) {
+    return (
+      <div className="flex items-center gap-1.5 text-xs text-gray-500 overflow-hidden">
+        {history.map((entry, i) => (
+          <span key={`${entry.at}-${i}`} className="flex items-center gap-1.5 whitespace-nowrap">
+            {i > 0 && <span className="text-gray-700">→</span>}
+            <span title={`${entry.status} · ${formatTimestamp(entry.at, timezone, false)} · ${entry.origin}`}>
+              {entry.status} <span className="text-gray-600">{formatTimestamp(entry.at, timezone, true)}</span>
+            </span>
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-white/10 ml-2 space-y-4">
+      {[...history].reverse().map((entry, i) => (
+        <li key={`${entry.at}-${i}`} className="ml-5">
+          <span className="absolute -left-[9px] mt-0.5 flex items-center justify-center w-[18px] h-[18px] rounded-full bg-gray-900 border border-white/10">
+            <StatusIcon status={entry.status} />
+          </span>
+          <p className="text-sm text-white">
+            {entry.from ? (
+              <>
+                {entry.from} <span className="text-gray-500">→</span> {entry.status}
+              </>
+            ) : (
+              <>Added as {entry.status}</>
+            )}
+          </p>
+          <p className="text-xs text-gray-500">
+            {formatTimestamp(entry.at, timezone, false)} · via {entry.origin}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default StatusTimeline;
@@ -0,0 +1,315 @@
+import { useState, useEffect } from 'react';
+import { X, Mail, Check, Ban, Edit2, PlusCircle, FilePen, ArrowRightCircle, CalendarClock, ChevronDown, ChevronUp } from 'lucide-react';
+import { JobStatus, InterviewType } from '@/constants';
+import { formatInTimezone, toZonedParts, fromZonedParts, getAppliedAt } from '@/services';
+
+/**
+ * Editable fields for each proposal type
+ */
+const EDITABLE_FIELDS = {
+  save_job_application: [
+    { key: 'company', label: 'Company' },
+    { key: 'role', label: 'Role' },
+    { key: 'source', label: 'Source' },
+    { key: 'appliedAt', label: 'Applied At', type: 'datetime' },
+    { key: 'status', label: 'Status', type: 'status' }
+  ],
+  update_job_status: [
+    { key: 'id', label: 'Application', type: 'application' },
+    { key: 'status', label: 'New Status', type: 'status' }
+  ],
+  schedule_interview: [
+    { key: 'id', label: 'Application', type: 'application' },
+    { key: 'type', label: 'Round', type: 'interviewType' },
+    { key: 'scheduledAt', label: 'Starts At', type: 'datetime' },
+    { key: 'interviewer', label: 'Interviewer' },
+    { key: 'location', label: 'Location / Link' }
+  ]
+};
+
+/**
+ * Heading icon for each proposal type
+ */
+const PROPOSAL_ICONS = {
+  save_job_application: { icon: PlusCircle, className: 'text-green-400' },
+  // A save_job_application proposal with an id edits an existing application
+  update_job_application: { icon: FilePen, className: 'text-blue-400' },
+  update_job_status: { icon: ArrowRightCircle, className: 'text-blue-400' },
+  schedule_interview: { icon: CalendarClock, className: 'text-yellow-400' }
+};
+
+const DECISION_STYLES = {
+  accept: 'border-green-500/30',
+  reject: 'border-white/5 opacity-50',
+  edit: 'border-violet-500/40'
+};
+
+/**
+ * Formats an instant as a datetime-local input value in a timezone
+ * @param {string} iso - ISO timestamp
+ * @param {string} [timezone] - IANA timezone
+ * @returns {string} - YYYY-MM-DDTHH:MM, or '' when unknown
+ */
+function toDateTimeLocal(iso, timezone) {
+  const { date, time } = toZonedParts(iso, timezone);
+  return date ? `${date}T${time}` : '';
+}
+
+/**
+ * A single proposed change with its source email and review controls
+ * @param {Object} props - Component props
+ * @param {Object} props.proposal - Proposal ({ id, name, args, email })
+ * @param {string} props.decision - Current decision (accept, edit or reject)
+ * @param {Function} props.onDecision - Called with (decision)
+ * @param {Function} props.onArgsChange - Called with updated args
+ * @param {string} [props.timezone] - Timezone used to display and edit dates
+ * @param {Array} props.applications - Tracked applications a status update can target
+ */
+function ProposalCard({ proposal, decision, onDecision, onArgsChange, timezone, applications }) {
+  const [showBody, setShowBody] = useState(false);
+  const { name, args, email } = proposal;
+  const isSave = name === 'save_job_application';
+  const isNew = isSave && !args.id;
+  const target = isNew ? null : applications.find((job) => job.id === args.id);
+  const targetLabel = target ? `${target.role} at ${target.company}` : 'a removed application';
+  const { icon: Icon, className: iconClassName } = PROPOSAL_ICONS[isSave && !isNew ? 'update_job_application' : name];
+
+  const titles = {
+    save_job_application: isNew ? `Add ${args.role} at ${args.company}` : `Update ${targetLabel}`,
+    update_job_status: `Move ${targetLabel} to ${args.status}`,
+    schedule_interview: `Schedule ${args.type} interview for ${targetLabel}`
+  };
+
+  return (
+    <li className={`glass rounded-2xl p-4 border transition-all ${DECISION_STYLES[decision]}`}>
+      <div className="flex items-start gap-3">
+        <Icon size={18} className={`${iconClassName} mt-0.5 flex-shrink-0`} />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-semibold text-white">
+            {titles[name]}
+          </p>
+          {isNew && (
+            <p className="text-xs text-gray-500">
+              {args.status} · {formatInTimezone(args.appliedAt, timezone)} · via {args.source}
+            </p>
+          )}
+          {isSave && !isNew && (
+            <p className="text-xs text-gray-500">
+              {args.role} at {args.company} · {args.status}
+            </p>
+          )}
+          {name === 'schedule_interview' && (
+            <p className="text-xs text-gray-500">
+              {formatInTimezone(args.scheduledAt, timezone)}
+              {args.interviewer && ` · with ${args.interviewer}`}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Source Email */}
+      {email ? (
+        <div className="mt-3 p-3 bg-white/5 rounded-xl text-xs space-y-1">
+          <p className="text-gray-300 flex items-center gap-1.5 truncate">
+            <Mail size={12} className="text-red-400 flex-shrink-0" />
+            <span className="truncate">{email.from}</span>
+          </p>
+          <p className="text-white font-medium">{email.subject}</p>
+          <p className="text-gray-500">{email.snippet}</p>
+          {email.body && email.body !== email.snippet && (
+            <>
+              <button
+                onClick={() => setShowBody((prev) => !prev)}
+                className="text-violet-400 hover:text-violet-300 flex items-center gap-1"
+              >
+                {showBody ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+                {showBody ? 'Hide email' : 'Show full email'}
+              </button>
+              {showBody && (
+                <pre className="whitespace-pre-wrap font-sans text-gray-400 max-h-48 overflow-y-auto custom-scrollbar">
+                  {email.body.replace(/<[^>]+>/g, ' ')}
+                </pre>
+              )}
+            </>
+          )}
+        </div>
+      ) : (
+        <p className="mt-3 text-xs text-gray-600 italic">Source email not identified.</p>
+      )}
+
+      {/* Inline Editor */}
+      {decision === 'edit' && (
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          {EDITABLE_FIELDS[name].map(({ key, label, type }) => (
+            <label key={key} className="space-y-1 text-xs text-gray-400">
+              <span>{label}</span>
+              {type === 'datetime' ? (
+                <input
+                  type="datetime-local"
+                  value={toDateTimeLocal(args[key], timezone)}
+                  onChange={(e) => {
+                    const [date, time] = e.target.value.split('T');
+                    onArgsChange({ ...args, [key]: fromZonedParts(date, time, timezone) || args[key] });
+                  }}
+                  className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white outline-none focus:border-violet-500"
+                />
+              ) : type === 'application' ? (
+                <select
+                  value={args[key] || ''}
+                  onChange={(e) => onArgsChange({ ...args, [key]: e.target.value })}
+                  className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white outline-none focus:border-violet-500 appearance-none"
+                >
+                  {applications.map((job) => (
+                    <option key={job.id} value={job.id} className="bg-gray-900">
+                      {job.company} · {job.role} ({formatInTimezone(getAppliedAt(job), timezone, false)})
+                    </option>
+                  ))}
+                </select>
+              ) : type === 'interviewType' ? (
+                <select
+                  value={args[key] || ''}
+                  onChange={(e) => onArgsChange({ ...args, [key]: e.target.value })}
+                  className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white outline-none focus:border-violet-500 appearance-none"
+                >
+                  {Object.values(InterviewType).map((interviewType) => (
+                    <option key={interviewType} value={interviewType} className="bg-gray-900">{interviewType}</option>
+                  ))}
+                </select>
+              ) : type === 'status' ? (
+                <select
+                  value={args[key] || ''}
+                  onChange={(e) => onArgsChange({ ...args, [key]: e.target.value })}
+                  className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white outline-none focus:border-violet-500 appearance-none"
+                >
+                  {Object.values(JobStatus).map((status) => (
+                    <option key={status} value={status} className="bg-gray-900">{status}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={type || 'text'}
+                  value={args[key] || ''}
+                  onChange={(e) => onArgsChange({ ...args, [key]: e.target.value })}
+                  className="w-full bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-white outline-none focus:border-violet-500"
+                />
+              )}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* Decision Controls */}
+      <div className="mt-3 flex gap-2">
+        {[
+          { id: 'accept', label: 'Accept', icon: Check, active: 'bg-green-600 text-white' },
+          { id: 'edit', label: 'Edit', icon: Edit2, active: 'bg-violet-600 text-white' },
+          { id: 'reject', label: 'Reject', icon: Ban, active: 'bg-red-600 text-white' }
+        ].map(({ id, label, icon: Icon, active }) => (
+          <button
+            key={id}
+            onClick={() => onDecision(id)}
+            aria-pressed={decision === id}
+            className={`flex-1 py-1.5 text-xs rounded-lg flex items-center justify-center gap-1 transition-all ${decision === id
+              ? active
+              : 'bg-white/5 text-gray-400 hover:bg-white/10'
+              }`}
+          >
+            <Icon size={12} />
+            {label}
+          </button>
+        ))}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Side drawer for reviewing tracker changes proposed by a Gmail sync
+ * @param {Object} props - Component props
+ * @param {Array} [props.proposals] - Proposed changes (drawer is hidden when null)
+ * @param {number} [props.skippedCount] - Emails the local classifier dropped as noise
+ * @param {string} [props.timezone] - Timezone used to display and edit dates
+ * @param {Array} [props.applications] - Tracked applications, used to show and retarget status updates
+ * @param {Function} props.onApply - Called with the accepted (possibly edited) proposals
+ * @param {Function} props.onDiscard - Called when the whole batch is rejected
+ */
+function SyncReviewDrawer({ proposals, skippedCount = 0, timezone, applications = [], onApply, onDiscard }) {
+  const [decisions, setDecisions] = useState({});
+  const [edits, setEdits] = useState({});
+
+  useEffect(() => {
+    setDecisions({});
+    setEdits({});
+  }, [proposals]);
+
+  if (!proposals) return null;
+
+  const decisionFor = (id) => decisions[id] || 'accept';
+  const accepted = proposals
+    .filter((p) => decisionFor(p.id) !== 'reject')
+    .map((p) => ({ ...p, args: edits[p.id] || p.args }));
+
+  const handleClose = () => {
+    if (proposals.length === 0 || window.confirm('Discard all proposed changes from this sync?')) {
+      onDiscard();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/40 backdrop-blur-sm animate-in fade-in duration-200">
+      <aside className="w-full max-w-md h-full glass bg-gray-950/95 border-l border-white/10 flex flex-col shadow-2xl">
+        <div className="p-5 border-b border-white/5 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-bold text-white">Review Gmail Sync</h3>
+            <p className="text-xs text-gray-500">
+              {proposals.length === 0
+                ? 'No new application updates were found.'
+                : `${proposals.length} proposed change${proposals.length === 1 ? '' : 's'}`}
+              {skippedCount > 0 && ` · ${skippedCount} job alert${skippedCount === 1 ? '' : 's'} and other emails skipped`}
+            </p>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 hover:bg-white/5 rounded-full text-gray-400"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <ul className="flex-1 overflow-y-auto custom-scrollbar p-5 space-y-3">
+          {proposals.map((proposal) => (
+            <ProposalCard
+              key={proposal.id}
+              proposal={{ ...proposal, args: edits[proposal.id] || proposal.args }}
+              decision={decisionFor(proposal.id)}
+              onDecision={(decision) => setDecisions((prev) => ({ ...prev, [proposal.id]: decision }))}
+              onArgsChange={(args) => setEdits((prev) => ({ ...prev, [proposal.id]: args }))}
+              timezone={timezone}
+              applications={applications}
+            />
+          ))}
+        </ul>
+
+        <div className="p-5 border-t border-white/5 flex gap-3">
+          <button
+            onClick={handleClose}
+            className="flex-1 py-3 px-4 bg-white/5 hover:bg-white/10 text-white rounded-xl font-semibold transition-all"
+          >
+            {proposals.length === 0 ? 'Close' : 'Reject All'}
+          </button>
+          {proposals.length > 0 && (
+            <button
+              onClick={() => onApply(accepted)}
+              disabled={accepted.length === 0}
+              className="flex-1 py-3 px-4 bg-violet-600 hover:bg-violet-500 disabled:bg-gray-800 disabled:text-gray-600 text-white rounded-xl font-semibold transition-all shadow-lg shadow-violet-600/20"
+            >
+              Apply {accepted.length}
+            </button>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
+
+export default SyncReviewDrawer;
@@ -0,0 +1,47 @@
+import { ShieldAlert, Check, X, Mic } from 'lucide-react';
+import { ToolChannel, ToolPermission } from '@/constants';
+
+/**
+ * Inline card asking the user to approve an assistant action before it runs
+ * @param {Object} props - Component props
+ * @param {Object} props.confirmation - Pending confirmation ({ id, call, channel, summary, permission })
+ * @param {Function} props.onApprove - Called with the confirmation ID
+ * @param {Function} props.onDecline - Called with the confirmation ID
+ */
+function ToolConfirmationCard({ confirmation, onApprove, onDecline }) {
+  const isDestructive = confirmation.permission === ToolPermission.DESTRUCTIVE;
+
+  return (
+    <div
+      role="alertdialog"
+      aria-label="Confirm assistant action"
+      className={`glass rounded-2xl p-3 border flex items-center gap-3 animate-in fade-in slide-in-from-bottom-2 duration-200 ${isDestructive ? 'border-red-500/30' : 'border-amber-500/30'}`}
+    >
+      <ShieldAlert size={20} className={`flex-shrink-0 ${isDestructive ? 'text-red-400' : 'text-amber-400'}`} />
+      <div className="flex-1 min-w-0 text-left">
+        <p className="text-sm text-gray-200">{confirmation.summary}?</p>
+        <p className="text-xs text-gray-500 flex items-center gap-1">
+          {confirmation.channel === ToolChannel.VOICE && <Mic size={10} />}
+          {confirmation.channel === ToolChannel.VOICE ? 'Answer Astra out loud or confirm here' : 'Astra is waiting for your go-ahead'}
+        </p>
+      </div>
+      <button
+        onClick={() => onDecline(confirmation.id)}
+        className="px-3 py-1.5 rounded-xl text-xs text-gray-300 hover:bg-white/5 flex items-center gap-1 transition-all"
+      >
+        <X size={14} />
+        Cancel
+      </button>
+      <button
+        onClick={() => onApprove(confirmation.id)}
+        autoFocus
+        className={`px-3 py-1.5 rounded-xl text-xs text-white flex items-center gap-1 transition-all active:scale-95 ${isDestructive ? 'bg-red-600 hover:bg-red-500' : 'bg-violet-600 hover:bg-violet-500'}`}
+      >
+        <Check size={14} />
+        Confirm
+      </button>
+    </div>
+  );
+}
+
+export default ToolConfirmationCard;
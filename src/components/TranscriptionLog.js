@@ -1,5 +1,5 @@
 import { useEffect, useRef } from 'react';
-import { User, Sparkles } from 'lucide-react';
+import { User, Sparkles, Loader2, Check } from 'lucide-react';
 
 /**
  * Simple markdown parser for basic formatting
@@ -20,10 +20,32 @@ function parseMarkdown(text) {
     .replace(/\n/g, '<br />');
 }
 
+/**
+ * Tool activity shown under an assistant reply
+ * @param {Object} props - Component props
+ * @param {Array} props.tools - Tool calls ({ name, status: 'running'|'done' })
+ */
+function ToolProgress({ tools }) {
+  return (
+    <div className="flex flex-wrap gap-1.5 mb-1.5">
+      {tools.map(({ name, status }, index) => (
+        <span
+          key={index}
+          className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-violet-500/10 border border-violet-500/20 text-[11px] text-violet-300"
+        >
+          {status === 'running' ? <Loader2 size={10} className="animate-spin" /> : <Check size={10} />}
+          {name.replace(/_/g, ' ')}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 /**
  * Displays conversation transcription log
  * @param {Object} props - Component props
- * @param {Array} props.messages - Array of message objects
+ * @param {Array} props.messages - Array of message objects; a reply still
+ *   streaming in has isStreaming set and may list its tool calls in tools
  */
 function TranscriptionLog({ messages }) {
   const scrollRef = useRef(null);
@@ -65,10 +87,19 @@ function TranscriptionLog({ messages }) {
                 : 'bg-white/10 text-gray-100 border border-white/5 rounded-tl-none'
               }`}
           >
-            <p
-              className="leading-relaxed"
-              dangerouslySetInnerHTML={{ __html: parseMarkdown(msg.text) }}
-            />
+            {msg.tools?.length > 0 && <ToolProgress tools={msg.tools} />}
+            {msg.isStreaming && !msg.text ? (
+              <span className="flex gap-1 py-1.5" aria-label="Astra is thinking">
+                <span className="w-1.5 h-1.5 rounded-full bg-gray-400 animate-bounce" />
+                <span className="w-1.5 h-1.5 rounded-full bg-gray-400 animate-bounce [animation-delay:150ms]" />
+                <span className="w-1.5 h-1.5 rounded-full bg-gray-400 animate-bounce [animation-delay:300ms]" />
+              </span>
+            ) : (
+              <p className="leading-relaxed">
+                <span dangerouslySetInnerHTML={{ __html: parseMarkdown(msg.text) }} />
+                {msg.isStreaming && <span className="inline-block w-1.5 h-3.5 ml-0.5 bg-violet-400 animate-pulse align-middle" />}
+              </p>
+            )}
           </div>
 
           {msg.role === 'user' && (
@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { Undo2, Redo2, X } from 'lucide-react';
+
+/** How long the toast stays up after an action */
+const TOAST_DURATION_MS = 6000;
+
+const EVENT_PREFIX = {
+  done: '',
+  undone: 'Undid: ',
+  redone: 'Redid: '
+};
+
+/**
+ * Toast announcing the latest tracker change, with undo and redo buttons
+ * @param {Object} props - Component props
+ * @param {Object} [props.event] - Latest action event ({ id, type, label })
+ * @param {string} [props.undoLabel] - Action that Undo would revert
+ * @param {string} [props.redoLabel] - Action that Redo would re-apply
+ * @param {Function} props.onUndo - Undo handler
+ * @param {Function} props.onRedo - Redo handler
+ */
+function UndoToast({ event, undoLabel, redoLabel, onUndo, onRedo }) {
+  const [visibleId, setVisibleId] = useState(null);
+
+  useEffect(() => {
+    if (!event) return;
+    setVisibleId(event.id);
+    const timer = setTimeout(() => setVisibleId(null), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [event]);
+
+  if (!event || visibleId !== event.id) return null;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 px-4 py-3 glass bg-gray-900/95 rounded-2xl border border-white/10 shadow-2xl flex items-center gap-3 animate-in fade-in slide-in-from-bottom-2 duration-200"
+    >
+      <p className="text-sm text-gray-200 max-w-xs truncate">
+        {EVENT_PREFIX[event.type]}{event.label}
+      </p>
+      <button
+        onClick={onUndo}
+        disabled={!undoLabel}
+        title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-violet-600 hover:bg-violet-500 disabled:bg-gray-800 disabled:text-gray-600 text-white rounded-lg font-semibold transition-all"
+      >
+        <Undo2 size={14} />
+        Undo
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!redoLabel}
+        title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-white/5 hover:bg-white/10 disabled:text-gray-600 text-gray-300 rounded-lg font-semibold transition-all"
+      >
+        <Redo2 size={14} />
+        Redo
+      </button>
+      <button
+        onClick={() => setVisibleId(null)}
+        className="p-1.5 hover:bg-white/5 rounded text-gray-500"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
@@ -0,0 +1,90 @@
+import { CalendarClock, CalendarPlus, ExternalLink, MapPin } from 'lucide-react';
+import {
+  getUpcomingInterviews,
+  buildInterviewIcs,
+  interviewIcsFileName,
+  downloadFile,
+  formatInTimezone,
+  UPCOMING_INTERVIEW_DAYS
+} from '@/services';
+
+/**
+ * Strip of interview rounds coming up in the next two weeks
+ * @param {Object} props - Component props
+ * @param {Array} props.applications - Job applications
+ * @param {Function} props.onEdit - Opens an application for editing
+ * @param {string} [props.timezone] - Timezone used to display times
+ */
+function UpcomingInterviews({ applications, onEdit, timezone }) {
+  const upcoming = getUpcomingInterviews(applications);
+
+  if (upcoming.length === 0) return null;
+
+  const handleDownload = (job, interview) => {
+    downloadFile(buildInterviewIcs(job, interview), 'text/calendar', interviewIcsFileName(job, interview));
+  };
+
+  return (
+    <section className="mb-8 animate-in fade-in slide-in-from-top-2 duration-300">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-400 mb-3">
+        <CalendarClock size={16} className="text-yellow-400" />
+        Upcoming interviews
+        <span className="text-xs font-normal text-gray-600">next {UPCOMING_INTERVIEW_DAYS} days</span>
+      </h3>
+      <div className="flex gap-3 overflow-x-auto custom-scrollbar pb-2">
+        {upcoming.map(({ job, interview }) => {
+          const isLink = /^https?:\/\//i.test(interview.location);
+          return (
+            <div
+              key={`${job.id}-${interview.id}`}
+              className="glass flex-shrink-0 w-64 rounded-2xl p-4 border border-yellow-500/20"
+            >
+              <p className="text-xs font-semibold text-yellow-400">
+                {formatInTimezone(interview.scheduledAt, timezone)}
+              </p>
+              <button
+                onClick={() => onEdit(job)}
+                className="block w-full text-left mt-1 text-sm font-bold text-white hover:text-violet-400 truncate transition-colors"
+                title={`${job.role} at ${job.company}`}
+              >
+                {interview.type} · {job.company}
+              </button>
+              <p className="text-xs text-gray-500 truncate">
+                {job.role}{interview.interviewer && ` · with ${interview.interviewer}`}
+              </p>
+              <div className="mt-3 flex items-center justify-between gap-2 text-xs">
+                {isLink ? (
+                  <a
+                    href={interview.location}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 text-violet-400 hover:text-violet-300"
+                  >
+                    Join <ExternalLink size={12} />
+                  </a>
+                ) : interview.location ? (
+                  <span className="flex items-center gap-1 text-gray-500 truncate" title={interview.location}>
+                    <MapPin size={12} className="flex-shrink-0" />
+                    {interview.location}
+                  </span>
+                ) : (
+                  <span />
+                )}
+                <button
+                  onClick={() => handleDownload(job, interview)}
+                  title="Download calendar file (.ics)"
+                  className="flex items-center gap-1 px-2 py-1 text-gray-400 hover:text-violet-300 hover:bg-violet-400/10 rounded-lg transition-all flex-shrink-0"
+                >
+                  <CalendarPlus size={14} />
+                  .ics
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+export default UpcomingInterviews;
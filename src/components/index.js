@@ -2,9 +2,22 @@ export { default as Sidebar } from './Sidebar';
 export { default as AssistantView } from './AssistantView';
 export { default as JobDashboard } from './JobDashboard';
 export { default as JobCard } from './JobCard';
+export { default as JobBoard } from './JobBoard';
 export { default as JobModal } from './JobModal';
+export { default as ImportModal } from './ImportModal';
+export { default as PipelineAnalytics } from './PipelineAnalytics';
+export { default as RemindersInbox } from './RemindersInbox';
+export { default as OfferComparison } from './OfferComparison';
 export { default as ResumeValidator } from './ResumeValidator';
 export { default as SettingsView } from './SettingsView';
 export { default as Waveform } from './Waveform';
 export { default as TranscriptionLog } from './TranscriptionLog';
+export { default as ConversationHistory } from './ConversationHistory';
 export { default as StatusIcon } from './StatusIcon';
+export { default as StatusTimeline } from './StatusTimeline';
+export { default as LinkedEmails } from './LinkedEmails';
+export { default as SyncReviewDrawer } from './SyncReviewDrawer';
+export { default as UndoToast } from './UndoToast';
+export { default as UpcomingInterviews } from './UpcomingInterviews';
+export { default as InterviewRoundsEditor } from './InterviewRoundsEditor';
+export { default as ToolConfirmationCard } from './ToolConfirmationCard';
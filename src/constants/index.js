@@ -17,6 +17,7 @@ export const AppTab = {
   ASSISTANT: 'assistant',
   DASHBOARD: 'dashboard',
   RESUME: 'resume',
+  OFFERS: 'offers',
   SETTINGS: 'settings'
 };
 
@@ -31,6 +32,134 @@ export const JobStatus = {
   GHOSTED: 'Ghosted'
 };
 
+/**
+ * Work Arrangement Options
+ */
+export const WorkMode = {
+  ONSITE: 'On-site',
+  HYBRID: 'Hybrid',
+  REMOTE: 'Remote'
+};
+
+/**
+ * Interview Round Types
+ */
+export const InterviewType = {
+  PHONE_SCREEN: 'Phone Screen',
+  TECHNICAL: 'Technical',
+  BEHAVIORAL: 'Behavioral',
+  TAKE_HOME: 'Take-home',
+  ONSITE: 'Onsite',
+  FINAL: 'Final',
+  OTHER: 'Other'
+};
+
+/**
+ * Interview Round Outcomes
+ */
+export const InterviewOutcome = {
+  PENDING: 'Pending',
+  PASSED: 'Passed',
+  FAILED: 'Failed',
+  CANCELLED: 'Cancelled'
+};
+
+/**
+ * Salary Currency Options (ISO 4217 codes)
+ */
+export const Currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'JPY', 'SGD', 'CHF'];
+
+/**
+ * Criteria offers are scored on. Compensation is computed from the offer
+ * figures; the others are rated 1-5 by the user.
+ */
+export const OfferCriteria = [
+  { key: 'compensation', label: 'Total compensation' },
+  { key: 'benefits', label: 'Benefits' },
+  { key: 'growth', label: 'Growth & learning' },
+  { key: 'workLifeBalance', label: 'Work-life balance' },
+  { key: 'roleFit', label: 'Fit with target role' }
+];
+
+/**
+ * Default importance (0-5) of each offer criterion
+ */
+export const DEFAULT_OFFER_WEIGHTS = {
+  compensation: 5,
+  benefits: 3,
+  growth: 4,
+  workLifeBalance: 3,
+  roleFit: 4
+};
+
+/**
+ * Status Change Origins
+ * Records where a status transition came from in an application's history
+ */
+export const StatusOrigin = {
+  MANUAL: 'Manual',
+  ASSISTANT: 'Assistant',
+  GMAIL: 'Gmail',
+  IMPORT: 'Import'
+};
+
+/**
+ * Assistant Tool Permission Levels
+ * What a tool call is allowed to do to the tracker
+ */
+export const ToolPermission = {
+  READ: 'read',
+  WRITE: 'write',
+  BULK: 'bulk',
+  DESTRUCTIVE: 'destructive'
+};
+
+/**
+ * Assistant Tool Approval Modes
+ * Whether an assistant tool call runs straight away or waits for the user to confirm it
+ */
+export const ToolApproval = {
+  AUTO: 'auto',
+  CONFIRM: 'confirm'
+};
+
+/**
+ * Assistant Tool Channels
+ * Where a tool call can come from
+ */
+export const ToolChannel = {
+  VOICE: 'voice',
+  TEXT: 'text',
+  GMAIL: 'gmail'
+};
+
+/**
+ * Follow-up Reminder Types
+ */
+export const FollowUpType = {
+  FOLLOW_UP: 'FollowUp',
+  SUGGEST_GHOSTED: 'SuggestGhosted',
+  THANK_YOU: 'ThankYou'
+};
+
+/**
+ * Default follow-up reminder rules
+ */
+export const DEFAULT_FOLLOW_UP_RULES = {
+  followUpAfterDays: 7,
+  ghostedAfterDays: 21,
+  thankYouAfterInterview: true,
+  notificationsEnabled: false
+};
+
+/**
+ * Tracker Layout Options
+ */
+export const TrackerLayout = {
+  GRID: 'grid',
+  BOARD: 'board'
+};
+
 /**
  * Voice Name Options
  */
@@ -65,6 +194,26 @@ export const Timezones = [
   { label: 'Sydney (AEST)', value: 'Australia/Sydney' }
 ];
 
+/**
+ * Labels assigned to synced emails by the local classifier
+ */
+export const EmailCategory = {
+  CONFIRMATION: 'confirmation',
+  INTERVIEW: 'interview',
+  REJECTION: 'rejection',
+  OFFER: 'offer',
+  NOISE: 'noise'
+};
+
+/**
+ * Default sender allow/deny lists for Gmail sync.
+ * Entries are full addresses (jobs@acme.com) or domains (acme.com).
+ */
+export const DEFAULT_EMAIL_FILTERS = {
+  allowSenders: [],
+  denySenders: []
+};
+
 /**
  * Default Settings
  */
@@ -74,6 +223,12 @@ export const DEFAULT_SETTINGS = {
   voiceName: VoiceNames.ZEPHYR,
   conciseness: ConcisenessLevels.NORMAL,
   timezone: 'UTC',
+  trackerLayout: TrackerLayout.GRID,
+  followUpRules: DEFAULT_FOLLOW_UP_RULES,
+  emailFilters: DEFAULT_EMAIL_FILTERS,
+  offerWeights: DEFAULT_OFFER_WEIGHTS,
+  // Approval mode per tool name; tools left out use their default (see getToolApproval)
+  toolApprovals: {},
   isGmailConnected: false,
   gmailAccessToken: '',
   gmailRefreshToken: '',
@@ -88,7 +243,10 @@ export const DEFAULT_SETTINGS = {
  */
 export const STORAGE_KEYS = {
   JOBS: 'astra-jobs',
-  SETTINGS: 'astra-settings'
+  SETTINGS: 'astra-settings',
+  REMINDERS: 'astra-reminders',
+  GMAIL_SYNC: 'astra-gmail-sync',
+  CONVERSATIONS: 'astra-conversations'
 };
 
 /**
@@ -97,6 +255,19 @@ export const STORAGE_KEYS = {
 export const AUDIO_CONFIG = {
   INPUT_SAMPLE_RATE: 16000,
   OUTPUT_SAMPLE_RATE: 24000,
-  BUFFER_SIZE: 4096,
+  // Microphone audio is resampled to INPUT_SAMPLE_RATE and sent in chunks this long
+  CAPTURE_CHUNK_MS: 100,
+  // Unsent chunks allowed to wait for the main thread before new audio is dropped
+  MAX_PENDING_CHUNKS: 10,
   FFT_SIZE: 256
-};
\ No newline at end of file
+};
+
+/**
+ * Voice Tool Call Configuration
+ */
+export const VOICE_TOOL_CONFIG = {
+  // A tool that hasn't finished by then is answered with an error
+  TIMEOUT_MS: 60000,
+  // Same for tools marked longRunning in the registry, such as a full Gmail sync
+  LONG_RUNNING_TIMEOUT_MS: 300000
+};
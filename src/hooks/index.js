@@ -1,2 +1,6 @@
 export { useJobApplications, useSettings } from './useJobApplications';
 export { useVoiceSession } from './useVoiceSession';
+export { useFollowUps } from './useFollowUps';
+export { useGmailSyncState } from './useGmailSyncState';
+export { useConversations } from './useConversations';
+export { useToolConfirmations } from './useToolConfirmations';
@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { STORAGE_KEYS } from '@/constants';
+import {
+  loadValue,
+  saveValue,
+  createConversation,
+  appendConversationMessage,
+  pruneConversations
+} from '@/services';
+
+/**
+ * Custom hook persisting assistant conversations in IndexedDB. A new
+ * conversation is created when the first message of a session arrives.
+ * @returns {Object} - Conversations, the active conversation and actions on them
+ */
+export function useConversations() {
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  // Same load states as useJobApplications; nothing is saved until loading finishes
+  const [loadState, setLoadState] = useState('loading');
+
+  const conversationsRef = useRef(conversations);
+  const activeIdRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadValue(STORAGE_KEYS.CONVERSATIONS)
+      .then((saved) => {
+        if (cancelled) return;
+        const loaded = Array.isArray(saved) ? saved : [];
+        conversationsRef.current = loaded;
+        setConversations(loaded);
+        setLoadState('loaded');
+      })
+      .catch((error) => {
+        console.error('Failed to load conversations:', error);
+        if (!cancelled) setLoadState('failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+    if (loadState !== 'loaded') return;
+    saveValue(STORAGE_KEYS.CONVERSATIONS, conversations).catch((error) => console.error('Failed to save conversations:', error));
+  }, [conversations, loadState]);
+
+  const update = useCallback((nextConversations) => {
+    conversationsRef.current = nextConversations;
+    setConversations(nextConversations);
+  }, []);
+
+  const selectConversation = useCallback((id) => {
+    activeIdRef.current = id;
+    setActiveConversationId(id);
+  }, []);
+
+  const appendMessage = useCallback((message) => {
+    let current = conversationsRef.current;
+    let id = activeIdRef.current;
+
+    if (!id || !current.some((c) => c.id === id)) {
+      const conversation = createConversation(message.timestamp);
+      id = conversation.id;
+      current = [conversation, ...current];
+      selectConversation(id);
+    }
+
+    update(pruneConversations(
+      current.map((c) => (c.id === id ? appendConversationMessage(c, message) : c))
+    ));
+  }, [update, selectConversation]);
+
+  // The next message starts a fresh conversation
+  const startNewConversation = useCallback(() => {
+    selectConversation(null);
+  }, [selectConversation]);
+
+  const deleteConversation = useCallback((id) => {
+    update(conversationsRef.current.filter((c) => c.id !== id));
+    if (activeIdRef.current === id) selectConversation(null);
+  }, [update, selectConversation]);
+
+  return {
+    conversations,
+    activeConversation: conversations.find((c) => c.id === activeConversationId) || null,
+    isLoaded: loadState !== 'loading',
+    appendMessage,
+    selectConversation,
+    startNewConversation,
+    deleteConversation
+  };
+}
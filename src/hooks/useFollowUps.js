@@ -0,0 +1,98 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { STORAGE_KEYS } from '@/constants';
+import { computeDueFollowUps, loadValue, saveValue } from '@/services';
+
+/** How often due reminders are re-evaluated while the app stays open */
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+const EMPTY_REMINDER_STATE = { dismissed: [], notified: [] };
+
+/**
+ * Custom hook for follow-up reminders with browser notifications
+ * @param {Array} applications - Job applications
+ * @param {Object} rules - Follow-up rules from settings
+ * @returns {Object} - Due reminders and actions
+ */
+export function useFollowUps(applications, rules) {
+  const [reminderState, setReminderState] = useState(EMPTY_REMINDER_STATE);
+  // Same load states as useJobApplications; nothing is saved until loading finishes
+  const [loadState, setLoadState] = useState('loading');
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    loadValue(STORAGE_KEYS.REMINDERS)
+      .then((saved) => {
+        if (cancelled) return;
+        setReminderState({
+          dismissed: Array.isArray(saved?.dismissed) ? saved.dismissed : [],
+          notified: Array.isArray(saved?.notified) ? saved.notified : []
+        });
+        setLoadState('loaded');
+      })
+      .catch((error) => {
+        console.error('Failed to load reminders:', error);
+        if (!cancelled) setLoadState('failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loadState !== 'loaded') return;
+    saveValue(STORAGE_KEYS.REMINDERS, reminderState).catch((error) => console.error('Failed to save reminders:', error));
+  }, [reminderState, loadState]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const followUps = useMemo(
+    () => computeDueFollowUps(applications, rules, reminderState.dismissed, now),
+    [applications, rules, reminderState.dismissed, now]
+  );
+
+  // Ref for tool calls and voice sessions that read reminders outside render
+  const followUpsRef = useRef(followUps);
+  followUpsRef.current = followUps;
+
+  // Notify about reminders we haven't alerted on yet (once the notified list has loaded)
+  useEffect(() => {
+    if (loadState === 'loading') return;
+    if (!rules?.notificationsEnabled || typeof Notification === 'undefined') return;
+    if (Notification.permission !== 'granted') return;
+
+    const fresh = followUps.filter((f) => !reminderState.notified.includes(f.id));
+    if (fresh.length === 0) return;
+
+    fresh.forEach((f) => {
+      try {
+        new Notification(`Astra: ${f.company}`, { body: f.message, tag: f.id });
+      } catch (e) {
+        // Some browsers only allow notifications from a service worker
+      }
+    });
+
+    setReminderState((prev) => ({
+      ...prev,
+      notified: [...prev.notified, ...fresh.map((f) => f.id)]
+    }));
+  }, [followUps, rules?.notificationsEnabled, reminderState.notified, loadState]);
+
+  const dismissFollowUp = useCallback((id) => {
+    setReminderState((prev) => ({
+      ...prev,
+      dismissed: prev.dismissed.includes(id) ? prev.dismissed : [...prev.dismissed, id]
+    }));
+  }, []);
+
+  const getDueFollowUps = useCallback(() => followUpsRef.current, []);
+
+  return {
+    followUps,
+    dismissFollowUp,
+    getDueFollowUps
+  };
+}
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { STORAGE_KEYS } from '@/constants';
+import { EMPTY_GMAIL_SYNC_STATE, loadValue, saveValue } from '@/services';
+
+/**
+ * Custom hook persisting the Gmail history cursor and processed-message ledger
+ * @returns {Object} - Sync state ref, update/reset functions and whether it has loaded
+ */
+export function useGmailSyncState() {
+  const [syncState, setSyncState] = useState(EMPTY_GMAIL_SYNC_STATE);
+  // Same load states as useJobApplications; nothing is saved until loading finishes
+  const [loadState, setLoadState] = useState('loading');
+
+  const syncStateRef = useRef(syncState);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadValue(STORAGE_KEYS.GMAIL_SYNC)
+      .then((saved) => {
+        if (cancelled) return;
+        const loaded = saved && typeof saved === 'object' ? { ...EMPTY_GMAIL_SYNC_STATE, ...saved } : EMPTY_GMAIL_SYNC_STATE;
+        syncStateRef.current = loaded;
+        setSyncState(loaded);
+        setLoadState('loaded');
+      })
+      .catch((error) => {
+        console.error('Failed to load Gmail sync state:', error);
+        if (!cancelled) setLoadState('failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    syncStateRef.current = syncState;
+    if (loadState !== 'loaded') return;
+    saveValue(STORAGE_KEYS.GMAIL_SYNC, syncState).catch((error) => console.error('Failed to save Gmail sync state:', error));
+  }, [syncState, loadState]);
+
+  const updateSyncState = useCallback((nextState) => {
+    syncStateRef.current = nextState;
+    setSyncState(nextState);
+  }, []);
+
+  const resetSyncState = useCallback(() => {
+    syncStateRef.current = EMPTY_GMAIL_SYNC_STATE;
+    setSyncState(EMPTY_GMAIL_SYNC_STATE);
+  }, []);
+
+  return {
+    syncStateRef,
+    updateSyncState,
+    resetSyncState,
+    isLoaded: loadState !== 'loading'
+  };
+}
@@ -1,32 +1,288 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { STORAGE_KEYS, DEFAULT_SETTINGS } from '@/constants';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, StatusOrigin, JobStatus } from '@/constants';
+import {
+  withAppliedAt,
+  normalizeJobDetails,
+  describeJobDetails,
+  upsertInterviewRound,
+  normalizeOffer,
+  mergeOffer,
+  loadJobs,
+  saveJobs,
+  loadValue,
+  saveValue,
+  TAB_SYNC_CHANNEL,
+  diffApplications,
+  mergeRemoteChanges
+} from '@/services';
 
 /**
- * Custom hook for managing job applications with localStorage persistence
+ * Returns the job with a history entry appended when its status changed
+ * @param {Object|null} previous - Job before the change (null for new jobs)
+ * @param {Object} next - Job after the change
+ * @param {string} origin - StatusOrigin value describing who made the change
+ * @returns {Object} - Job with an up-to-date statusHistory
+ */
+function withStatusTransition(previous, next, origin) {
+  const history = next.statusHistory || previous?.statusHistory || [];
+  const fromStatus = previous ? previous.status : null;
+
+  if (previous && fromStatus === next.status) {
+    return { ...next, statusHistory: history };
+  }
+  // Imported records bring their own timeline
+  if (!previous && history.length > 0) {
+    return { ...next, statusHistory: history };
+  }
+
+  // New jobs start their timeline at the application date when we know it
+  const at = !previous && next.appliedAt ? next.appliedAt : new Date().toISOString();
+
+  return {
+    ...next,
+    statusHistory: [...history, { from: fromStatus, status: next.status, at, origin }]
+  };
+}
+
+/**
+ * Returns the job with an email attached to its correspondence
+ * @param {Object} job - Job application
+ * @param {Object} [email] - Linked email (see toLinkedEmail); ignored when missing
+ * @returns {Object} - Job whose emails list includes the message once
+ */
+function withLinkedEmail(job, email) {
+  if (!email) return job;
+  const emails = job.emails || [];
+  if (emails.some((e) => e.messageId === email.messageId)) return job;
+  return { ...job, emails: [...emails, email] };
+}
+
+/**
+ * Stamps a record as changed now, so other tabs can tell which version is newer
+ * @param {Object} job - Job application
+ * @returns {Object} - Job with updatedAt set
+ */
+function touch(job) {
+  return { ...job, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Reply for tool calls that target an unknown application ID
+ * @param {string} id - Requested ID
+ * @returns {string} - Message telling the assistant how to recover
+ */
+function notFoundMessage(id) {
+  return `No application has the ID "${id}". Look it up with find_job_applications and use one of the IDs it returns.`;
+}
+
+/** Most actions kept for undo */
+const MAX_UNDO_ACTIONS = 50;
+
+/**
+ * Moves the records that differ between two snapshots to their `to` version,
+ * keeping records neither snapshot touched (including later or other-tab edits).
+ * Records are compared by reference, since untouched records keep their identity.
+ * @param {Array} current - Current applications
+ * @param {Array} from - Snapshot the current records were derived from
+ * @param {Array} to - Snapshot to move the changed records to
+ * @returns {Array} - Updated applications
+ */
+function applySnapshotChange(current, from, to) {
+  const fromById = new Map(from.map((j) => [j.id, j]));
+  const toById = new Map(to.map((j) => [j.id, j]));
+
+  const updated = current
+    // Drop records that only exist in `from`
+    .filter((j) => toById.has(j.id) || !fromById.has(j.id))
+    // Restore records that differ between the snapshots
+    .map((j) =>
+      toById.has(j.id) && toById.get(j.id) !== fromById.get(j.id)
+        ? touch(toById.get(j.id))
+        : j
+    );
+
+  // Bring back records that only exist in `to`
+  const restored = to
+    .filter((j) => !fromById.has(j.id) && !updated.some((u) => u.id === j.id))
+    .map(touch);
+
+  return [...restored, ...updated];
+}
+
+/**
+ * Formats a history timestamp for assistant responses
+ * @param {string} at - ISO timestamp
+ * @returns {string} - Human readable UTC date and time
+ */
+function formatHistoryTime(at) {
+  return new Date(at).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+/**
+ * Custom hook for managing job applications with IndexedDB persistence
  * @returns {Object} - Job applications state and actions
  */
 export function useJobApplications() {
-  const [applications, setApplications] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEYS.JOBS);
-    return saved ? JSON.parse(saved) : [];
-  });
+  const [applications, setApplications] = useState([]);
+  // 'loading' until storage is read; 'failed' keeps us from overwriting data we couldn't read
+  const [loadState, setLoadState] = useState('loading');
 
   // Ref for latest applications to avoid stale closures
   const applicationsRef = useRef(applications);
 
+  // Records as last broadcast to (or received from) other tabs, and deletions seen
+  const knownRef = useRef(new Map());
+  const tombstonesRef = useRef(new Map());
+  const channelRef = useRef(null);
+
+  // Undo/redo action log ({ label, before, after } snapshots), newest last
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const isBatchingRef = useRef(false);
+  const [actionHistory, setActionHistory] = useState({ undoLabel: null, redoLabel: null, lastEvent: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadJobs()
+      .then((jobs) => {
+        if (cancelled) return;
+        knownRef.current = new Map(jobs.map((j) => [j.id, j]));
+        applicationsRef.current = jobs;
+        setApplications(jobs);
+        setLoadState('loaded');
+      })
+      .catch((error) => {
+        console.error('Failed to load job applications:', error);
+        if (cancelled) return;
+        setLoadState('failed');
+        alert("Your saved applications couldn't be loaded. Changes made now won't be saved.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Apply changes other tabs broadcast, keeping the newest version of each record
+  useEffect(() => {
+    if (loadState !== 'loaded' || typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+    channelRef.current = channel;
+    channel.onmessage = ({ data }) => {
+      if (data?.type !== 'jobs-changed') return;
+      const merged = mergeRemoteChanges(applicationsRef.current, data, tombstonesRef.current);
+      if (merged === applicationsRef.current) return;
+
+      // Received records are already known to every tab, so they aren't broadcast back
+      knownRef.current = new Map(merged.map((j) => [j.id, j]));
+      applicationsRef.current = merged;
+      setApplications(merged);
+    };
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [loadState]);
+
   useEffect(() => {
     applicationsRef.current = applications;
-    localStorage.setItem(STORAGE_KEYS.JOBS, JSON.stringify(applications));
-  }, [applications]);
+    if (loadState !== 'loaded') return;
+
+    const changes = diffApplications(knownRef.current, applications);
+    knownRef.current = new Map(applications.map((j) => [j.id, j]));
+    changes.deletions.forEach(({ id, deletedAt }) => tombstonesRef.current.set(id, deletedAt));
+    if (changes.upserts.length > 0 || changes.deletions.length > 0) {
+      channelRef.current?.postMessage({ type: 'jobs-changed', ...changes });
+    }
+
+    saveJobs(applications).catch((error) => console.error('Failed to save job applications:', error));
+  }, [applications, loadState]);
 
-  const saveJobApplication = useCallback((jobData) => {
+  const publishHistory = useCallback((type, label) => {
+    const undoStack = undoStackRef.current;
+    const redoStack = redoStackRef.current;
+    setActionHistory({
+      undoLabel: undoStack[undoStack.length - 1]?.label || null,
+      redoLabel: redoStack[redoStack.length - 1]?.label || null,
+      lastEvent: { id: Date.now() + Math.random(), type, label }
+    });
+  }, []);
+
+  const recordAction = useCallback((label, before, after) => {
+    undoStackRef.current = [...undoStackRef.current, { label, before, after }].slice(-MAX_UNDO_ACTIONS);
+    redoStackRef.current = [];
+    publishHistory('done', label);
+  }, [publishHistory]);
+
+  /**
+   * Applies a mutation and logs it for undo (unless a batch is collecting changes)
+   */
+  const commit = useCallback((updatedApps, label) => {
+    const before = applicationsRef.current;
+    applicationsRef.current = updatedApps;
+    setApplications(updatedApps);
+    if (!isBatchingRef.current) recordAction(label, before, updatedApps);
+  }, [recordAction]);
+
+  /**
+   * Runs several mutations as a single undoable action
+   */
+  const batchChanges = useCallback((label, fn) => {
+    if (isBatchingRef.current) return fn();
+
+    const before = applicationsRef.current;
+    isBatchingRef.current = true;
+    try {
+      return fn();
+    } finally {
+      isBatchingRef.current = false;
+      if (applicationsRef.current !== before) {
+        recordAction(label, before, applicationsRef.current);
+      }
+    }
+  }, [recordAction]);
+
+  const undo = useCallback(() => {
+    const action = undoStackRef.current[undoStackRef.current.length - 1];
+    if (!action) return null;
+
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    redoStackRef.current = [...redoStackRef.current, action];
+    const updatedApps = applySnapshotChange(applicationsRef.current, action.after, action.before);
+    applicationsRef.current = updatedApps;
+    setApplications(updatedApps);
+    publishHistory('undone', action.label);
+    return action.label;
+  }, [publishHistory]);
+
+  const redo = useCallback(() => {
+    const action = redoStackRef.current[redoStackRef.current.length - 1];
+    if (!action) return null;
+
+    redoStackRef.current = redoStackRef.current.slice(0, -1);
+    undoStackRef.current = [...undoStackRef.current, action];
+    const updatedApps = applySnapshotChange(applicationsRef.current, action.before, action.after);
+    applicationsRef.current = updatedApps;
+    setApplications(updatedApps);
+    publishHistory('redone', action.label);
+    return action.label;
+  }, [publishHistory]);
+
+  const saveJobApplication = useCallback((fields, origin = StatusOrigin.MANUAL, linkedEmail = null) => {
     const currentApps = applicationsRef.current;
+    // Callers convert wall-clock dates in the user's timezone; anything left over is UTC
+    const jobData = normalizeJobDetails(withAppliedAt(fields));
 
     // Check if job exists by ID
     if (jobData.id) {
-      const updatedApps = currentApps.map((j) => (j.id === jobData.id ? jobData : j));
-      applicationsRef.current = updatedApps;
-      setApplications(updatedApps);
+      if (!currentApps.some((j) => j.id === jobData.id)) return notFoundMessage(jobData.id);
+      const updatedApps = currentApps.map((j) =>
+        j.id === jobData.id
+          ? touch(withLinkedEmail(withStatusTransition(j, { ...j, ...jobData }, origin), linkedEmail))
+          : j
+      );
+      commit(updatedApps, `Edited ${jobData.company || 'application'}`);
       return `Job application for ${jobData.company} updated successfully.`;
     }
 
@@ -35,110 +291,213 @@ export function useJobApplications() {
     const existingJobIndex = currentApps.findIndex(j =>
       j.company.toLowerCase() === jobData.company.toLowerCase() &&
       j.role.toLowerCase() === jobData.role.toLowerCase() &&
-      j.dateApplied === jobData.dateApplied && 
-      j.timeApplied === jobData.timeApplied &&
-      j.status === jobData.status &&
-      j.timeApplied === jobData.timeApplied
+      j.appliedAt === jobData.appliedAt &&
+      j.status === jobData.status
     );
 
     if (existingJobIndex >= 0) {
       // Update existing job
       const existingJob = currentApps[existingJobIndex];
-      const updatedJob = { ...existingJob, ...jobData, id: existingJob.id };
+      const updatedJob = touch(withLinkedEmail(withStatusTransition(
+        existingJob,
+        { ...existingJob, ...jobData, id: existingJob.id },
+        origin
+      ), linkedEmail));
 
       const updatedApps = [...currentApps];
       updatedApps[existingJobIndex] = updatedJob;
 
-      applicationsRef.current = updatedApps;
-      setApplications(updatedApps);
+      commit(updatedApps, `Updated ${jobData.role} at ${jobData.company}`);
       return `Updated existing application for ${jobData.role} at ${jobData.company}.`;
     }
 
     // Create new job
     // Add random suffix to prevent ID collisions in tight loops
-    const newJob = {
+    const newJob = touch(withLinkedEmail(withStatusTransition(null, {
+      appliedAt: new Date().toISOString(),
       ...jobData,
       id: Date.now().toString() + Math.random().toString(36).substr(2, 9)
-    };
-
-    const updatedApps = [newJob, ...currentApps];
-    applicationsRef.current = updatedApps;
-    setApplications(updatedApps);
+    }, origin), linkedEmail));
 
+    commit([newJob, ...currentApps], `Added ${newJob.role} at ${newJob.company}`);
     return `Successfully added ${newJob.role} at ${newJob.company} to your tracker.`;
-  }, []);
+  }, [commit]);
 
   const deleteJobApplication = useCallback((id) => {
     const jobToDelete = applicationsRef.current.find((j) => j.id === id);
-    if (jobToDelete) {
-      setApplications((prev) => prev.filter((j) => j.id !== id));
-      return `Removed the application for ${jobToDelete.company} from your list.`;
-    }
-    return "I couldn't find that job application in your tracker.";
-  }, []);
+    if (!jobToDelete) return notFoundMessage(id);
 
-  const updateJobStatus = useCallback((companyName, newStatus) => {
-    const job = applicationsRef.current.find((j) =>
-      j.company.toLowerCase().includes(companyName.toLowerCase())
+    commit(applicationsRef.current.filter((j) => j.id !== id), `Deleted ${jobToDelete.company}`);
+    return `Removed the application for ${jobToDelete.role} at ${jobToDelete.company} from your list.`;
+  }, [commit]);
+
+  const updateJobStatus = useCallback((id, newStatus, origin = StatusOrigin.ASSISTANT, linkedEmail = null) => {
+    const job = applicationsRef.current.find((j) => j.id === id);
+    if (!job) return notFoundMessage(id);
+
+    const updatedApps = applicationsRef.current.map((j) =>
+      j.id === id
+        ? touch(withLinkedEmail(withStatusTransition(j, { ...j, status: newStatus }, origin), linkedEmail))
+        : j
     );
-    if (job) {
-      setApplications((prev) =>
-        prev.map((j) => (j.id === job.id ? { ...j, status: newStatus } : j))
-      );
-      return `I've updated your status for ${job.company} to ${newStatus}.`;
-    }
-    return `I couldn't find an application for "${companyName}" in your tracker.`;
-  }, []);
+    commit(updatedApps, `Moved ${job.company} to ${newStatus}`);
+    return `I've updated your status for ${job.role} at ${job.company} to ${newStatus}.`;
+  }, [commit]);
+
+  /**
+   * Adds (or reschedules) an interview round. Applications that were still
+   * Applied or Ghosted move to Interviewing.
+   */
+  const scheduleInterview = useCallback((id, round, origin = StatusOrigin.ASSISTANT, linkedEmail = null) => {
+    const job = applicationsRef.current.find((j) => j.id === id);
+    if (!job) return notFoundMessage(id);
+    if (!round.scheduledAt) return 'The interview needs a valid date. Ask the user when it is.';
+
+    const status = [JobStatus.APPLIED, JobStatus.GHOSTED].includes(job.status) ? JobStatus.INTERVIEWING : job.status;
+    const updatedApps = applicationsRef.current.map((j) =>
+      j.id === id
+        ? touch(withLinkedEmail(withStatusTransition(j, {
+          ...j,
+          status,
+          interviews: upsertInterviewRound(j.interviews, round)
+        }, origin), linkedEmail))
+        : j
+    );
+    commit(updatedApps, `Scheduled ${round.type} interview at ${job.company}`);
+    const moved = status !== job.status ? ` and moved it to ${status}` : '';
+    return `Scheduled the ${round.type} interview for ${job.role} at ${job.company}${moved}.`;
+  }, [commit]);
+
+  const recordOffer = useCallback((id, fields, origin = StatusOrigin.ASSISTANT) => {
+    const job = applicationsRef.current.find((j) => j.id === id);
+    if (!job) return notFoundMessage(id);
+
+    const updatedApps = applicationsRef.current.map((j) =>
+      j.id === id
+        ? touch(withStatusTransition(j, {
+          ...j,
+          status: JobStatus.OFFER,
+          offer: mergeOffer(j.offer, normalizeOffer(fields))
+        }, origin))
+        : j
+    );
+    commit(updatedApps, `Updated offer from ${job.company}`);
+    const moved = job.status !== JobStatus.OFFER ? ' and moved it to Offer' : '';
+    return `Recorded the offer details for ${job.role} at ${job.company}${moved}.`;
+  }, [commit]);
 
   const listJobs = useCallback(() => {
     const jobs = applicationsRef.current;
     if (jobs.length === 0) return "You haven't added any job applications yet.";
 
     const list = jobs
-      .map((j, i) => `${i + 1}. ${j.company} - ${j.role} (${j.status})`)
+      .map((j, i) => {
+        const details = describeJobDetails(j);
+        return `${i + 1}. ${j.company} - ${j.role} (${j.status})${details ? ` · ${details}` : ''} [id: ${j.id}]`;
+      })
       .join('\n');
     return `You have ${jobs.length} applications in your tracker:\n${list}`;
   }, []);
 
-  const findJobByCompany = useCallback((companyName) => {
-    return applicationsRef.current.find((j) =>
-      j.company.toLowerCase().includes(companyName.toLowerCase())
+  const getStatusHistory = useCallback((id) => {
+    const job = applicationsRef.current.find((j) => j.id === id);
+    if (!job) return notFoundMessage(id);
+
+    const history = job.statusHistory || [];
+    if (history.length === 0) {
+      return `${job.role} at ${job.company} is ${job.status}. No status changes have been recorded yet.`;
+    }
+    const lines = history.map((h) =>
+      h.from
+        ? `- ${formatHistoryTime(h.at)}: ${h.from} → ${h.status} (${h.origin})`
+        : `- ${formatHistoryTime(h.at)}: added as ${h.status} (${h.origin})`
+    );
+    return `${job.role} at ${job.company} (currently ${job.status}):\n${lines.join('\n')}`;
+  }, []);
+
+  const getApplicationEmails = useCallback((id) => {
+    const job = applicationsRef.current.find((j) => j.id === id);
+    if (!job) return notFoundMessage(id);
+
+    const emails = job.emails || [];
+    if (emails.length === 0) {
+      return `No emails are linked to ${job.role} at ${job.company} yet. Emails are linked when Gmail sync updates an application.`;
+    }
+    const messages = emails.map((e) =>
+      `From: ${e.from}\nDate: ${e.receivedAt || 'Unknown'}\nSubject: ${e.subject}\n${e.body || e.snippet}`
     );
+    return `Emails for ${job.role} at ${job.company} (oldest first):\n\n${messages.join('\n\n---\n\n')}`;
   }, []);
 
+  /**
+   * Reverts the records a batch of changes touched, keeping unrelated later edits.
+   * The revert is itself an action, so it can be undone.
+   */
+  const revertChanges = useCallback((before, after, label = 'Undid changes') => {
+    commit(applySnapshotChange(applicationsRef.current, after, before), label);
+  }, [commit]);
+
   const clearAllJobs = useCallback(() => {
-    setApplications([]);
-    localStorage.removeItem(STORAGE_KEYS.JOBS);
-  }, []);
+    commit([], 'Cleared all applications');
+  }, [commit]);
 
   return {
     applications,
     applicationsRef,
+    isLoaded: loadState !== 'loading',
     saveJobApplication,
     deleteJobApplication,
     updateJobStatus,
+    scheduleInterview,
+    recordOffer,
+    getStatusHistory,
+    getApplicationEmails,
     listJobs,
-    findJobByCompany,
-    clearAllJobs
+    revertChanges,
+    clearAllJobs,
+    batchChanges,
+    undo,
+    redo,
+    actionHistory
   };
 }
 
 /**
- * Custom hook for managing app settings with localStorage persistence
+ * Custom hook for managing app settings with IndexedDB persistence
  * @returns {Object} - Settings state and update function
  */
 export function useSettings() {
-  const [settings, setSettings] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-    return saved ? JSON.parse(saved) : DEFAULT_SETTINGS;
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // Same load states as useJobApplications; defaults are used if loading fails
+  const [loadState, setLoadState] = useState('loading');
 
   const settingsRef = useRef(settings);
 
+  useEffect(() => {
+    let cancelled = false;
+    loadValue(STORAGE_KEYS.SETTINGS)
+      .then((saved) => {
+        if (cancelled) return;
+        // Merge over defaults so settings added in newer versions get a value
+        const loaded = saved && typeof saved === 'object' ? { ...DEFAULT_SETTINGS, ...saved } : DEFAULT_SETTINGS;
+        settingsRef.current = loaded;
+        setSettings(loaded);
+        setLoadState('loaded');
+      })
+      .catch((error) => {
+        console.error('Failed to load settings:', error);
+        if (!cancelled) setLoadState('failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     settingsRef.current = settings;
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-  }, [settings]);
+    if (loadState !== 'loaded') return;
+    saveValue(STORAGE_KEYS.SETTINGS, settings).catch((error) => console.error('Failed to save settings:', error));
+  }, [settings, loadState]);
 
   const updateSettings = useCallback((newSettings) => {
     setSettings(newSettings);
@@ -147,6 +506,7 @@ export function useSettings() {
   return {
     settings,
     settingsRef,
+    isLoaded: loadState !== 'loading',
     updateSettings
   };
 }
@@ -0,0 +1,70 @@
+import { useState, useRef, useCallback } from 'react';
+
+/**
+ * Custom hook holding assistant tool calls that wait for the user's go-ahead.
+ * Each request shows until it is approved, declined or dismissed.
+ * @returns {Object} - Open confirmations and actions on them
+ */
+export function useToolConfirmations() {
+  const [confirmations, setConfirmations] = useState([]);
+  const confirmationsRef = useRef([]);
+  // Resolvers of the promises handed out by requestConfirmation, by confirmation ID
+  const resolversRef = useRef(new Map());
+
+  const update = useCallback((nextConfirmations) => {
+    confirmationsRef.current = nextConfirmations;
+    setConfirmations(nextConfirmations);
+  }, []);
+
+  /**
+   * Settles a confirmation
+   * @param {string} id - Confirmation ID
+   * @param {boolean|null} approved - The user's decision, or null when it was
+   *   dismissed without one (e.g. answered out loud instead)
+   */
+  const resolveConfirmation = useCallback((id, approved) => {
+    const resolve = resolversRef.current.get(id);
+    resolversRef.current.delete(id);
+    update(confirmationsRef.current.filter((c) => c.id !== id));
+    resolve?.(approved);
+  }, [update]);
+
+  /**
+   * Shows a confirmation
+   * @param {Object} request - What to confirm ({ call, channel, summary, permission })
+   * @param {AbortSignal} [signal] - Declines the request when aborted
+   * @returns {Promise<boolean|null>} - Resolves with the decision (see resolveConfirmation)
+   */
+  const requestConfirmation = useCallback((request, signal) => {
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    update([...confirmationsRef.current, { id, ...request }]);
+
+    return new Promise((resolve) => {
+      resolversRef.current.set(id, resolve);
+      signal?.addEventListener('abort', () => resolveConfirmation(id, false), { once: true });
+    });
+  }, [update, resolveConfirmation]);
+
+  /**
+   * Dismisses every open confirmation from a channel without a decision
+   * @param {string} channel - ToolChannel whose confirmations are dismissed
+   */
+  const dismissConfirmations = useCallback((channel) => {
+    confirmationsRef.current
+      .filter((c) => c.channel === channel)
+      .forEach((c) => resolveConfirmation(c.id, null));
+  }, [resolveConfirmation]);
+
+  const findConfirmation = useCallback(
+    (predicate) => confirmationsRef.current.find(predicate) || null,
+    []
+  );
+
+  return {
+    confirmations,
+    requestConfirmation,
+    resolveConfirmation,
+    dismissConfirmations,
+    findConfirmation
+  };
+}
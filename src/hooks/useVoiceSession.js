@@ -1,29 +1,52 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { AssistantState, AUDIO_CONFIG } from '@/constants';
-import { decode, decodeAudioData, createAudioBlob, createVoiceSession } from '@/services';
+import { AssistantState, AUDIO_CONFIG, VOICE_TOOL_CONFIG } from '@/constants';
+import { decode, decodeAudioData, createPcmBlob, createVoiceSession, createToolResponse, getTool } from '@/services';
+
+// Emitted as a separate asset by Vite; audio worklets load their own module
+const PCM_CAPTURE_WORKLET_URL = new URL('../worklets/pcmCaptureProcessor.js', import.meta.url);
+
+/**
+ * Lists tool calls in progress for display
+ * @param {Map} calls - Pending calls by ID
+ * @returns {Array<{ id: string, name: string }>} - Pending calls
+ */
+function listPendingTools(calls) {
+  return Array.from(calls, ([id, { name }]) => ({ id, name }));
+}
 
 /**
- * Custom hook for managing voice chat session with Gemini
+ * Custom hook for managing voice chat session with Gemini. Tool calls run
+ * without holding up the session: onToolCall is called with
+ * (functionCall, { signal }) and may return a promise; the signal aborts when
+ * Gemini cancels the call (the user interrupted), it times out or the session ends.
  * @param {Object} options - Hook configuration
- * @returns {Object} - Voice session state and controls
+ * @returns {Object} - Voice session state, tool calls in progress and controls
  */
 export function useVoiceSession(options) {
-  const { settingsRef, onMessage, onToolCall, onError } = options;
+  const { settingsRef, onMessage, onToolCall, onError, getSessionContext } = options;
 
   const [state, setState] = useState(AssistantState.IDLE);
+  // Tool calls still running: [{ id, name }]
+  const [pendingTools, setPendingTools] = useState([]);
 
   // Audio refs
   const inputAudioCtxRef = useRef(null);
   const outputAudioCtxRef = useRef(null);
-  const scriptProcessorRef = useRef(null);
+  const micSourceRef = useRef(null);
+  const captureNodeRef = useRef(null);
+  const captureModuleLoadedRef = useRef(false);
   const analyserRef = useRef(null);
   const sourcesRef = useRef(new Set());
   const nextStartTimeRef = useRef(0);
 
-  // Session ref
+  // Session refs; callbacks from a session that has been torn down are ignored
   const sessionRef = useRef(null);
+  const activeSessionPromiseRef = useRef(null);
   const streamRef = useRef(null);
 
+  // Tool calls in progress by call ID: { name, controller, timer }
+  const pendingToolCallsRef = useRef(new Map());
+
   // Transcription tracking
   const currentInputTranscription = useRef('');
   const currentOutputTranscription = useRef('');
@@ -40,6 +63,79 @@ export function useVoiceSession(options) {
     nextStartTimeRef.current = 0;
   }, []);
 
+  // Removes a call from the pending list; returns it, or null if it was already settled
+  const settleToolCall = useCallback((id) => {
+    const call = pendingToolCallsRef.current.get(id);
+    if (!call) return null;
+    clearTimeout(call.timer);
+    pendingToolCallsRef.current.delete(id);
+    setPendingTools(listPendingTools(pendingToolCallsRef.current));
+    return call;
+  }, []);
+
+  // Drops a call without answering it
+  const cancelToolCall = useCallback((id) => {
+    settleToolCall(id)?.controller.abort();
+  }, [settleToolCall]);
+
+  const runToolCall = useCallback((fc, sessionPromise) => {
+    const controller = new AbortController();
+    const respond = (response) => {
+      // Cancelled and timed-out calls have already been dealt with
+      if (!settleToolCall(fc.id)) return;
+      sessionPromise
+        .then((session) => session.sendToolResponse({ functionResponses: createToolResponse(fc, response) }))
+        .catch((error) => console.warn('Could not send tool response:', error));
+    };
+
+    const timeoutMs = getTool(fc.name)?.longRunning
+      ? VOICE_TOOL_CONFIG.LONG_RUNNING_TIMEOUT_MS
+      : VOICE_TOOL_CONFIG.TIMEOUT_MS;
+    const timer = setTimeout(() => {
+      respond({ error: `${fc.name} did not finish within ${timeoutMs / 1000} seconds. Tell the user it timed out.` });
+      controller.abort();
+    }, timeoutMs);
+    pendingToolCallsRef.current.set(fc.id, { name: fc.name, controller, timer });
+    setPendingTools(listPendingTools(pendingToolCallsRef.current));
+
+    Promise.resolve()
+      .then(() => onToolCall(fc, { signal: controller.signal }))
+      .then(
+        (result) => respond({ result: result || 'Done.' }),
+        (error) => respond({ error: error.message || `${fc.name} failed.` })
+      );
+  }, [onToolCall, settleToolCall]);
+
+  // Ends the session and releases everything it holds: pending tool calls,
+  // the microphone and capture worklet, and queued playback
+  const teardownSession = useCallback(() => {
+    activeSessionPromiseRef.current = null;
+    Array.from(pendingToolCallsRef.current.keys()).forEach(cancelToolCall);
+    if (sessionRef.current) {
+      try {
+        sessionRef.current.close();
+      } catch (e) {
+        // Ignore close errors
+      }
+      sessionRef.current = null;
+    }
+    if (captureNodeRef.current) {
+      captureNodeRef.current.port.onmessage = null;
+      captureNodeRef.current.port.postMessage({ type: 'stop' });
+      captureNodeRef.current.disconnect();
+      captureNodeRef.current = null;
+    }
+    if (micSourceRef.current) {
+      micSourceRef.current.disconnect();
+      micSourceRef.current = null;
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    stopAllAudio();
+  }, [stopAllAudio, cancelToolCall]);
+
   const startSession = useCallback(async () => {
     // Guard against multiple sessions
     if (state !== AssistantState.IDLE && state !== AssistantState.ERROR) {
@@ -50,10 +146,11 @@ export function useVoiceSession(options) {
       setState(AssistantState.CONNECTING);
       nextStartTimeRef.current = 0;
 
-      // Initialize audio contexts
+      // Initialize audio contexts. Input runs at the hardware rate; the
+      // capture worklet resamples to AUDIO_CONFIG.INPUT_SAMPLE_RATE itself
       if (!inputAudioCtxRef.current) {
         inputAudioCtxRef.current = new (window.AudioContext ||
-          window.webkitAudioContext)({ sampleRate: AUDIO_CONFIG.INPUT_SAMPLE_RATE });
+          window.webkitAudioContext)({ latencyHint: 'interactive' });
       }
       if (!outputAudioCtxRef.current) {
         outputAudioCtxRef.current = new (window.AudioContext ||
@@ -66,6 +163,11 @@ export function useVoiceSession(options) {
       if (inputCtx.state === 'suspended') await inputCtx.resume();
       if (outputCtx.state === 'suspended') await outputCtx.resume();
 
+      if (!captureModuleLoadedRef.current) {
+        await inputCtx.audioWorklet.addModule(PCM_CAPTURE_WORKLET_URL);
+        captureModuleLoadedRef.current = true;
+      }
+
       // Create analyser for waveform visualization
       const analyser = outputCtx.createAnalyser();
       analyser.fftSize = AUDIO_CONFIG.FFT_SIZE;
@@ -76,46 +178,69 @@ export function useVoiceSession(options) {
       streamRef.current = stream;
 
       // Create voice session
+      const context = getSessionContext ? getSessionContext() : {};
+      const isActive = () => activeSessionPromiseRef.current === sessionPromise;
       const sessionPromise = createVoiceSession({
         settings: settingsRef.current,
+        context,
         callbacks: {
           onopen: () => {
+            if (!isActive()) return;
             setState(AssistantState.LISTENING);
+
+            // Let Astra open with any due follow-ups instead of waiting for the user
+            if (context.followUps?.length > 0) {
+              sessionPromise.then((session) => {
+                session.sendClientContent({
+                  turns: [{ role: 'user', parts: [{ text: 'Hi Astra. Anything I should follow up on?' }] }],
+                  turnComplete: true
+                });
+              });
+            }
+
+            // Resampling and PCM16 conversion happen on the audio thread;
+            // the main thread only encodes and sends finished chunks
             const source = inputCtx.createMediaStreamSource(stream);
-            const scriptProcessor = inputCtx.createScriptProcessor(
-              AUDIO_CONFIG.BUFFER_SIZE,
-              1,
-              1
-            );
-            scriptProcessorRef.current = scriptProcessor;
-
-            scriptProcessor.onaudioprocess = (audioProcessingEvent) => {
-              const inputData = audioProcessingEvent.inputBuffer.getChannelData(0);
-              const pcmBlob = createAudioBlob(inputData);
+            const captureNode = new AudioWorkletNode(inputCtx, 'pcm-capture-processor', {
+              numberOfInputs: 1,
+              numberOfOutputs: 1,
+              channelCount: 1,
+              channelCountMode: 'explicit',
+              processorOptions: {
+                targetSampleRate: AUDIO_CONFIG.INPUT_SAMPLE_RATE,
+                chunkSize: Math.round(AUDIO_CONFIG.INPUT_SAMPLE_RATE * AUDIO_CONFIG.CAPTURE_CHUNK_MS / 1000),
+                maxPendingChunks: AUDIO_CONFIG.MAX_PENDING_CHUNKS
+              }
+            });
+            micSourceRef.current = source;
+            captureNodeRef.current = captureNode;
+
+            captureNode.port.onmessage = (event) => {
+              const { pcm, dropped } = event.data;
+              if (dropped > 0) {
+                console.warn(`Dropped ${dropped} microphone chunk(s) while the page was busy`);
+              }
+              const pcmBlob = createPcmBlob(new Int16Array(pcm));
               sessionPromise.then((session) => {
                 if (session) session.sendRealtimeInput({ media: pcmBlob });
               });
+              // Acknowledge the chunk and hand its buffer back for reuse
+              captureNode.port.postMessage({ type: 'ack', pcm }, [pcm]);
             };
-            source.connect(scriptProcessor);
-            scriptProcessor.connect(inputCtx.destination);
+            source.connect(captureNode);
+            // The node outputs silence; connecting it keeps it rendering
+            captureNode.connect(inputCtx.destination);
           },
           onmessage: async (message) => {
-            // Handle tool calls
+            if (!isActive()) return;
+            // Handle tool calls; each answers the session when it finishes
             if (message.toolCall) {
-              for (const fc of message.toolCall.functionCalls) {
-                const result = onToolCall(fc);
-                if (result) {
-                  sessionPromise.then((session) => {
-                    session.sendToolResponse({
-                      functionResponses: {
-                        id: fc.id,
-                        name: fc.name,
-                        response: { result }
-                      }
-                    });
-                  });
-                }
-              }
+              message.toolCall.functionCalls.forEach((fc) => runToolCall(fc, sessionPromise));
+            }
+
+            // Gemini cancels calls from a turn the user talked over
+            if (message.toolCallCancellation) {
+              (message.toolCallCancellation.ids || []).forEach(cancelToolCall);
             }
 
             // Handle transcriptions
@@ -180,44 +305,45 @@ export function useVoiceSession(options) {
           },
           onerror: (e) => {
             console.error('Live Error:', e);
+            if (!isActive()) return;
+            teardownSession();
             onError('Connection interrupted. Please refresh or check your API key.');
             setState(AssistantState.ERROR);
           },
           onclose: () => {
-            if (state !== AssistantState.ERROR) {
-              setState(AssistantState.IDLE);
-            }
+            if (!isActive()) return;
+            teardownSession();
+            setState((current) => (current === AssistantState.ERROR ? current : AssistantState.IDLE));
           }
         }
       });
+      activeSessionPromiseRef.current = sessionPromise;
 
-      sessionRef.current = await sessionPromise;
+      const session = await sessionPromise;
+      if (isActive()) {
+        sessionRef.current = session;
+      } else {
+        // Stopped or closed while connecting
+        session.close();
+      }
     } catch (err) {
       onError(err.message || 'Microphone access denied or session failed to start.');
       setState(AssistantState.ERROR);
     }
-  }, [settingsRef, onMessage, onToolCall, onError, stopAllAudio, state]);
+  }, [settingsRef, onMessage, runToolCall, cancelToolCall, onError, getSessionContext, stopAllAudio, teardownSession, state]);
 
   const stopSession = useCallback(() => {
-    if (sessionRef.current) {
-      try {
-        sessionRef.current.close();
-      } catch (e) {
-        // Ignore close errors
-      }
-      sessionRef.current = null;
-    }
-    if (scriptProcessorRef.current) {
-      scriptProcessorRef.current.onaudioprocess = null;
-      scriptProcessorRef.current = null;
-    }
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-    stopAllAudio();
+    teardownSession();
     setState(AssistantState.IDLE);
-  }, [stopAllAudio]);
+  }, [teardownSession]);
+
+  // Passes a note to the model as a user turn, e.g. a decision made on screen
+  const sendText = useCallback((text) => {
+    sessionRef.current?.sendClientContent({
+      turns: [{ role: 'user', parts: [{ text }] }],
+      turnComplete: true
+    });
+  }, []);
 
   // Handle cleanup on unmount for the hook itself
   useEffect(() => {
@@ -229,8 +355,10 @@ export function useVoiceSession(options) {
   return {
     state,
     setState,
+    pendingTools,
     analyser: analyserRef.current,
     startSession,
-    stopSession
+    stopSession,
+    sendText
   };
 }
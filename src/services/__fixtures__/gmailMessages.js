@@ -0,0 +1,116 @@
+/**
+ * Gmail message resources (format=full) used by the service tests.
+ * Bodies are base64url-encoded the way the Gmail API returns them.
+ */
+
+/**
+ * Encodes text as a Gmail body part
+ * @param {string} text - Body text
+ * @returns {string} - Base64url string
+ */
+function encodeBody(text) {
+  return Buffer.from(text, 'utf-8').toString('base64url');
+}
+
+/**
+ * Builds a Gmail message resource
+ * @param {Object} message - { id, from, subject, snippet, body, mimeType, multipart }
+ * @returns {Object} - Gmail message resource
+ */
+function gmailMessage({ id, from, subject, snippet = '', body = '', mimeType = 'text/plain', multipart = false }) {
+  const headers = [
+    { name: 'From', value: from },
+    { name: 'Subject', value: subject },
+    { name: 'Date', value: 'Thu, 18 Dec 2025 21:32:14 -0800 (PST)' }
+  ];
+  const payload = multipart
+    ? {
+      mimeType: 'multipart/alternative',
+      headers,
+      parts: [{ mimeType, body: { data: encodeBody(body) } }]
+    }
+    : { mimeType, headers, body: { data: encodeBody(body) } };
+
+  return {
+    id,
+    threadId: `thread-${id}`,
+    labelIds: ['INBOX'],
+    internalDate: '1766122334000',
+    snippet,
+    payload
+  };
+}
+
+export const confirmationMessage = gmailMessage({
+  id: 'confirmation',
+  from: 'Stripe Recruiting <no-reply@us.greenhouse-mail.io>',
+  subject: 'Thank you for applying to Stripe',
+  snippet: 'Hi Alex, thanks for your interest in the Software Engineer role.',
+  body: 'Hi Alex,\n\nThank you for applying to the Software Engineer position at Stripe. Our team will review your application.'
+});
+
+export const rejectionMessage = gmailMessage({
+  id: 'rejection',
+  from: 'Acme Talent <talent@acme.com>',
+  subject: 'Your application to Acme',
+  snippet: 'Thank you for your interest. Unfortunately, we have decided to move forward with other candidates.',
+  body: '<p>Hi Alex,</p><p>Thank you for your interest in Acme. Unfortunately, we have decided to move forward with other candidates.</p>',
+  mimeType: 'text/html',
+  multipart: true
+});
+
+export const interviewMessage = gmailMessage({
+  id: 'interview',
+  from: 'Jordan from Figma <jordan@figma.com>',
+  subject: 'Next steps for Product Designer',
+  snippet: 'We would love to set up an interview with the team.',
+  body: 'Hi Alex,\n\nWe would love to set up an interview with the team. Please share your availability for next week.'
+});
+
+export const offerMessage = gmailMessage({
+  id: 'offer',
+  from: 'Notion People Team <people@makenotion.com>',
+  subject: 'Your offer letter from Notion',
+  snippet: 'We are delighted to extend you an offer for the Frontend Engineer role.',
+  body: 'Hi Alex,\n\nWe are delighted to extend you an offer for the Frontend Engineer role. Your offer letter is attached.'
+});
+
+export const jobAlertMessage = gmailMessage({
+  id: 'job-alert',
+  from: 'LinkedIn Job Alerts <jobalerts-noreply@linkedin.com>',
+  subject: 'Software Engineer at Google and 10 more jobs for you',
+  snippet: 'Your job alert for software engineer in San Francisco.',
+  body: 'Apply now to these new jobs that match your preferences.'
+});
+
+export const hiringSuggestionMessage = gmailMessage({
+  id: 'hiring-suggestion',
+  from: 'LinkedIn <jobs-noreply@linkedin.com>',
+  subject: 'Vercel is hiring a Senior Engineer',
+  snippet: 'Vercel is hiring. See if you are a fit.',
+  body: 'Vercel is hiring a Senior Engineer. We will review applications on a rolling basis.'
+});
+
+export const newsletterMessage = gmailMessage({
+  id: 'newsletter',
+  from: 'Career Weekly <hello@careerweekly.co>',
+  subject: 'Career Weekly newsletter: 5 interview mistakes to avoid',
+  snippet: 'Our newsletter with career tips.',
+  body: 'Welcome to this week\'s newsletter. Unsubscribe at any time.'
+});
+
+export const atsMessageWithoutKeywords = gmailMessage({
+  id: 'ats-no-keywords',
+  from: 'Linear <notifications@jobs.lever.co>',
+  subject: 'A message from Linear',
+  snippet: 'Hi Alex, a quick update from the Linear team.',
+  body: 'Hi Alex, a quick update from the Linear team.'
+});
+
+export const personalMessage = gmailMessage({
+  id: 'personal',
+  from: 'Sam <sam@example.com>',
+  subject: 'Dinner on Friday?',
+  snippet: 'Are you free on Friday?',
+  body: 'Are you free on Friday for dinner?'
+});
@@ -1,8 +1,11 @@
 /**
  * Audio Utilities for Gemini Live API
- * Handles encoding/decoding of audio data for voice chat
+ * Handles encoding/decoding of audio data for voice chat. Microphone capture
+ * itself runs in an AudioWorklet (src/worklets/pcmCaptureProcessor.js).
  */
 
+import { AUDIO_CONFIG } from '@/constants';
+
 /**
  * Decodes a base64 string to a Uint8Array
  * @param {string} base64 - Base64 encoded string
@@ -55,20 +58,13 @@ export async function decodeAudioData(data, ctx, sampleRate, numChannels) {
 }
 
 /**
- * Creates a blob object for PCM audio data suitable for Gemini Live API
- * @param {Float32Array} data - Float32 audio data from microphone
+ * Wraps 16-bit PCM samples at AUDIO_CONFIG.INPUT_SAMPLE_RATE for the Gemini Live API
+ * @param {Int16Array} int16 - PCM16 samples, e.g. a chunk from the capture worklet
  * @returns {{ data: string, mimeType: string }} - Audio blob for API
  */
-export function createAudioBlob(data) {
-  const length = data.length;
-  const int16 = new Int16Array(length);
-  for (let i = 0; i < length; i++) {
-    // Clamping to avoid distortion
-    const sample = Math.max(-1, Math.min(1, data[i]));
-    int16[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
-  }
+export function createPcmBlob(int16) {
   return {
-    data: encode(new Uint8Array(int16.buffer)),
-    mimeType: 'audio/pcm;rate=16000'
+    data: encode(new Uint8Array(int16.buffer, int16.byteOffset, int16.byteLength)),
+    mimeType: `audio/pcm;rate=${AUDIO_CONFIG.INPUT_SAMPLE_RATE}`
   };
 }
@@ -0,0 +1,167 @@
+/**
+ * Conversations
+ * Saved assistant conversations (voice and text), full-text search across
+ * them and Markdown export
+ */
+
+import { formatInTimezone } from './dateUtils';
+
+/** Oldest conversations beyond this many are dropped when a new one is saved */
+export const MAX_CONVERSATIONS = 200;
+
+/** Messages of a conversation sent back to the model as context */
+export const MAX_CONTEXT_MESSAGES = 40;
+
+/** Characters of context shown on each side of a search match */
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Creates an empty conversation
+ * @param {number} [timestamp] - Creation time in milliseconds
+ * @returns {Object} - Conversation ({ id, createdAt, updatedAt, messages })
+ */
+export function createConversation(timestamp = Date.now()) {
+  const at = new Date(timestamp).toISOString();
+  return {
+    id: `${timestamp.toString(36)}${Math.random().toString(36).substr(2, 6)}`,
+    createdAt: at,
+    updatedAt: at,
+    messages: []
+  };
+}
+
+/**
+ * Returns the conversation with a message appended
+ * @param {Object} conversation - Conversation
+ * @param {Object} message - Message ({ id, role, text, timestamp, channel }); assistant text
+ *   replies also keep the Gemini contents of their turn (contents)
+ * @returns {Object} - Updated conversation
+ */
+export function appendConversationMessage(conversation, message) {
+  return {
+    ...conversation,
+    updatedAt: new Date(message.timestamp || Date.now()).toISOString(),
+    messages: [...conversation.messages, message]
+  };
+}
+
+/**
+ * Keeps the most recently updated conversations, newest first
+ * @param {Array} conversations - Conversations
+ * @returns {Array} - At most MAX_CONVERSATIONS conversations
+ */
+export function pruneConversations(conversations) {
+  return [...conversations]
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, MAX_CONVERSATIONS);
+}
+
+/**
+ * Names a conversation after its first user message
+ * @param {Object} conversation - Conversation
+ * @returns {string} - Title
+ */
+export function getConversationTitle(conversation) {
+  const first = conversation.messages.find((m) => m.role === 'user');
+  if (!first) return 'New conversation';
+  const text = first.text.replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Builds the Gemini chat history for a conversation. Text turns keep their
+ * function call and response parts; voice turns are sent as plain text.
+ * @param {Array} messages - Conversation messages, oldest first
+ * @param {number} [limit] - Most recent messages to include
+ * @returns {Array} - Gemini contents, starting with a user turn
+ */
+export function toChatContents(messages, limit = MAX_CONTEXT_MESSAGES) {
+  const recent = messages.slice(-limit);
+  const firstUser = recent.findIndex((m) => m.role === 'user');
+  if (firstUser === -1) return [];
+
+  const contents = recent.slice(firstUser).flatMap((message) =>
+    message.contents || [{ role: message.role === 'user' ? 'user' : 'model', parts: [{ text: message.text }] }]
+  );
+
+  // Voice transcripts can leave two turns from the same side in a row; merge them
+  return contents.reduce((merged, content) => {
+    const last = merged[merged.length - 1];
+    if (last && last.role === content.role) {
+      merged[merged.length - 1] = { ...last, parts: [...last.parts, ...content.parts] };
+    } else {
+      merged.push(content);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Finds conversations containing every word of a query (case-insensitive)
+ * @param {Array} conversations - Conversations
+ * @param {string} query - Search text
+ * @returns {Array<{ conversation: Object, snippet: string, matchCount: number }>} - Matches, newest first
+ */
+export function searchConversations(conversations, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const sorted = pruneConversations(conversations);
+  if (terms.length === 0) {
+    return sorted.map((conversation) => ({ conversation, snippet: '', matchCount: 0 }));
+  }
+
+  return sorted
+    .map((conversation) => {
+      const texts = conversation.messages.map((m) => m.text || '');
+      const haystack = texts.join('\n').toLowerCase();
+      if (!terms.every((term) => haystack.includes(term))) return null;
+
+      const matchCount = terms.reduce((count, term) => count + haystack.split(term).length - 1, 0);
+      const text = texts.find((t) => t.toLowerCase().includes(terms[0])).replace(/\s+/g, ' ');
+      const at = text.toLowerCase().indexOf(terms[0]);
+      const start = Math.max(0, at - SNIPPET_RADIUS);
+      const end = Math.min(text.length, at + terms[0].length + SNIPPET_RADIUS);
+      const snippet = `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+
+      return { conversation, snippet, matchCount };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Writes a conversation as a Markdown transcript
+ * @param {Object} conversation - Conversation
+ * @param {string} [timezone] - Timezone used for timestamps
+ * @returns {string} - Markdown document
+ */
+export function conversationToMarkdown(conversation, timezone = 'UTC') {
+  const lines = [
+    `# ${getConversationTitle(conversation)}`,
+    '',
+    `_Started ${formatInTimezone(conversation.createdAt, timezone)} (${timezone}) · ${conversation.messages.length} messages_`,
+    ''
+  ];
+
+  conversation.messages.forEach((message) => {
+    const speaker = message.role === 'user' ? 'You' : 'Astra';
+    const channel = message.channel === 'voice' ? ' (voice)' : '';
+    const time = formatInTimezone(new Date(message.timestamp).toISOString(), timezone);
+    lines.push(`**${speaker}**${channel} · ${time}`, '', message.text, '');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Suggests a file name for an exported conversation
+ * @param {Object} conversation - Conversation
+ * @returns {string} - e.g. astra-conversation-2026-03-14-add-my-stripe-application.md
+ */
+export function conversationFileName(conversation) {
+  const slug = getConversationTitle(conversation)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 40)
+    .replace(/-$/, '');
+  return `astra-conversation-${conversation.createdAt.slice(0, 10)}${slug ? `-${slug}` : ''}.md`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Date Utilities
+ * Applications store a single UTC instant (appliedAt); these helpers parse email
+ * timestamps into it and convert it to and from the user's timezone
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** Obsolete RFC 2822 zone names, in minutes east of UTC */
+const NAMED_ZONES = {
+  UT: 0, GMT: 0, Z: 0,
+  EST: -300, EDT: -240,
+  CST: -360, CDT: -300,
+  MST: -420, MDT: -360,
+  PST: -480, PDT: -420
+};
+
+/**
+ * Parses an RFC 2822 date (the email Date header) without relying on the
+ * browser's lenient Date parsing
+ * @param {string} value - e.g. "Thu, 18 Dec 2025 21:32:14 -0800 (PST)"
+ * @returns {string|null} - UTC ISO timestamp, or null when unparseable
+ */
+export function parseRfc2822Date(value) {
+  if (!value) return null;
+  const match = String(value)
+    .replace(/\([^)]*\)/g, ' ')
+    .match(/(\d{1,2})\s+([a-z]{3})[a-z]*\s+(\d{2,4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([+-]\d{4}|[a-z]{1,3})?/i);
+  if (!match) return null;
+
+  const [, day, monthName, rawYear, hours, minutes, seconds = '0', zone = 'UT'] = match;
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month < 0) return null;
+
+  // Two-digit years follow RFC 2822: 00-49 are 2000s, 50-99 are 1900s
+  let year = parseInt(rawYear, 10);
+  if (rawYear.length === 2) year += year < 50 ? 2000 : 1900;
+
+  let offsetMinutes;
+  if (/^[+-]\d{4}$/.test(zone)) {
+    const sign = zone[0] === '-' ? -1 : 1;
+    offsetMinutes = sign * (parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10));
+  } else {
+    offsetMinutes = NAMED_ZONES[zone.toUpperCase()] ?? 0;
+  }
+
+  const utc = Date.UTC(year, month, parseInt(day, 10), parseInt(hours, 10), parseInt(minutes, 10), parseInt(seconds, 10));
+  return new Date(utc - offsetMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Gets the UTC instant a Gmail message was received
+ * @param {string|number} [internalDate] - Gmail internalDate (milliseconds since epoch)
+ * @param {string} [dateHeader] - Date header, used when internalDate is missing
+ * @returns {string|null} - UTC ISO timestamp, or null when neither is usable
+ */
+export function parseEmailTimestamp(internalDate, dateHeader) {
+  const millis = Number(internalDate);
+  if (internalDate && !isNaN(millis) && millis > 0) {
+    return new Date(millis).toISOString();
+  }
+  return parseRfc2822Date(dateHeader);
+}
+
+/**
+ * Splits an instant into calendar date and time of day in a timezone
+ * @param {string} iso - ISO timestamp
+ * @param {string} [timezone] - IANA timezone (defaults to UTC)
+ * @returns {{ date: string, time: string }} - YYYY-MM-DD and HH:MM, empty when invalid
+ */
+export function toZonedParts(iso, timezone = 'UTC') {
+  const date = new Date(iso);
+  if (!iso || isNaN(date.getTime())) return { date: '', time: '' };
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone into a UTC instant
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM (defaults to midnight)
+ * @param {string} [timezone] - IANA timezone (defaults to UTC)
+ * @returns {string|null} - UTC ISO timestamp, or null when the date is invalid
+ */
+export function fromZonedParts(date, time = '00:00', timezone = 'UTC') {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!dateMatch) return null;
+  const timeMatch = /^(\d{1,2}):(\d{2})/.exec(time || '') || [null, '0', '0'];
+
+  const wallClock = Date.UTC(
+    parseInt(dateMatch[1], 10),
+    parseInt(dateMatch[2], 10) - 1,
+    parseInt(dateMatch[3], 10),
+    parseInt(timeMatch[1], 10),
+    parseInt(timeMatch[2], 10)
+  );
+  if (isNaN(wallClock)) return null;
+
+  // The zone offset depends on the instant itself, so refine once for DST boundaries
+  const offsetAt = (instant) => {
+    const { date: d, time: t } = toZonedParts(new Date(instant).toISOString(), timezone);
+    const [y, m, day] = d.split('-').map(Number);
+    const [h, min] = t.split(':').map(Number);
+    return Date.UTC(y, m - 1, day, h, min) - instant;
+  };
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+
+  return new Date(instant).toISOString();
+}
+
+/**
+ * Parses a legacy dateApplied/timeApplied pair. Besides YYYY-MM-DD, older records
+ * hold formats like 12/18/2025 or raw email Date/Received headers.
+ * @param {string} date - Stored date
+ * @param {string} [time] - Stored time of day
+ * @param {string} [timezone] - IANA timezone of wall-clock values
+ * @returns {string|null} - UTC ISO timestamp, or null when unparseable
+ */
+function parseLegacyApplied(date, time, timezone = 'UTC') {
+  if (!date) return null;
+  const zoned = fromZonedParts(String(date), time || '00:00', timezone);
+  if (zoned) return zoned;
+
+  const text = [date, time].filter(Boolean).join(' ');
+  const fromHeader = parseRfc2822Date(text);
+  if (fromHeader) return fromHeader;
+
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+  // Values with their own offset are absolute; others are wall-clock in the timezone
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(String(date).trim())) return parsed.toISOString();
+  const pad = (n) => String(n).padStart(2, '0');
+  return fromZonedParts(
+    `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`,
+    `${pad(parsed.getHours())}:${pad(parsed.getMinutes())}`,
+    timezone
+  );
+}
+
+/**
+ * Gets the canonical application instant, falling back to the legacy
+ * dateApplied/timeApplied fields (which were recorded in UTC)
+ * @param {Object} job - Job application
+ * @returns {string|null} - UTC ISO timestamp, or null when unknown
+ */
+export function getAppliedAt(job) {
+  if (job.appliedAt && !isNaN(new Date(job.appliedAt).getTime())) return job.appliedAt;
+  return parseLegacyApplied(job.dateApplied, job.timeApplied, 'UTC');
+}
+
+/**
+ * Replaces wall-clock dateApplied/timeApplied fields (as given by the assistant,
+ * imports or older records) with the canonical appliedAt instant. Fields that
+ * can't be parsed are kept so the date isn't lost.
+ * @param {Object} fields - Application fields
+ * @param {string} [timezone] - IANA timezone the wall-clock fields are in
+ * @returns {Object} - Fields with appliedAt set when a date was known
+ */
+export function withAppliedAt(fields, timezone = 'UTC') {
+  const record = { ...fields };
+  const hasAppliedAt = record.appliedAt && !isNaN(new Date(record.appliedAt).getTime());
+  const appliedAt = hasAppliedAt
+    ? record.appliedAt
+    : parseLegacyApplied(record.dateApplied, record.timeApplied, timezone);
+
+  if (appliedAt) record.appliedAt = appliedAt;
+  if (appliedAt || !record.dateApplied) {
+    delete record.dateApplied;
+    delete record.timeApplied;
+  }
+  return record;
+}
+
+/**
+ * Formats an instant for display in a timezone
+ * @param {string} iso - ISO timestamp
+ * @param {string} [timezone] - IANA timezone
+ * @param {boolean} [withTime] - Include the time of day
+ * @returns {string} - Formatted date, or 'Unknown date' when invalid
+ */
+export function formatInTimezone(iso, timezone, withTime = true) {
+  const date = new Date(iso);
+  if (!iso || isNaN(date.getTime())) return 'Unknown date';
+
+  return new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(withTime ? { hour: 'numeric', minute: 'numeric', hour12: true } : {}),
+    timeZone: timezone || undefined
+  }).format(date);
+}
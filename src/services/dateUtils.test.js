@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { withAppliedAt, getAppliedAt } from './dateUtils';
+import { migrateJobs } from './storage';
+
+describe('withAppliedAt', () => {
+  it('converts YYYY-MM-DD wall-clock fields in the given timezone', () => {
+    expect(withAppliedAt({ dateApplied: '2025-12-18', timeApplied: '09:30' }, 'America/Los_Angeles'))
+      .toEqual({ appliedAt: '2025-12-18T17:30:00.000Z' });
+  });
+
+  it('parses US-style dates from older records', () => {
+    expect(withAppliedAt({ dateApplied: '12/18/2025' })).toEqual({ appliedAt: '2025-12-18T00:00:00.000Z' });
+  });
+
+  it('parses raw email date headers from the old Gmail sync', () => {
+    const header = 'by 2002:a05:6a10:8e0a with SMTP id; Thu, 18 Dec 2025 21:32:14 -0800 (PST)';
+    expect(withAppliedAt({ dateApplied: header })).toEqual({ appliedAt: '2025-12-19T05:32:14.000Z' });
+  });
+
+  it('keeps legacy fields it cannot parse', () => {
+    expect(withAppliedAt({ dateApplied: 'last Tuesday', timeApplied: 'morning' }))
+      .toEqual({ dateApplied: 'last Tuesday', timeApplied: 'morning' });
+  });
+
+  it('drops empty legacy fields', () => {
+    expect(withAppliedAt({ dateApplied: '', timeApplied: '' })).toEqual({});
+  });
+});
+
+describe('getAppliedAt', () => {
+  it('reads legacy fields that were kept during migration', () => {
+    expect(getAppliedAt({ dateApplied: 'Dec 18, 2025', timeApplied: '14:05' })).toBe('2025-12-18T14:05:00.000Z');
+  });
+});
+
+describe('migrateJobs', () => {
+  it('keeps the application date of legacy records', () => {
+    const [job] = migrateJobs([{ id: 1, company: 'Acme', role: 'Engineer', dateApplied: '12/18/2025' }], 0);
+    expect(job.appliedAt).toBe('2025-12-18T00:00:00.000Z');
+    expect(job).not.toHaveProperty('dateApplied');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Email Classifier
+ * Deterministic rules that label synced emails before they reach Gemini,
+ * so job alerts and newsletters never cost a model call
+ */
+
+import { EmailCategory, DEFAULT_EMAIL_FILTERS } from '@/constants';
+
+/** Domains of applicant tracking systems that send mail on behalf of employers */
+const ATS_DOMAINS = [
+  'greenhouse.io',
+  'greenhouse-mail.io',
+  'lever.co',
+  'myworkday.com',
+  'workday.com',
+  'smartrecruiters.com',
+  'ashbyhq.com',
+  'icims.com',
+  'jobvite.com',
+  'taleo.net',
+  'successfactors.com',
+  'bamboohr.com',
+  'workablemail.com',
+  'recruitee.com',
+  'breezy.hr',
+  'applytojob.com'
+];
+
+/** Senders that only send job alerts, recommendations and marketing */
+const NOISE_SENDERS = [
+  'jobalerts-noreply@linkedin.com',
+  'jobs-listings@linkedin.com',
+  'messages-noreply@linkedin.com',
+  'alert@indeed.com',
+  'noreply@glassdoor.com',
+  'ziprecruiter.com',
+  'monster.com'
+];
+
+/** Subjects of job suggestions and other mail that never updates an application */
+const NOISE_SUBJECT_PATTERNS = [
+  /\bis hiring\b/i,
+  /\bjob alert/i,
+  /\bjobs? (you may be interested in|for you|recommended for you)\b/i,
+  /\b(similar|recommended|new) jobs\b/i,
+  /\bapply now\b/i,
+  /\bnewsletter\b/i,
+  /\bwebinar\b/i,
+  /\bcareer (tips|advice)\b/i
+];
+
+/**
+ * Signals for each relevant category, checked in this order so that a
+ * rejection after an interview is not mistaken for an interview invite
+ */
+const CATEGORY_RULES = [
+  {
+    category: EmailCategory.OFFER,
+    patterns: [
+      /\boffer letter\b/i,
+      /\bjob offer\b/i,
+      /\boffer of employment\b/i,
+      /\b(pleased|excited|delighted|happy) to (extend|offer)\b/i
+    ]
+  },
+  {
+    category: EmailCategory.REJECTION,
+    patterns: [
+      /\bunfortunately\b/i,
+      /\bregret to inform\b/i,
+      /\bnot (be )?(moving|move) forward\b/i,
+      /\b(decided|chosen) to (move|proceed) forward with other\b/i,
+      /\bother candidates\b/i,
+      /\bnot (been )?selected\b/i,
+      /\bposition has been filled\b/i,
+      /\bwill not be proceeding\b/i
+    ]
+  },
+  {
+    category: EmailCategory.INTERVIEW,
+    patterns: [
+      /\binterview/i,
+      /\bphone screen\b/i,
+      /\bschedul(e|ing) (a |your )?(call|chat|conversation|time)\b/i,
+      /\byour availability\b/i,
+      /\b(coding|technical|online) (challenge|assessment|test)\b/i,
+      /\btake[- ]home\b/i,
+      /\bnext steps?\b/i
+    ]
+  },
+  {
+    category: EmailCategory.CONFIRMATION,
+    patterns: [
+      /\bthanks? (you )?for (applying|your application|your interest)\b/i,
+      /\bapplication (received|submitted|was sent|confirmation)\b/i,
+      /\bwe('ve| have) received your application\b/i,
+      /\byour application (to|for|with|at)\b/i
+    ]
+  }
+];
+
+/** How much of the body is scanned for signals; later text is mostly footers */
+const MAX_SCANNED_BODY_LENGTH = 3000;
+
+/**
+ * Extracts the lower-cased address from a From header ("Name <a@b.com>")
+ * @param {string} from - From header value
+ * @returns {string} - Email address, or an empty string
+ */
+function parseSenderAddress(from = '') {
+  const match = from.match(/<([^>]+)>/) || from.match(/([^\s<>"]+@[^\s<>"]+)/);
+  return match ? match[1].trim().toLowerCase() : '';
+}
+
+/**
+ * Checks whether an address matches a list entry.
+ * Entries containing "@" match that address; other entries match the domain and its subdomains.
+ * @param {string} address - Sender address
+ * @param {string} entry - Address or domain
+ * @returns {boolean} - Whether the address matches
+ */
+function matchesSender(address, entry) {
+  const rule = entry.trim().toLowerCase().replace(/^@/, '');
+  if (!rule || !address) return false;
+  if (rule.includes('@')) return address === rule;
+  const domain = address.split('@')[1] || '';
+  return domain === rule || domain.endsWith(`.${rule}`);
+}
+
+/**
+ * Labels a single email
+ * @param {Object} email - Email from fetchGmailEmails ({ from, subject, snippet, body })
+ * @param {Object} [filters] - User allow/deny lists (see DEFAULT_EMAIL_FILTERS)
+ * @returns {Object} - { category, reason }
+ */
+export function classifyEmail(email, filters = DEFAULT_EMAIL_FILTERS) {
+  const { allowSenders, denySenders } = { ...DEFAULT_EMAIL_FILTERS, ...filters };
+  const address = parseSenderAddress(email.from);
+  const subject = email.subject || '';
+
+  if (denySenders.some((entry) => matchesSender(address, entry))) {
+    return { category: EmailCategory.NOISE, reason: 'Sender is on your deny list' };
+  }
+
+  const isAllowed = allowSenders.some((entry) => matchesSender(address, entry));
+  const isAts = ATS_DOMAINS.some((entry) => matchesSender(address, entry));
+
+  if (!isAllowed) {
+    if (NOISE_SENDERS.some((entry) => matchesSender(address, entry))) {
+      return { category: EmailCategory.NOISE, reason: 'Job alert or marketing sender' };
+    }
+    if (NOISE_SUBJECT_PATTERNS.some((pattern) => pattern.test(subject))) {
+      return { category: EmailCategory.NOISE, reason: 'Subject looks like a job suggestion or newsletter' };
+    }
+  }
+
+  const text = `${subject}\n${email.snippet || ''}\n${(email.body || '').slice(0, MAX_SCANNED_BODY_LENGTH)}`;
+  for (const { category, patterns } of CATEGORY_RULES) {
+    const pattern = patterns.find((p) => p.test(text));
+    if (pattern) {
+      return { category, reason: `Matched "${text.match(pattern)[0]}"` };
+    }
+  }
+
+  // Mail from a hiring system or a trusted sender is worth a closer look even without keywords
+  if (isAllowed || isAts) {
+    return {
+      category: EmailCategory.CONFIRMATION,
+      reason: isAllowed ? 'Sender is on your allow list' : 'Sent from an applicant tracking system'
+    };
+  }
+
+  return { category: EmailCategory.NOISE, reason: 'No application update found' };
+}
+
+/**
+ * Splits emails into those worth sending to Gemini and those dropped as noise
+ * @param {Array} emails - Emails from fetchGmailEmails
+ * @param {Object} [filters] - User allow/deny lists
+ * @returns {Object} - { relevant: emails with a category, skipped: [{ email, category, reason }] }
+ */
+export function filterRelevantEmails(emails, filters = DEFAULT_EMAIL_FILTERS) {
+  const relevant = [];
+  const skipped = [];
+
+  for (const email of emails) {
+    const { category, reason } = classifyEmail(email, filters);
+    if (category === EmailCategory.NOISE) {
+      skipped.push({ email, category, reason });
+    } else {
+      relevant.push({ ...email, category });
+    }
+  }
+
+  return { relevant, skipped };
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { EmailCategory } from '@/constants';
+import { classifyEmail, filterRelevantEmails } from './emailClassifier';
+import { toEmail } from './gmailService';
+import * as fixtures from './__fixtures__/gmailMessages';
+
+const classify = (message, filters) => classifyEmail(toEmail(message), filters).category;
+
+describe('classifyEmail', () => {
+  it('labels application confirmations', () => {
+    expect(classify(fixtures.confirmationMessage)).toBe(EmailCategory.CONFIRMATION);
+  });
+
+  it('labels rejections, including HTML bodies', () => {
+    expect(classify(fixtures.rejectionMessage)).toBe(EmailCategory.REJECTION);
+  });
+
+  it('labels interview invitations', () => {
+    expect(classify(fixtures.interviewMessage)).toBe(EmailCategory.INTERVIEW);
+  });
+
+  it('labels offers', () => {
+    expect(classify(fixtures.offerMessage)).toBe(EmailCategory.OFFER);
+  });
+
+  it('drops job alerts, hiring suggestions and newsletters', () => {
+    expect(classify(fixtures.jobAlertMessage)).toBe(EmailCategory.NOISE);
+    expect(classify(fixtures.hiringSuggestionMessage)).toBe(EmailCategory.NOISE);
+    expect(classify(fixtures.newsletterMessage)).toBe(EmailCategory.NOISE);
+  });
+
+  it('drops mail unrelated to applications', () => {
+    expect(classify(fixtures.personalMessage)).toBe(EmailCategory.NOISE);
+  });
+
+  it('keeps mail from applicant tracking systems without keywords', () => {
+    const { category, reason } = classifyEmail(toEmail(fixtures.atsMessageWithoutKeywords));
+    expect(category).toBe(EmailCategory.CONFIRMATION);
+    expect(reason).toMatch(/applicant tracking system/);
+  });
+
+  it('applies the deny list before any other rule', () => {
+    const filters = { allowSenders: [], denySenders: ['makenotion.com'] };
+    expect(classify(fixtures.offerMessage, filters)).toBe(EmailCategory.NOISE);
+  });
+
+  it('lets allow-listed senders past the noise rules', () => {
+    const filters = { allowSenders: ['jobs-noreply@linkedin.com'], denySenders: [] };
+    expect(classify(fixtures.hiringSuggestionMessage, filters)).toBe(EmailCategory.CONFIRMATION);
+    expect(classify(fixtures.personalMessage, { allowSenders: ['@example.com'], denySenders: [] }))
+      .toBe(EmailCategory.CONFIRMATION);
+  });
+});
+
+describe('filterRelevantEmails', () => {
+  it('forwards relevant emails with their category and reports the rest as skipped', () => {
+    const emails = Object.values(fixtures).map(toEmail);
+    const { relevant, skipped } = filterRelevantEmails(emails);
+
+    expect(relevant.map((email) => [email.id, email.category])).toEqual([
+      ['confirmation', EmailCategory.CONFIRMATION],
+      ['rejection', EmailCategory.REJECTION],
+      ['interview', EmailCategory.INTERVIEW],
+      ['offer', EmailCategory.OFFER],
+      ['ats-no-keywords', EmailCategory.CONFIRMATION]
+    ]);
+    expect(skipped.map(({ email }) => email.id)).toEqual([
+      'job-alert',
+      'hiring-suggestion',
+      'newsletter',
+      'personal'
+    ]);
+    skipped.forEach(({ category, reason }) => {
+      expect(category).toBe(EmailCategory.NOISE);
+      expect(reason).toBeTruthy();
+    });
+  });
+});
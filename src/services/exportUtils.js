@@ -0,0 +1,70 @@
+/**
+ * Export Utilities
+ * Serializes applications to CSV for spreadsheets and saves generated files.
+ * CSV headers match the import field names, so an exported file imports back
+ * without remapping.
+ */
+
+import { getAppliedAt, toZonedParts } from './dateUtils';
+import { formatContacts } from './jobDetails';
+
+/**
+ * CSV columns and how each is read from an application
+ */
+const EXPORT_COLUMNS = [
+  { header: 'id', value: (job) => job.id },
+  { header: 'Company', value: (job) => job.company },
+  { header: 'Role', value: (job) => job.role },
+  { header: 'Source', value: (job) => job.source },
+  { header: 'Date Applied', value: (job, timezone) => toZonedParts(getAppliedAt(job), timezone).date },
+  { header: 'Time Applied', value: (job, timezone) => toZonedParts(getAppliedAt(job), timezone).time },
+  { header: 'Status', value: (job) => job.status },
+  { header: 'Salary Min', value: (job) => job.salaryMin },
+  { header: 'Salary Max', value: (job) => job.salaryMax },
+  { header: 'Currency', value: (job) => job.currency },
+  { header: 'Location', value: (job) => job.location },
+  { header: 'Work Mode', value: (job) => job.workMode },
+  { header: 'Job URL', value: (job) => job.jobUrl },
+  { header: 'Contacts', value: (job) => formatContacts(job.contacts) },
+  { header: 'Notes', value: (job) => job.notes }
+];
+
+/**
+ * Quotes a CSV cell when it contains a delimiter, quote or line break (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file of applications
+ * @param {Array} applications - Job applications
+ * @param {string} [timezone] - Timezone the application dates and times are written in
+ * @returns {string} - CSV text with a header row
+ */
+export function applicationsToCSV(applications, timezone = 'UTC') {
+  const rows = [
+    EXPORT_COLUMNS.map(({ header }) => header),
+    ...applications.map((job) => EXPORT_COLUMNS.map(({ value }) => value(job, timezone)))
+  ];
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+/**
+ * Saves text as a file through the browser's download flow
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadFile(content, type, fileName) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
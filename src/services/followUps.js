@@ -0,0 +1,131 @@
+/**
+ * Follow-up Reminders
+ * Derives due follow-ups and Ghosted suggestions from application activity
+ */
+
+import { JobStatus, FollowUpType, InterviewOutcome, DEFAULT_FOLLOW_UP_RULES } from '@/constants';
+import { getAppliedAt } from './dateUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Delay after moving to Interviewing before the thank-you reminder is due, for applications without rounds */
+const THANK_YOU_DELAY_MS = DAY_MS;
+
+/**
+ * Finds the most recent interview round that has already taken place
+ * @param {Object} job - Job application
+ * @param {number} now - Current time in milliseconds
+ * @returns {{ start: number, end: number }|null} - Round start and end, or null when none has ended
+ */
+function getLastCompletedRound(job, now) {
+  return (job.interviews || [])
+    .filter((round) => round.outcome !== InterviewOutcome.CANCELLED)
+    .map((round) => {
+      const start = new Date(round.scheduledAt).getTime();
+      return { start, end: start + (round.durationMinutes || 0) * 60 * 1000 };
+    })
+    .filter(({ start, end }) => !isNaN(start) && end <= now)
+    .reduce((latest, round) => (!latest || round.start > latest.start ? round : latest), null);
+}
+
+/**
+ * Gets the timestamp of the most recent activity on an application
+ * @param {Object} job - Job application
+ * @returns {number|null} - Milliseconds since epoch, or null when unknown
+ */
+function getLastActivity(job) {
+  const history = job.statusHistory || [];
+  if (history.length > 0) {
+    return new Date(history[history.length - 1].at).getTime();
+  }
+  const appliedAt = getAppliedAt(job);
+  return appliedAt ? new Date(appliedAt).getTime() : null;
+}
+
+/**
+ * Computes reminders that are due for the given applications
+ * @param {Array} applications - Job applications
+ * @param {Object} [rules] - Follow-up rules (see DEFAULT_FOLLOW_UP_RULES)
+ * @param {string[]} [dismissedIds] - Reminder IDs the user has dismissed
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} - Due reminders, oldest first
+ */
+export function computeDueFollowUps(applications, rules = DEFAULT_FOLLOW_UP_RULES, dismissedIds = [], now = Date.now()) {
+  const { followUpAfterDays, ghostedAfterDays, thankYouAfterInterview } = { ...DEFAULT_FOLLOW_UP_RULES, ...rules };
+  const dismissed = new Set(dismissedIds);
+  const reminders = [];
+
+  const add = (job, type, anchor, dueAt, message) => {
+    // The anchor ties a reminder to one period of inactivity, so a dismissed
+    // reminder comes back only after the application changes again
+    const id = `${job.id}:${type}:${anchor}`;
+    if (dueAt <= now && !dismissed.has(id)) {
+      reminders.push({ id, jobId: job.id, type, company: job.company, role: job.role, dueAt, message });
+    }
+  };
+
+  for (const job of applications) {
+    const lastActivity = getLastActivity(job);
+    if (lastActivity === null || isNaN(lastActivity)) continue;
+    const idleDays = Math.floor((now - lastActivity) / DAY_MS);
+
+    if (job.status === JobStatus.APPLIED) {
+      if (ghostedAfterDays > 0 && idleDays >= ghostedAfterDays) {
+        add(
+          job,
+          FollowUpType.SUGGEST_GHOSTED,
+          lastActivity,
+          lastActivity + ghostedAfterDays * DAY_MS,
+          `No response from ${job.company} in ${idleDays} days. Mark ${job.role} as Ghosted?`
+        );
+      } else if (followUpAfterDays > 0 && idleDays >= followUpAfterDays) {
+        add(
+          job,
+          FollowUpType.FOLLOW_UP,
+          lastActivity,
+          lastActivity + followUpAfterDays * DAY_MS,
+          `It's been ${idleDays} days since you applied to ${job.company}. Consider a follow-up note to the recruiter.`
+        );
+      }
+    }
+
+    if (job.status === JobStatus.INTERVIEWING && thankYouAfterInterview) {
+      // With rounds recorded, thank the interviewers once the latest one is over;
+      // rounds that haven't happened yet mean there's nobody to thank
+      const hasRounds = (job.interviews || []).length > 0;
+      const round = hasRounds ? getLastCompletedRound(job, now) : null;
+      if (round) {
+        add(
+          job,
+          FollowUpType.THANK_YOU,
+          round.start,
+          round.end,
+          `Send a thank-you note to ${job.company} for the ${job.role} interview.`
+        );
+      } else if (!hasRounds) {
+        add(
+          job,
+          FollowUpType.THANK_YOU,
+          lastActivity,
+          lastActivity + THANK_YOU_DELAY_MS,
+          `Send a thank-you note to ${job.company} for the ${job.role} interview.`
+        );
+      }
+    }
+  }
+
+  return reminders.sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Formats due reminders as plain text for the assistant
+ * @param {Array} followUps - Output of computeDueFollowUps
+ * @returns {string} - Summary text
+ */
+export function formatFollowUps(followUps) {
+  if (followUps.length === 0) {
+    return 'There are no follow-ups due right now.';
+  }
+  const lines = followUps.map((f, i) => `${i + 1}. ${f.message}`);
+  return `You have ${followUps.length} follow-up${followUps.length === 1 ? '' : 's'} due:\n${lines.join('\n')}`;
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { JobStatus, FollowUpType, InterviewOutcome } from '@/constants';
+import { computeDueFollowUps } from './followUps';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2026-03-10T12:00:00.000Z');
+
+const interviewing = (interviews) => ({
+  id: 'job-1',
+  company: 'Acme',
+  role: 'Engineer',
+  status: JobStatus.INTERVIEWING,
+  statusHistory: [{ status: JobStatus.INTERVIEWING, at: '2026-03-01T12:00:00.000Z' }],
+  interviews
+});
+
+const round = (scheduledAt, fields = {}) => ({
+  id: scheduledAt,
+  type: 'Technical',
+  scheduledAt,
+  durationMinutes: 60,
+  outcome: InterviewOutcome.PENDING,
+  ...fields
+});
+
+const thankYous = (job) => computeDueFollowUps([job], undefined, [], now)
+  .filter((f) => f.type === FollowUpType.THANK_YOU);
+
+describe('computeDueFollowUps thank-you reminders', () => {
+  it('falls back to the status change when no rounds are recorded', () => {
+    const [reminder] = thankYous(interviewing(undefined));
+    expect(reminder.dueAt).toBe(Date.parse('2026-03-02T12:00:00.000Z'));
+  });
+
+  it('waits until a scheduled round has happened', () => {
+    expect(thankYous(interviewing([round('2026-03-12T15:00:00.000Z')]))).toEqual([]);
+    expect(thankYous(interviewing([round(new Date(now - 30 * 60 * 1000).toISOString())]))).toEqual([]);
+  });
+
+  it('is due when the latest completed round ends', () => {
+    const job = interviewing([
+      round('2026-03-03T15:00:00.000Z'),
+      round('2026-03-09T15:00:00.000Z'),
+      round('2026-03-12T15:00:00.000Z')
+    ]);
+    const [reminder] = thankYous(job);
+    expect(reminder.dueAt).toBe(Date.parse('2026-03-09T15:00:00.000Z') + HOUR_MS);
+    expect(reminder.id).toBe(`job-1:${FollowUpType.THANK_YOU}:${Date.parse('2026-03-09T15:00:00.000Z')}`);
+  });
+
+  it('ignores cancelled rounds', () => {
+    const job = interviewing([
+      round('2026-03-03T15:00:00.000Z'),
+      round('2026-03-09T15:00:00.000Z', { outcome: InterviewOutcome.CANCELLED })
+    ]);
+    const [reminder] = thankYous(job);
+    expect(reminder.dueAt).toBe(Date.parse('2026-03-03T15:00:00.000Z') + HOUR_MS);
+  });
+});
@@ -3,7 +3,13 @@
  * Handles all interactions with Google's Gemini AI API
  */
 
-import { GoogleGenAI, Modality, Type } from '@google/genai';
+import { GoogleGenAI, Modality, FunctionResponseScheduling } from '@google/genai';
+import { ToolChannel } from '@/constants';
+import { fetchGmailEmails, toPromptEmail, EMPTY_GMAIL_SYNC_STATE } from './gmailService';
+import { filterRelevantEmails } from './emailClassifier';
+import { getAppliedAt, toZonedParts, withAppliedAt, formatInTimezone } from './dateUtils';
+import { toInterviewRound } from './interviews';
+import { getTool, getChannelTools, getToolDeclarations } from './toolRegistry';
 
 /**
  * Gets the API key from settings or environment
@@ -32,114 +38,174 @@ export function createAIClient(settings = {}) {
   return new GoogleGenAI({ apiKey });
 }
 
-/**
- * Tool definitions for job tracking functionality
- */
-export const jobTrackingTools = [
-  {
-    name: 'save_job_application',
-    parameters: {
-      type: Type.OBJECT,
-      description: 'Saves a new job application or updates an existing one in the tracker.',
-      properties: {
-        company: { type: Type.STRING, description: 'Name of the company' },
-        role: { type: Type.STRING, description: 'Job title or role' },
-        source: { type: Type.STRING, description: 'Source (e.g., LinkedIn, Referral, Gmail)' },
-        dateApplied: { type: Type.STRING, description: 'Date applied (YYYY-MM-DD)' },
-        timeApplied: { type: Type.STRING, description: 'Time applied (HH:MM) in 24-hour format (note: the time must be in UTC, but the time coming from the email can be in PST format thus we need to convert it to UTC)' },
-        status: {
-          type: Type.STRING,
-          description: 'Status',
-          enum: ['Applied', 'Interviewing', 'Rejected', 'Offer', 'Ghosted']
-        }
-      },
-      required: ['company', 'role', 'source', 'dateApplied', 'timeApplied', 'status']
-    }
-  },
-  {
-    name: 'list_job_applications',
-    description: 'Provides a summary of all job applications currently in the user tracker.',
-    parameters: { type: Type.OBJECT, properties: {} }
-  },
-  {
-    name: 'update_job_status',
-    parameters: {
-      type: Type.OBJECT,
-      description: 'Updates the status of a specific job application by company name.',
-      properties: {
-        company: { type: Type.STRING, description: 'The company name' },
-        status: {
-          type: Type.STRING,
-          description: 'The new status',
-          enum: ['Applied', 'Interviewing', 'Rejected', 'Offer', 'Ghosted']
-        }
-      },
-      required: ['company', 'status']
-    }
-  },
-  {
-    name: 'delete_job_application',
-    parameters: {
-      type: Type.OBJECT,
-      description: 'Removes a job application from the tracker.',
-      properties: {
-        company: { type: Type.STRING, description: 'The company name to remove' }
-      },
-      required: ['company']
-    }
-  },
-  {
-    name: 'sync_gmail_emails',
-    description: 'Triggers a synchronization with Gmail to check for new job application emails.',
-    parameters: { type: Type.OBJECT, properties: {} }
-  }
-];
-
 /**
  * Generates system instruction based on user settings
  * @param {Object} settings - User settings object
+ * @param {Object} [context] - Optional session context
+ * @param {string} [context.channel] - ToolChannel the instruction is for; only its tools are described
+ * @param {Array} [context.followUps] - Due follow-up reminders to raise proactively
  * @returns {string} - System instruction for AI
  */
-export function getSystemInstruction(settings) {
+export function getSystemInstruction(settings, context = {}) {
+  const timezone = settings.timezone || 'UTC';
+  const tools = getChannelTools(context.channel || ToolChannel.TEXT);
+  const rules = tools
+    .filter((tool) => tool.instruction)
+    .map((tool, index) => `${index + 2}. ${tool.instruction}`)
+    .join('\n');
+  const targeting = tools
+    .filter((tool) => tool.parameters.required?.includes('id'))
+    .map((tool) => `'${tool.name}'`)
+    .join(', ');
+  // Gmail sync can't look applications up; it is given their ids with the emails
+  const lookup = tools.some((tool) => tool.name === 'find_job_applications')
+    ? "Get the id from 'find_job_applications' (by company, role, status or date) unless you already have it from this conversation."
+    : 'Use the id of the tracked application you were given.';
+  const backgroundTools = tools.filter((tool) => tool.longRunning).map((tool) => `'${tool.name}'`);
+  const backgroundSection = context.channel === ToolChannel.VOICE && backgroundTools.length > 0
+    ? `\n\nBACKGROUND TOOLS: ${backgroundTools.join(', ')} can take a while. When you call one, briefly tell the user you're working on it and keep the conversation going; report the outcome when the result arrives.`
+    : '';
+  const confirmationSection = {
+    [ToolChannel.VOICE]: "\n\nCONFIRMATIONS: Some actions need the user's go-ahead. When a tool returns confirmationRequired, ask the user the question it gives and wait for their answer. Then call the same tool again with the same arguments and confirmed: true if they clearly agree, or confirmed: false if they don't. Never set confirmed on a first call.",
+    [ToolChannel.TEXT]: "\n\nCONFIRMATIONS: Some actions ask the user to confirm on screen before they run. If a result says the user declined, acknowledge it and don't retry unless they ask again."
+  }[context.channel || ToolChannel.TEXT] || '';
+  const followUps = context.followUps || [];
+  const followUpSection = followUps.length > 0
+    ? `\n\nDUE FOLLOW-UPS (mention these briefly at the start of the conversation):\n${followUps.map((f) => `- ${f.message}`).join('\n')}`
+    : '';
+
   return `You are Astra, a personal career assistant.
 USER CONTEXT:
 - Name: ${settings.userName || 'User'}
 - Target Career Role: ${settings.targetRole || 'Professional'}
+- Timezone: ${timezone} (today is ${toZonedParts(new Date().toISOString(), timezone).date}; give dates and times on this clock)
 
 CORE RESPONSIBILITIES:
 1. Track job applications using the provided tools.
-2. ALWAYS use 'list_job_applications' if the user asks "how many", "what jobs", "status of my search", or any question regarding their existing tracker data.
-3. Use 'save_job_application' when a user mentions applying to a new role OR when processing emails for new apps.
-4. Use 'update_job_status' when a user shares an update OR when emails indicate an interview invitation or rejection.
-5. Use 'delete_job_application' only if specifically asked to remove an entry.
-6. Use 'sync_gmail_emails' when the user asks to "sync", "check emails", "refresh inbox", or "update from gmail".
+${rules}
+
+TARGETING EXISTING APPLICATIONS:
+- ${targeting} and edits through 'save_job_application' act on an application "id".
+- ${lookup} Never invent or guess an id.
+- If more than one application matches, ask the user which one they mean, naming each by role and application date, and wait for their answer before acting.
+- IDs are internal: never read them out or show them to the user.
 
 TONE: Professional, encouraging, and highly efficient. 
-CONCISENESS: ${settings.conciseness}. If 'Concise', be extremely brief. If 'Detailed', provide more career advice alongside tool actions.`;
+CONCISENESS: ${settings.conciseness}. If 'Concise', be extremely brief. If 'Detailed', provide more career advice alongside tool actions.${confirmationSection}${backgroundSection}${followUpSection}`;
 }
 
+/** Most model/tool round trips allowed for one text message */
+const MAX_TOOL_ROUNDS = 8;
+
 /**
- * Sends a text message to Gemini and returns the response
- * @param {string} message - User message
+ * Joins the parts of a streamed model response. Text arrives split across
+ * chunks; adjacent text parts are merged, keeping any thought signature.
+ * @param {Array} parts - Parts in arrival order
+ * @returns {Array} - Parts as a single model content would hold them
+ */
+function mergeStreamedParts(parts) {
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (typeof part.text === 'string' && !part.thought && last && typeof last.text === 'string' && !last.thought) {
+      merged[merged.length - 1] = { ...last, ...part, text: last.text + part.text };
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Streams a text chat turn from Gemini. Tool calls are run through onToolCall
+ * and their results fed back to the model until it replies without calling
+ * tools. Aborting the signal stops the turn and keeps whatever arrived.
+ * @param {Array} history - Conversation so far as Gemini contents, ending with the user's message
  * @param {Object} settings - User settings
- * @returns {Promise<Object>} - AI response with text and function calls
+ * @param {Object} options - Turn options
+ * @param {Function} options.onToolCall - Runs a function call ({ id, name, args }, { signal }) and returns its result (or a promise of it)
+ * @param {Function} [options.onText] - Called with the reply text so far as it streams in
+ * @param {Function} [options.onToolProgress] - Called with ({ id, name, status: 'running'|'done', result })
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{ text: string, turn: Array, toolResults: Array<string>, stopped: boolean }>} - Reply text,
+ *   the contents added this turn (model calls, tool responses, replies), each tool result, and whether it was stopped
  */
-export async function sendTextMessage(message, settings) {
+export async function sendTextMessage(history, settings, { onToolCall, onText, onToolProgress, signal } = {}) {
   const ai = createAIClient(settings);
-  const response = await ai.models.generateContent({
-    model: 'gemini-3-flash-preview',
-    contents: message,
-    config: {
-      systemInstruction: getSystemInstruction(settings),
-      tools: [{ functionDeclarations: jobTrackingTools }]
+  const turn = [];
+  const toolResults = [];
+  let text = '';
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const parts = [];
+    const roundStart = text;
+
+    try {
+      const stream = await ai.models.generateContentStream({
+        model: 'gemini-3-flash-preview',
+        contents: [...history, ...turn],
+        config: {
+          systemInstruction: getSystemInstruction(settings, { channel: ToolChannel.TEXT }),
+          tools: [{ functionDeclarations: getToolDeclarations(ToolChannel.TEXT) }],
+          abortSignal: signal
+        }
+      });
+
+      for await (const chunk of stream) {
+        const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+        parts.push(...chunkParts);
+        const chunkText = chunkParts.filter((p) => p.text && !p.thought).map((p) => p.text).join('');
+        if (chunkText) {
+          // Separate what the model says before and after a tool call
+          text += text && text === roundStart ? `\n\n${chunkText}` : chunkText;
+          onText?.(text);
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+      // Keep the partial reply so the next turn knows what the user saw
+      const partial = mergeStreamedParts(parts.filter((p) => typeof p.text === 'string' && !p.thought));
+      if (partial.length > 0) turn.push({ role: 'model', parts: partial });
+      return { text, turn, toolResults, stopped: true };
     }
-  });
 
+    // Keep the model's parts as returned; they may carry thought signatures the next request needs
+    turn.push({ role: 'model', parts: mergeStreamedParts(parts) });
+
+    const functionCalls = parts.filter((part) => part.functionCall).map((part) => part.functionCall);
+    if (functionCalls.length === 0) {
+      return { text, turn, toolResults, stopped: false };
+    }
+
+    const responses = [];
+    for (const fc of functionCalls) {
+      onToolProgress?.({ id: fc.id, name: fc.name, status: 'running' });
+      const result = await onToolCall(fc, { signal });
+      toolResults.push(result);
+      onToolProgress?.({ id: fc.id, name: fc.name, status: 'done', result });
+      responses.push({ functionResponse: { id: fc.id, name: fc.name, response: { result } } });
+    }
+    turn.push({ role: 'user', parts: responses });
+
+    if (signal?.aborted) return { text, turn, toolResults, stopped: true };
+  }
+
+  // Out of rounds: the actions ran, so report them instead of failing the turn
+  return { text, turn, toolResults, stopped: false };
+}
+
+/**
+ * Builds the voice session's answer to a function call. Results of
+ * long-running tools are spoken once Astra is idle rather than interrupting a reply.
+ * @param {Object} fc - Function call ({ id, name })
+ * @param {Object} response - Response payload ({ result } or { error })
+ * @returns {Object} - Function response for sendToolResponse
+ */
+export function createToolResponse(fc, response) {
   return {
-    text: response.text || '',
-    functionCalls: response.candidates?.[0]?.content?.parts?.filter(
-      (part) => part.functionCall
-    ) || []
+    id: fc.id,
+    name: fc.name,
+    response,
+    ...(getTool(fc.name)?.longRunning && { scheduling: FunctionResponseScheduling.WHEN_IDLE })
   };
 }
 
@@ -149,7 +215,7 @@ export async function sendTextMessage(message, settings) {
  * @returns {Promise<Object>} - Live session instance
  */
 export async function createVoiceSession(options) {
-  const { settings, callbacks } = options;
+  const { settings, callbacks, context } = options;
   const ai = createAIClient(settings);
 
   return ai.live.connect({
@@ -158,13 +224,13 @@ export async function createVoiceSession(options) {
     callbacks,
     config: {
       responseModalities: [Modality.AUDIO],
-      tools: [{ functionDeclarations: jobTrackingTools }],
+      tools: [{ functionDeclarations: getToolDeclarations(ToolChannel.VOICE) }],
       speechConfig: {
         voiceConfig: {
           prebuiltVoiceConfig: { voiceName: settings.voiceName }
         }
       },
-      systemInstruction: getSystemInstruction(settings),
+      systemInstruction: getSystemInstruction(settings, { ...context, channel: ToolChannel.VOICE }),
       inputAudioTranscription: {},
       outputAudioTranscription: {}
     }
@@ -218,260 +284,192 @@ export async function analyzeResume(resumeText, jobDescription, settings = {}) {
 }
 
 /**
- * Decodes base64url string to text
- * @param {string} data - Base64url encoded string
- * @returns {string} - Decoded text
+ * Pairs each tracker change proposed by the model with the email it came from
+ * @param {Array} functionCalls - Response parts containing function calls
+ * @param {Array} emails - Emails that were sent to the model
+ * @param {string} timezone - Timezone of dates the model gave without a source email
+ * @param {Array} applications - Applications the model could target
+ * @returns {Array<{ id: string, name: string, args: Object, email: Object|null }>} - Reviewable proposals
  */
-function decodeBase64Url(data) {
-  if (!data) return '';
-  // Convert from base64url to base64
-  let base64 = data.replace(/-/g, '+').replace(/_/g, '/');
-  // Add padding if needed
-  while (base64.length % 4) {
-    base64 += '=';
-  }
-
-  try {
-    // Decode base64 to text, handling UTF-8
-    return decodeURIComponent(
-      atob(base64)
-        .split('')
-        .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-        .join('')
-    );
-  } catch (e) {
-    console.warn('Failed to decode email body part', e);
-    return '';
-  }
-}
-
-/**
- * Recursively extracts email body from payload
- * @param {Object} payload - Email payload
- * @returns {string} - Extracted body text
- */
-function extractEmailBody(payload) {
-  if (!payload) return '';
-
-  // 1. Direct body data
-  if (payload.body?.data) {
-    return decodeBase64Url(payload.body.data);
-  }
-
-  // 2. Multipart
-  if (payload.parts) {
-    for (const part of payload.parts) {
-      if (part.body?.data && (part.mimeType === 'text/plain' || part.mimeType === 'text/html')) {
-        return decodeBase64Url(part.body.data);
+function buildSyncProposals(functionCalls, emails, timezone, applications) {
+  const trackedIds = new Set(applications.map((job) => job.id));
+
+  return functionCalls
+    .map((part) => part.functionCall)
+    // Only tools open to the Gmail channel can be proposed
+    .filter((fc) => getTool(fc.name)?.channels.includes(ToolChannel.GMAIL))
+    // Changes to existing applications must name one that exists
+    .filter((fc) => fc.name === 'save_job_application' || trackedIds.has(fc.args?.id))
+    .map((fc, index) => {
+      const { sourceEmailId, ...rawArgs } = fc.args || {};
+      // A save naming an untracked application adds a new one
+      if (fc.name === 'save_job_application' && rawArgs.id && !trackedIds.has(rawArgs.id)) {
+        delete rawArgs.id;
       }
-
-      if (part.parts) {
-        const result = extractEmailBody(part);
-        if (result) return result;
+      const email = emails.find((e) => e.id === sourceEmailId) || null;
+      // Interview rounds get their own ID when applied; "id" stays the application
+      const args = fc.name === 'schedule_interview'
+        ? { ...toInterviewRound({ ...rawArgs, id: null }, timezone), id: rawArgs.id }
+        : withAppliedAt(rawArgs, timezone);
+
+      // A new application's time comes from the email itself rather than the model
+      if (fc.name === 'save_job_application' && !args.id && email?.receivedAt) {
+        args.appliedAt = email.receivedAt;
       }
-    }
-  }
-
-  return '';
-}
-
-/**
- * Exchanges an authorization code for access and refresh tokens
- */
-export async function exchangeCodeForTokens(code, clientId, clientSecret, redirectUri) {
-  const response = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      code,
-      client_id: clientId,
-      client_secret: clientSecret,
-      redirect_uri: redirectUri,
-      grant_type: 'authorization_code'
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error_description || 'Failed to exchange code');
-  }
-
-  return await response.json();
-}
-
 
-/**
- * Refreshes an expired access token using a refresh token
- */
-export async function refreshGmailAccessToken(refreshToken, clientId, clientSecret) {
-  try {
-    const response = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        refresh_token: refreshToken,
-        client_id: clientId,
-        client_secret: clientSecret,
-        grant_type: 'refresh_token'
-      })
+      return { id: `${Date.now()}-${index}`, name: fc.name, args, email };
     });
-
-    if (!response.ok) return null;
-    return await response.json();
-  } catch (error) {
-    console.error('Refresh token error:', error);
-    return null;
-  }
 }
 
-/**
- * Fetches emails from Gmail API
- * @param {Object} settings - App settings
- * @returns {Promise<Object>} - Array of emails and potentially a new access token
- */
-async function fetchGmailEmails(settings) {
-  let currentToken = settings.gmailAccessToken;
-  let newAccessToken = null;
-
-  const performFetch = async (token) => {
-    // Search for job-related emails
-    const query = 'subject:(application OR interview OR offer OR position OR job OR career OR hiring)';
-    const searchUrl = `https://www.googleapis.com/gmail/v1/users/me/messages?q=${encodeURIComponent(query)}&maxResults=50`;
-
-    const searchResponse = await fetch(searchUrl, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-
-    if (searchResponse.status === 401) {
-      throw new Error('GMAIL_UNAUTHORIZED');
-    }
-
-    if (!searchResponse.ok) {
-      throw new Error('Failed to fetch emails');
-    }
-
-    const searchData = await searchResponse.json();
-    const messages = searchData.messages || [];
-
-    // Fetch details for each message
-    const emails = await Promise.all(
-      messages.slice(0, messages.length).map(async (msg) => {
-        const msgUrl = `https://www.googleapis.com/gmail/v1/users/me/messages/${msg.id}?format=full`;
-        const msgResponse = await fetch(msgUrl, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
-
-        if (!msgResponse.ok) return null;
-
-        const msgData = await msgResponse.json();
-        const payload = msgData.payload || {};
-        const headers = payload.headers || [];
-
-        const body = extractEmailBody(payload);
-
-        return {
-          from: headers.find(h => h.name === 'From')?.value || 'Unknown',
-          subject: headers.find(h => h.name === 'Subject')?.value || 'No Subject',
-          dateApplied: headers.find(h => h.name === 'Received')?.value || 'Unknown',
-          timeApplied: headers.find(h => h.name === 'Received')?.value || 'Unknown',
-          snippet: msgData.snippet || '',
-          body: body || msgData.snippet || '',
-          dateTime: headers.find(h => h.name === 'Received')?.value || 'Unknown',
-        };
-      })
-    );
-
-    return emails.filter(Boolean);
-  };
-
-  try {
-    try {
-      const emails = await performFetch(currentToken);
-      return { emails, newAccessToken };
-    } catch (error) {
-      if (error.message === 'GMAIL_UNAUTHORIZED' && settings.gmailRefreshToken) {
-        // Try to refresh
-        console.log('Access token expired, attempting refresh...');
-        const refreshData = await refreshGmailAccessToken(
-          settings.gmailRefreshToken,
-          settings.gmailClientId || '193744440236-au46mlea5ctjic4o3bt92pgk7klhtbdo.apps.googleusercontent.com',
-          settings.gmailClientSecret || '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'
-        );
-
-        if (refreshData && refreshData.access_token) {
-          console.log('Refresh successful!');
-          newAccessToken = refreshData.access_token;
-          const emails = await performFetch(newAccessToken);
-          return { emails, newAccessToken };
-        }
-      }
-      throw error;
-    }
-  } catch (error) {
-    if (error.message === 'GMAIL_UNAUTHORIZED') {
-      throw error;
-    }
-    console.error('Gmail fetch error:', error);
-    return { emails: [], newAccessToken };
-  }
-}
+/** Emails sent to the model per request during a Gmail sync */
+const SYNC_BATCH_SIZE = 25;
 
 /**
- * Syncs Gmail emails for job updates
+ * Syncs Gmail emails for job updates.
+ * Only emails that arrived since the previous sync and that the local classifier
+ * labels as relevant are sent to Gemini; when there are none the model is not called at all.
+ * Emails go out in batches, as plain text with their bodies capped.
  * @param {Object} settings - User settings
- * @returns {Promise<Object>} - Sync results with function calls
+ * @param {Array} applications - Current job applications
+ * @param {Object} [syncState] - Gmail cursor and processed-message ledger from the previous sync
+ * @param {Object} [options] - Sync options
+ * @param {AbortSignal} [options.signal] - Cancels the Gmail fetch and the model call
+ * @returns {Promise<Object>} - Proposed changes, the next sync state, email counts and potentially a new access token
  */
-export async function syncGmailEmails(settings, applications) {
+export async function syncGmailEmails(settings, applications, syncState = EMPTY_GMAIL_SYNC_STATE, { signal } = {}) {
   let emails = [];
+  let nextSyncState = syncState;
 
   // If Gmail is connected and has access token, fetch real emails
   let newAccessToken = null;
   if (settings.isGmailConnected && (settings.gmailAccessToken || settings.gmailRefreshToken)) {
     try {
-      const fetchResult = await fetchGmailEmails(settings);
+      const fetchResult = await fetchGmailEmails(settings, syncState, { signal });
       emails = fetchResult.emails;
+      nextSyncState = fetchResult.syncState;
       newAccessToken = fetchResult.newAccessToken;
     } catch (error) {
       if (error.message === 'GMAIL_UNAUTHORIZED') {
         throw new Error('Gmail session expired. Please reconnect in Settings.');
       }
-      console.warn('Gmail fetch failed, using fallback mock data:', error);
+      if (signal?.aborted) throw error;
+      console.error('Gmail fetch failed:', error);
+      throw new Error('Could not fetch emails from Gmail. Check your connection and try again.');
     }
   }
 
+  // Job alerts and newsletters are dropped locally; they stay in the ledger so they aren't fetched again
+  const { relevant, skipped } = filterRelevantEmails(emails, settings.emailFilters);
+  emails = relevant;
+
+  if (emails.length === 0) {
+    return { proposals: [], syncState: nextSyncState, emailCount: 0, skippedCount: skipped.length, newAccessToken };
+  }
+
+  // The model only needs enough of each application to match emails against it
+  const trackedApplications = applications.map((job) => ({
+    id: job.id,
+    company: job.company,
+    role: job.role,
+    status: job.status,
+    appliedAt: getAppliedAt(job)
+  }));
+
   const ai = createAIClient(settings);
-  const response = await ai.models.generateContent({
-    model: 'gemini-2.5-pro',
-    contents: `Process these emails for job application updates. Use your tools to save or update the tracker.
-    Current Job Applications: ${JSON.stringify(applications)}
+  const functionCalls = [];
+  for (let i = 0; i < emails.length; i += SYNC_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const batch = emails.slice(i, i + SYNC_BATCH_SIZE).map(toPromptEmail);
+    const response = await ai.models.generateContent({
+      model: 'gemini-2.5-pro',
+      contents: `Process these emails for job application updates. Use your tools to save or update the tracker.
+    Current Job Applications: ${JSON.stringify(trackedApplications)}
     
     Then process the emails.
-    EMAILS: ${JSON.stringify(emails)}
+    EMAILS: ${JSON.stringify(batch)}
     
-    note - dateTime will be in this format - by 2002:a05:6520:50c7:b0:325:7f39:3094 with SMTP id y7csp11383lka;        Thu, 18 Dec 2025 21:32:14 -0800 (PST)
-    The time coming from the email can be in PST format thus we need to convert it to UTC.
+    Each email's "receivedAt" is a UTC timestamp. The app records the application time from
+    the source email, so you don't need to convert or pass dates for emails.
     If there is duplicate email discard the older one.
 
-    Also make sure its an applied job that we are considering not any suggestions or other emails.
-    check the subject line and body of the email to make sure its an applied job.
-
-    Sometime LinkedIn will send a suggestion email for a job that we have already applied for.
-    Make sure to not consider those emails.
+    Each email has a "category" (confirmation, interview, rejection or offer) assigned by keyword rules.
+    Treat it as a hint: confirm it against the subject and body, and skip emails that turn out
+    not to be about a job the user applied for.
 
-    Example of suggestion email - 
-    Subject: [Company Name] is hiring a [Job Title]
-    
+    To change the status of a tracked application, call update_job_status with its "id" from the list above.
+    When an email sets a date and time for an interview, call schedule_interview for that application
+    (dates and times in the user's timezone, ${settings.timezone || 'UTC'}) instead of update_job_status.
+    Every tool call must include the "id" of the email it came from as sourceEmailId.
     `,
-    config: {
-      systemInstruction: getSystemInstruction(settings),
-      tools: [{ functionDeclarations: jobTrackingTools }]
-    }
-  });
+      config: {
+        systemInstruction: getSystemInstruction(settings, { channel: ToolChannel.GMAIL }),
+        tools: [{ functionDeclarations: getToolDeclarations(ToolChannel.GMAIL) }],
+        abortSignal: signal
+      }
+    });
 
-  return {
-    functionCalls: response.candidates?.[0]?.content?.parts?.filter(
+    functionCalls.push(...(response.candidates?.[0]?.content?.parts?.filter(
       (part) => part.functionCall
-    ) || [],
+    ) || []));
+  }
+
+  return {
+    proposals: buildSyncProposals(functionCalls, emails, settings.timezone || 'UTC', applications),
+    syncState: nextSyncState,
+    emailCount: emails.length,
+    skippedCount: skipped.length,
     newAccessToken
   };
 }
+
+/**
+ * Summarizes the changes a Gmail sync applied, for the assistant to narrate
+ * @param {Array} proposals - Applied proposals (output of syncGmailEmails)
+ * @param {Array} applications - Applications before the changes were applied
+ * @param {Object} counts - Sync counts
+ * @param {number} counts.emailCount - Relevant emails sent to the model
+ * @param {number} counts.skippedCount - Emails dropped as not job-related
+ * @param {string} [timezone] - Timezone used to display interview times
+ * @returns {Object} - New and updated applications, status changes, scheduled interviews, email counts and a one-line summary
+ */
+export function summarizeSyncChanges(proposals, applications, { emailCount, skippedCount }, timezone = 'UTC') {
+  const byId = new Map(applications.map((job) => [job.id, job]));
+  const name = (id) => {
+    const job = byId.get(id);
+    return job ? { company: job.company, role: job.role } : { company: 'Unknown', role: 'Unknown' };
+  };
+
+  // Saves that carry an id edit an existing application
+  const newApplications = proposals
+    .filter((p) => p.name === 'save_job_application' && !p.args.id)
+    .map(({ args }) => ({ company: args.company, role: args.role, status: args.status || 'Applied' }));
+  const updatedApplications = proposals
+    .filter((p) => p.name === 'save_job_application' && p.args.id)
+    .map(({ args }) => ({ company: args.company, role: args.role, status: args.status || byId.get(args.id)?.status || null }));
+  const statusChanges = proposals
+    .filter((p) => p.name === 'update_job_status')
+    .map(({ args }) => ({ ...name(args.id), from: byId.get(args.id)?.status || null, to: args.status }));
+  const interviewsScheduled = proposals
+    .filter((p) => p.name === 'schedule_interview')
+    .map(({ args }) => ({ ...name(args.id), type: args.type, when: args.scheduledAt ? formatInTimezone(args.scheduledAt, timezone) : null }));
+
+  const checked = emailCount + skippedCount;
+  const changes = [
+    newApplications.length > 0 && `${newApplications.length} new application${newApplications.length === 1 ? '' : 's'}`,
+    updatedApplications.length > 0 && `${updatedApplications.length} application${updatedApplications.length === 1 ? '' : 's'} updated`,
+    statusChanges.length > 0 && `${statusChanges.length} status change${statusChanges.length === 1 ? '' : 's'}`,
+    interviewsScheduled.length > 0 && `${interviewsScheduled.length} interview${interviewsScheduled.length === 1 ? '' : 's'} scheduled`
+  ].filter(Boolean);
+
+  return {
+    newApplications,
+    updatedApplications,
+    statusChanges,
+    interviewsScheduled,
+    emailsChecked: checked,
+    skippedEmails: skippedCount,
+    summary: checked === 0
+      ? 'Gmail sync finished: no new emails since the last sync.'
+      : `Gmail sync finished: checked ${checked} new email${checked === 1 ? '' : 's'} (${skippedCount} skipped as not job-related); ${changes.length > 0 ? changes.join(', ') : 'no tracker changes'}.`
+  };
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { JobStatus } from '@/constants';
+import { summarizeSyncChanges } from './geminiService';
+
+const applications = [
+  { id: 'a1', company: 'Acme', role: 'Engineer', status: JobStatus.APPLIED },
+  { id: 'a2', company: 'Globex', role: 'Designer', status: JobStatus.APPLIED }
+];
+
+describe('summarizeSyncChanges', () => {
+  it('counts saves with an id as updates rather than new applications', () => {
+    const proposals = [
+      { name: 'save_job_application', args: { company: 'Initech', role: 'Analyst', status: JobStatus.APPLIED } },
+      { name: 'save_job_application', args: { id: 'a1', company: 'Acme', role: 'Senior Engineer' } },
+      { name: 'update_job_status', args: { id: 'a2', status: JobStatus.REJECTED } }
+    ];
+
+    const result = summarizeSyncChanges(proposals, applications, { emailCount: 3, skippedCount: 1 });
+
+    expect(result.newApplications).toEqual([{ company: 'Initech', role: 'Analyst', status: JobStatus.APPLIED }]);
+    expect(result.updatedApplications).toEqual([{ company: 'Acme', role: 'Senior Engineer', status: JobStatus.APPLIED }]);
+    expect(result.statusChanges).toEqual([
+      { company: 'Globex', role: 'Designer', from: JobStatus.APPLIED, to: JobStatus.REJECTED }
+    ]);
+    expect(result.summary).toBe(
+      'Gmail sync finished: checked 4 new emails (1 skipped as not job-related); 1 new application, 1 application updated, 1 status change.'
+    );
+  });
+
+  it('reports when there was nothing new', () => {
+    expect(summarizeSyncChanges([], applications, { emailCount: 0, skippedCount: 0 }).summary)
+      .toBe('Gmail sync finished: no new emails since the last sync.');
+  });
+});
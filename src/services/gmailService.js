@@ -0,0 +1,454 @@
+/**
+ * Gmail Service
+ * Handles OAuth tokens and incremental fetching of job-related emails
+ */
+
+import { parseEmailTimestamp } from './dateUtils';
+
+const GMAIL_API = 'https://www.googleapis.com/gmail/v1/users/me';
+
+/** Search used for the first sync, before a history cursor exists */
+const JOB_EMAIL_QUERY = 'subject:(application OR interview OR offer OR position OR job OR career OR hiring)';
+
+/** Same keywords, applied locally to history results (the history API has no search) */
+const JOB_SUBJECT_PATTERN = /\b(application|interview|offer|position|job|career|hiring)s?\b/i;
+
+/** Upper bound on messages listed during a first sync */
+const MAX_INITIAL_MESSAGES = 500;
+
+/** Number of message bodies fetched in parallel */
+const FETCH_CONCURRENCY = 10;
+
+/** Size limits for the processed-message ledger */
+const MAX_LEDGER_MESSAGES = 5000;
+const MAX_LEDGER_THREADS = 2000;
+
+/** Longest email body kept on an application */
+const MAX_LINKED_BODY_LENGTH = 10000;
+
+/** Longest email body sent to the model during a sync */
+const MAX_PROMPT_BODY_LENGTH = 4000;
+
+/** Labels of messages that never carry updates from employers */
+const IGNORED_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+
+/**
+ * Empty sync state used before the first Gmail sync
+ */
+export const EMPTY_GMAIL_SYNC_STATE = {
+  historyId: null,
+  processedMessageIds: [],
+  processedThreads: {}
+};
+
+/**
+ * Decodes base64url string to text
+ * @param {string} data - Base64url encoded string
+ * @returns {string} - Decoded text
+ */
+function decodeBase64Url(data) {
+  if (!data) return '';
+  // Convert from base64url to base64
+  let base64 = data.replace(/-/g, '+').replace(/_/g, '/');
+  // Add padding if needed
+  while (base64.length % 4) {
+    base64 += '=';
+  }
+
+  try {
+    // Decode base64 to text, handling UTF-8
+    return decodeURIComponent(
+      atob(base64)
+        .split('')
+        .map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
+        .join('')
+    );
+  } catch (e) {
+    console.warn('Failed to decode email body part', e);
+    return '';
+  }
+}
+
+/**
+ * Recursively extracts email body from payload
+ * @param {Object} payload - Email payload
+ * @returns {string} - Extracted body text
+ */
+function extractEmailBody(payload) {
+  if (!payload) return '';
+
+  // 1. Direct body data
+  if (payload.body?.data) {
+    return decodeBase64Url(payload.body.data);
+  }
+
+  // 2. Multipart
+  if (payload.parts) {
+    for (const part of payload.parts) {
+      if (part.body?.data && (part.mimeType === 'text/plain' || part.mimeType === 'text/html')) {
+        return decodeBase64Url(part.body.data);
+      }
+
+      if (part.parts) {
+        const result = extractEmailBody(part);
+        if (result) return result;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Exchanges an authorization code for access and refresh tokens
+ */
+export async function exchangeCodeForTokens(code, clientId, clientSecret, redirectUri) {
+  const response = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      grant_type: 'authorization_code'
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error_description || 'Failed to exchange code');
+  }
+
+  return await response.json();
+}
+
+
+/**
+ * Refreshes an expired access token using a refresh token
+ */
+export async function refreshGmailAccessToken(refreshToken, clientId, clientSecret) {
+  try {
+    const response = await fetch('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: 'refresh_token'
+      })
+    });
+
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return null;
+  }
+}
+
+/**
+ * Performs an authorized GET against the Gmail API
+ * @param {string} path - Path relative to the user endpoint, including query string
+ * @param {string} token - OAuth access token
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function gmailGet(path, token, signal) {
+  const response = await fetch(`${GMAIL_API}${path}`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal
+  });
+
+  if (response.status === 401) {
+    throw new Error('GMAIL_UNAUTHORIZED');
+  }
+  if (response.status === 404) {
+    throw new Error(path.startsWith('/history') ? 'GMAIL_HISTORY_EXPIRED' : 'GMAIL_NOT_FOUND');
+  }
+  if (!response.ok) {
+    throw new Error('Failed to fetch emails');
+  }
+
+  return response.json();
+}
+
+/**
+ * Lists message references added since a history cursor, following every page
+ * @param {string} historyId - Cursor from the previous sync
+ * @param {string} token - OAuth access token
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<{ refs: Array, historyId: string }>} - Added messages and the new cursor
+ */
+async function listMessagesSinceHistory(historyId, token, signal) {
+  const refs = [];
+  let latestHistoryId = historyId;
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({
+      startHistoryId: historyId,
+      historyTypes: 'messageAdded',
+      maxResults: '500'
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const data = await gmailGet(`/history?${params}`, token, signal);
+    for (const record of data.history || []) {
+      for (const { message } of record.messagesAdded || []) {
+        refs.push(message);
+      }
+    }
+    latestHistoryId = data.historyId || latestHistoryId;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { refs, historyId: latestHistoryId };
+}
+
+/**
+ * Lists job-related messages by search, paging beyond the 100-per-page API limit
+ * @param {string} token - OAuth access token
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<{ refs: Array, historyId: string }>} - Matching messages and the mailbox cursor
+ */
+async function listMessagesBySearch(token, signal) {
+  // Read the cursor first so nothing arriving mid-sync falls between the two calls
+  const profile = await gmailGet('/profile', token, signal);
+  const refs = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({ q: JOB_EMAIL_QUERY, maxResults: '100' });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const data = await gmailGet(`/messages?${params}`, token, signal);
+    refs.push(...(data.messages || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken && refs.length < MAX_INITIAL_MESSAGES);
+
+  return { refs: refs.slice(0, MAX_INITIAL_MESSAGES), historyId: profile.historyId };
+}
+
+/**
+ * Fetches full message details with bounded concurrency.
+ * Any failed fetch throws, so the history cursor isn't advanced past a message that was never read.
+ * @param {Array} refs - Message references ({ id, threadId })
+ * @param {string} token - OAuth access token
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<Array>} - Raw Gmail message resources (messages deleted since they were listed are omitted)
+ */
+async function fetchMessages(refs, token, signal) {
+  const messages = [];
+  for (let i = 0; i < refs.length; i += FETCH_CONCURRENCY) {
+    const batch = await Promise.all(
+      refs.slice(i, i + FETCH_CONCURRENCY).map((ref) =>
+        gmailGet(`/messages/${ref.id}?format=full`, token, signal).catch((error) => {
+          if (error.message === 'GMAIL_NOT_FOUND') return null;
+          throw error;
+        })
+      )
+    );
+    messages.push(...batch.filter(Boolean));
+  }
+  return messages;
+}
+
+/**
+ * Converts a Gmail message resource into the email shape sent to Gemini
+ * @param {Object} msgData - Gmail message resource
+ * @returns {Object} - Simplified email
+ */
+export function toEmail(msgData) {
+  const payload = msgData.payload || {};
+  const headers = payload.headers || [];
+  const header = (name) => headers.find(h => h.name === name)?.value;
+  const body = extractEmailBody(payload);
+
+  return {
+    id: msgData.id,
+    threadId: msgData.threadId,
+    from: header('From') || 'Unknown',
+    subject: header('Subject') || 'No Subject',
+    receivedAt: parseEmailTimestamp(msgData.internalDate, header('Date')),
+    snippet: msgData.snippet || '',
+    body: body || msgData.snippet || ''
+  };
+}
+
+/**
+ * Converts an HTML email body to readable plain text
+ * @param {string} html - HTML or plain text
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  if (!/<[a-z][\s\S]*>/i.test(html)) return html;
+  return html
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Builds the record stored on an application for an email that touched it
+ * @param {Object} email - Email returned by fetchGmailEmails
+ * @returns {Object} - Linked email ({ messageId, threadId, from, subject, snippet, body, receivedAt })
+ */
+export function toLinkedEmail(email) {
+  return {
+    messageId: email.id,
+    threadId: email.threadId,
+    from: email.from,
+    subject: email.subject,
+    snippet: email.snippet,
+    body: htmlToText(email.body || '').slice(0, MAX_LINKED_BODY_LENGTH),
+    receivedAt: email.receivedAt
+  };
+}
+
+/**
+ * Trims an email to what the model needs to process it: plain text, with the body capped
+ * @param {Object} email - Email returned by fetchGmailEmails (may carry a classifier category)
+ * @returns {Object} - Email with a plain-text, length-limited body
+ */
+export function toPromptEmail(email) {
+  return {
+    ...email,
+    body: htmlToText(email.body || '').slice(0, MAX_PROMPT_BODY_LENGTH)
+  };
+}
+
+/**
+ * Returns the sync state with newly seen messages recorded in the ledger
+ * @param {Object} state - Previous sync state
+ * @param {string} historyId - New history cursor
+ * @param {Array} messages - Gmail message resources seen during this sync
+ * @returns {Object} - Next sync state
+ */
+function recordProcessed(state, historyId, messages) {
+  const processedThreads = { ...state.processedThreads };
+  for (const msg of messages) {
+    const date = Number(msg.internalDate) || 0;
+    if (!processedThreads[msg.threadId] || processedThreads[msg.threadId] < date) {
+      processedThreads[msg.threadId] = date;
+    }
+  }
+
+  // Keep only the most recently active threads
+  const threadEntries = Object.entries(processedThreads)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_LEDGER_THREADS);
+
+  return {
+    historyId,
+    processedMessageIds: [...state.processedMessageIds, ...messages.map((m) => m.id)].slice(-MAX_LEDGER_MESSAGES),
+    processedThreads: Object.fromEntries(threadEntries)
+  };
+}
+
+/**
+ * Fetches job-related emails that arrived since the previous sync.
+ * Uses the Gmail history API when a cursor exists, falling back to a paged search
+ * on the first sync or when the cursor has expired. Messages already in the ledger,
+ * and messages no newer than what was processed for their thread, are skipped.
+ * Failed requests throw (GMAIL_UNAUTHORIZED when the session can't be refreshed).
+ * @param {Object} settings - App settings
+ * @param {Object} [syncState] - Cursor and ledger from the previous sync
+ * @param {Object} [options] - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the Gmail requests
+ * @returns {Promise<Object>} - New emails, next sync state and potentially a new access token
+ */
+export async function fetchGmailEmails(settings, syncState = EMPTY_GMAIL_SYNC_STATE, { signal } = {}) {
+  const state = { ...EMPTY_GMAIL_SYNC_STATE, ...syncState };
+  let currentToken = settings.gmailAccessToken;
+  let newAccessToken = null;
+
+  const performFetch = async (token) => {
+    let listing;
+    let fromHistory = Boolean(state.historyId);
+
+    if (fromHistory) {
+      try {
+        listing = await listMessagesSinceHistory(state.historyId, token, signal);
+      } catch (error) {
+        if (error.message !== 'GMAIL_HISTORY_EXPIRED') throw error;
+        console.warn('Gmail history cursor expired, falling back to a full search.');
+        fromHistory = false;
+      }
+    }
+    if (!fromHistory) {
+      listing = await listMessagesBySearch(token, signal);
+    }
+
+    const processedIds = new Set(state.processedMessageIds);
+    const seen = new Set();
+    const refs = listing.refs.filter((ref) => {
+      if (processedIds.has(ref.id) || seen.has(ref.id)) return false;
+      seen.add(ref.id);
+      return true;
+    });
+
+    const messages = await fetchMessages(refs, token, signal);
+
+    const relevant = messages.filter((msg) => {
+      const labels = msg.labelIds || [];
+      if (labels.some((label) => IGNORED_LABELS.includes(label))) return false;
+
+      const lastProcessed = state.processedThreads[msg.threadId];
+      if (lastProcessed && Number(msg.internalDate) <= lastProcessed) return false;
+
+      if (!fromHistory) return true;
+      const subject = (msg.payload?.headers || []).find(h => h.name === 'Subject')?.value || '';
+      return JOB_SUBJECT_PATTERN.test(subject);
+    });
+
+    // Within one sync only the newest message of a thread reflects its current state
+    const newestByThread = new Map();
+    for (const msg of relevant) {
+      const current = newestByThread.get(msg.threadId);
+      if (!current || Number(msg.internalDate) > Number(current.internalDate)) {
+        newestByThread.set(msg.threadId, msg);
+      }
+    }
+
+    return {
+      emails: [...newestByThread.values()].map(toEmail),
+      syncState: recordProcessed(state, listing.historyId, messages)
+    };
+  };
+
+  try {
+    const result = await performFetch(currentToken);
+    return { ...result, newAccessToken };
+  } catch (error) {
+    if (error.message === 'GMAIL_UNAUTHORIZED' && settings.gmailRefreshToken && !signal?.aborted) {
+      // Try to refresh
+      console.log('Access token expired, attempting refresh...');
+      const refreshData = await refreshGmailAccessToken(
+        settings.gmailRefreshToken,
+        settings.gmailClientId || '193744440236-au46mlea5ctjic4o3bt92pgk7klhtbdo.apps.googleusercontent.com',
+        settings.gmailClientSecret || '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'
+      );
+
+      if (refreshData && refreshData.access_token) {
+        console.log('Refresh successful!');
+        newAccessToken = refreshData.access_token;
+        const result = await performFetch(newAccessToken);
+        return { ...result, newAccessToken };
+      }
+    }
+    // The caller reports the failure; the cursor stays put so the next sync retries these messages
+    throw error;
+  }
+}
@@ -0,0 +1,429 @@
+/**
+ * Import Utilities
+ * Parses exported JSON and spreadsheet CSV files into job applications
+ * and plans how they merge into the existing tracker
+ */
+
+import { JobStatus, WorkMode } from '@/constants';
+import { withAppliedAt, getAppliedAt, toZonedParts, fromZonedParts } from './dateUtils';
+import { parseSalary, normalizeWorkMode, parseContacts, formatContacts } from './jobDetails';
+
+/**
+ * Application fields that imported columns can be mapped onto
+ */
+export const IMPORT_FIELDS = [
+  { key: 'company', label: 'Company', required: true },
+  { key: 'role', label: 'Role', required: true },
+  { key: 'source', label: 'Source', required: false },
+  { key: 'appliedAt', label: 'Applied At (timestamp)', required: false },
+  { key: 'dateApplied', label: 'Date Applied', required: false },
+  { key: 'timeApplied', label: 'Time Applied', required: false },
+  { key: 'status', label: 'Status', required: false },
+  { key: 'salaryMin', label: 'Salary Min', required: false },
+  { key: 'salaryMax', label: 'Salary Max', required: false },
+  { key: 'currency', label: 'Currency', required: false },
+  { key: 'location', label: 'Location', required: false },
+  { key: 'workMode', label: 'Work Mode', required: false },
+  { key: 'jobUrl', label: 'Job URL', required: false },
+  { key: 'contacts', label: 'Contacts', required: false },
+  { key: 'notes', label: 'Notes', required: false }
+];
+
+/**
+ * Header aliases used to guess the column mapping (normalized, lowercase)
+ */
+const FIELD_ALIASES = {
+  company: ['company', 'companyname', 'organization', 'organisation', 'employer'],
+  role: ['role', 'jobtitle', 'title', 'position', 'job', 'jobrole'],
+  source: ['source', 'channel', 'via', 'platform', 'appliedvia'],
+  appliedAt: ['appliedat', 'appliedtimestamp'],
+  dateApplied: ['dateapplied', 'applieddate', 'date', 'applied', 'appliedon'],
+  timeApplied: ['timeapplied', 'appliedtime', 'time'],
+  status: ['status', 'stage', 'state'],
+  salaryMin: ['salaryfrom', 'minsalary', 'salary', 'compensation', 'basesalary'],
+  salaryMax: ['salaryto', 'maxsalary'],
+  currency: ['currency', 'salarycurrency'],
+  location: ['location', 'city', 'office'],
+  workMode: ['workmode', 'remote', 'remotepolicy', 'workplace', 'worktype', 'arrangement'],
+  jobUrl: ['joburl', 'url', 'link', 'postingurl', 'joblink', 'posting'],
+  contacts: ['contacts', 'contact', 'recruiter', 'recruiters'],
+  notes: ['notes', 'note', 'comments', 'comment']
+};
+
+/**
+ * Fields of our own JSON export that hold lists or objects rather than text.
+ * They can't come from a spreadsheet, so they are copied as-is instead of mapped.
+ */
+const STRUCTURED_FIELDS = {
+  statusHistory: Array.isArray,
+  interviews: Array.isArray,
+  emails: Array.isArray,
+  offer: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+};
+
+/**
+ * Parses CSV text into rows of cells (RFC 4180 quoting, comma or semicolon delimited)
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} - Parsed rows
+ */
+export function parseCSV(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+/**
+ * Parses an import file's text into column headers and raw row objects
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name (used to detect the format)
+ * @returns {{ format: string, columns: string[], rows: Object[] }} - Parsed table
+ */
+export function parseImportFile(text, fileName = '') {
+  const trimmed = text.trim();
+  const isJson = fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error('This file is not valid JSON.');
+    }
+
+    // Accept a bare array (our own export) or an object wrapping one
+    const records = Array.isArray(data)
+      ? data
+      : data.applications || data.jobs || data[Object.keys(data).find((k) => Array.isArray(data[k]))];
+
+    if (!Array.isArray(records)) {
+      throw new Error('Could not find a list of applications in this JSON file.');
+    }
+
+    const rows = records.filter((r) => r && typeof r === 'object');
+    const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+    return { format: 'json', columns, rows };
+  }
+
+  const table = parseCSV(text);
+  if (table.length < 2) {
+    throw new Error('The CSV file needs a header row and at least one data row.');
+  }
+
+  const columns = table[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+  const rows = table.slice(1).map((cells) =>
+    Object.fromEntries(columns.map((col, i) => [col, (cells[i] || '').trim()]))
+  );
+  return { format: 'csv', columns, rows };
+}
+
+/**
+ * Guesses which source column feeds each application field
+ * @param {string[]} columns - Column headers from the import file
+ * @returns {Object} - Map of field key to column name ('' when unmapped)
+ */
+export function guessColumnMapping(columns) {
+  const normalize = (s) => s.toLowerCase().replace(/[^a-z]/g, '');
+  const mapping = {};
+
+  for (const { key } of IMPORT_FIELDS) {
+    const aliases = FIELD_ALIASES[key];
+    const column = columns.find((c) => normalize(c) === key.toLowerCase()) ||
+      columns.find((c) => aliases.includes(normalize(c)));
+    mapping[key] = column || '';
+  }
+
+  return mapping;
+}
+
+/**
+ * Matches a free-form status string against JobStatus values
+ * @param {string} value - Raw status
+ * @returns {string|null} - Matching JobStatus value, or null when unknown
+ */
+export function normalizeStatus(value) {
+  if (!value) return JobStatus.APPLIED;
+  const needle = String(value).trim().toLowerCase();
+  return Object.values(JobStatus).find((s) => s.toLowerCase() === needle) || null;
+}
+
+/**
+ * Normalizes a date string to YYYY-MM-DD
+ * @param {string} value - Raw date
+ * @returns {string|null} - Normalized date, or null when unparseable
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+
+  const date = new Date(raw);
+  if (isNaN(date.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Normalizes a time string to HH:MM (24-hour)
+ * @param {string} value - Raw time
+ * @returns {string} - Normalized time, or '' when missing/unparseable
+ */
+function normalizeTime(value) {
+  if (!value) return '';
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(am|pm)?/i);
+  if (!match) return '';
+
+  let hours = parseInt(match[1], 10);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23) return '';
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Converts raw rows into validated application records using a column mapping.
+ * Blank optional cells stay empty so they never overwrite existing values on merge.
+ * @param {Object[]} rows - Raw row objects from parseImportFile
+ * @param {Object} mapping - Field key to column name
+ * @returns {Array<{ index: number, record: Object|null, errors: string[] }>} - Mapped rows
+ */
+export function mapImportRows(rows, mapping) {
+  return rows.map((row, index) => {
+    const read = (key) => {
+      const value = mapping[key] ? row[mapping[key]] : '';
+      return value === undefined || value === null ? '' : String(value).trim();
+    };
+
+    const errors = [];
+    const company = read('company');
+    const role = read('role');
+    const rawStatus = read('status');
+    const rawAppliedAt = read('appliedAt');
+    const rawDate = read('dateApplied');
+    const rawSalaryMin = read('salaryMin');
+    const rawSalaryMax = read('salaryMax');
+    const rawWorkMode = read('workMode');
+
+    if (!company) errors.push('Missing company');
+    if (!role) errors.push('Missing role');
+
+    const status = rawStatus ? normalizeStatus(rawStatus) : '';
+    if (status === null) {
+      errors.push(`Unknown status "${rawStatus}" (expected ${Object.values(JobStatus).join(', ')})`);
+    }
+
+    // A full timestamp (our JSON export) is the exact instant; date and time columns are wall-clock
+    const appliedAt = rawAppliedAt ? getAppliedAt({ appliedAt: rawAppliedAt }) : null;
+    if (rawAppliedAt && !appliedAt) errors.push(`Invalid timestamp "${rawAppliedAt}"`);
+
+    const dateApplied = rawDate && !appliedAt ? normalizeDate(rawDate) : '';
+    if (dateApplied === null) errors.push(`Invalid date "${rawDate}"`);
+
+    const salaryMin = parseSalary(rawSalaryMin);
+    const salaryMax = parseSalary(rawSalaryMax);
+    if (rawSalaryMin && salaryMin === null) errors.push(`Invalid salary "${rawSalaryMin}"`);
+    if (rawSalaryMax && salaryMax === null) errors.push(`Invalid salary "${rawSalaryMax}"`);
+
+    const workMode = normalizeWorkMode(rawWorkMode);
+    if (rawWorkMode && !workMode) {
+      errors.push(`Unknown work mode "${rawWorkMode}" (expected ${Object.values(WorkMode).join(', ')})`);
+    }
+
+    if (errors.length > 0) {
+      return { index, record: null, errors };
+    }
+
+    const record = {
+      company,
+      role,
+      source: read('source'),
+      dateApplied,
+      timeApplied: normalizeTime(read('timeApplied')),
+      status,
+      salaryMin,
+      salaryMax,
+      currency: read('currency').toUpperCase(),
+      location: read('location'),
+      workMode,
+      jobUrl: read('jobUrl'),
+      // Our JSON export keeps contacts as a list; spreadsheets have them as text
+      contacts: parseContacts(mapping.contacts ? row[mapping.contacts] : ''),
+      notes: read('notes')
+    };
+
+    if (appliedAt) record.appliedAt = appliedAt;
+
+    // Keep IDs and structured fields from our own JSON export so re-imports update in place
+    if (row.id) record.id = String(row.id);
+    Object.entries(STRUCTURED_FIELDS).forEach(([key, isValid]) => {
+      if (isValid(row[key])) record[key] = row[key];
+    });
+
+    return { index, record, errors };
+  });
+}
+
+/**
+ * Reads a field value as text for comparison (contacts as "Name (Title) <email>" entries)
+ * @param {*} value - Field value
+ * @returns {string} - Text
+ */
+const asText = (value) => (Array.isArray(value) ? formatContacts(value) : String(value ?? ''));
+
+const sameText = (a, b) => asText(a).trim().toLowerCase() === asText(b).trim().toLowerCase();
+
+/** Fields compared as text when merging; the application date is compared as an instant */
+const TEXT_FIELDS = IMPORT_FIELDS
+  .map(({ key }) => key)
+  .filter((key) => !['appliedAt', 'dateApplied', 'timeApplied'].includes(key));
+
+/**
+ * Checks whether a structured field holds anything
+ * @param {*} value - Field value
+ * @returns {boolean} - Whether the value is a non-empty list or an object
+ */
+const hasStructuredValue = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Builds a dry-run merge plan of imported records against existing applications.
+ * Imported dates and times are read as wall-clock values in the given timezone.
+ * @param {Array} mappedRows - Output of mapImportRows
+ * @param {Array} applications - Current tracker applications
+ * @param {string} [timezone] - IANA timezone of the imported dates
+ * @returns {{ adds: Array, updates: Array, conflicts: Array, unchanged: Array, invalid: Array }} - Merge plan
+ */
+export function buildImportPlan(mappedRows, applications, timezone = 'UTC') {
+  const plan = { adds: [], updates: [], conflicts: [], unchanged: [], invalid: [] };
+  const seen = new Set();
+
+  for (const { index, record, errors } of mappedRows) {
+    if (!record) {
+      plan.invalid.push({ index, errors });
+      continue;
+    }
+
+    // Calendar day of the imported application in the user's timezone ('' when not given)
+    const recordDate = record.appliedAt ? toZonedParts(record.appliedAt, timezone).date : record.dateApplied;
+
+    const dedupeKey = `${record.company}|${record.role}|${record.appliedAt || recordDate}`.toLowerCase();
+    if (seen.has(dedupeKey)) {
+      plan.conflicts.push({ index, record, reason: 'Duplicate row in the import file' });
+      continue;
+    }
+    seen.add(dedupeKey);
+
+    const byId = record.id ? applications.find((j) => j.id === record.id) : null;
+    const matches = byId
+      ? [byId]
+      : applications.filter((j) => sameText(j.company, record.company) && sameText(j.role, record.role));
+
+    if (matches.length === 0) {
+      // A stale ID from another tracker must not replace an unrelated record
+      const fields = withAppliedAt({
+        ...record,
+        source: record.source || 'Import',
+        dateApplied: record.appliedAt ? undefined : record.dateApplied || toZonedParts(new Date().toISOString(), timezone).date,
+        status: record.status || JobStatus.APPLIED
+      }, timezone);
+      delete fields.id;
+      plan.adds.push({ index, record: fields });
+      continue;
+    }
+
+    if (matches.length > 1) {
+      plan.conflicts.push({
+        index,
+        record,
+        reason: `${matches.length} existing applications match ${record.role} at ${record.company}`
+      });
+      continue;
+    }
+
+    const existing = matches[0];
+    const existingAppliedAt = getAppliedAt(existing);
+    const existingDate = toZonedParts(existingAppliedAt, timezone).date;
+    if (!byId && existingDate && recordDate && existingDate !== recordDate) {
+      plan.conflicts.push({
+        index,
+        record,
+        existing,
+        reason: `Already tracked with a different date (${existingDate})`
+      });
+      continue;
+    }
+
+    // Only columns present in the file may overwrite existing values
+    const changes = Object.fromEntries(
+      TEXT_FIELDS
+        .filter((key) => asText(record[key]) && !sameText(existing[key], record[key]))
+        .map((key) => [key, record[key]])
+    );
+
+    // A timestamp is exact; a bare date only confirms the day, so it replaces
+    // the stored time when matched by ID or given with a time
+    const appliedAt = record.appliedAt || (record.dateApplied && (byId || record.timeApplied)
+      ? fromZonedParts(record.dateApplied, record.timeApplied || '00:00', timezone)
+      : null);
+    if (appliedAt && new Date(appliedAt).getTime() !== new Date(existingAppliedAt).getTime()) changes.appliedAt = appliedAt;
+
+    // Structured fields from our export only fill in what the tracker doesn't have yet
+    Object.keys(STRUCTURED_FIELDS).forEach((key) => {
+      if (hasStructuredValue(record[key]) && !hasStructuredValue(existing[key])) changes[key] = record[key];
+    });
+
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) {
+      plan.unchanged.push({ index, record, existing });
+    } else {
+      plan.updates.push({
+        index,
+        record: { ...existing, ...changes, id: existing.id },
+        existing,
+        changedFields
+      });
+    }
+  }
+
+  return plan;
+}
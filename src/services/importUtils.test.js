@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { JobStatus, StatusOrigin, InterviewOutcome } from '@/constants';
+import { parseImportFile, guessColumnMapping, mapImportRows, buildImportPlan } from './importUtils';
+
+const exported = [
+  {
+    id: 'job-1',
+    company: 'Acme',
+    role: 'Engineer',
+    source: 'LinkedIn',
+    appliedAt: '2025-12-18T17:30:00.000Z',
+    status: JobStatus.INTERVIEWING,
+    statusHistory: [
+      { from: null, status: JobStatus.APPLIED, at: '2025-12-18T17:30:00.000Z', origin: StatusOrigin.MANUAL },
+      { from: JobStatus.APPLIED, status: JobStatus.INTERVIEWING, at: '2026-01-05T10:00:00.000Z', origin: StatusOrigin.GMAIL }
+    ],
+    interviews: [
+      { id: 'round-1', type: 'Technical', scheduledAt: '2026-01-12T16:00:00.000Z', durationMinutes: 60, outcome: InterviewOutcome.PENDING }
+    ],
+    offer: { baseSalary: 150000, currency: 'USD' },
+    emails: [
+      { messageId: 'm1', threadId: 't1', from: 'talent@acme.com', subject: 'Interview', snippet: '', body: '', receivedAt: '2026-01-05T10:00:00.000Z' }
+    ],
+    contacts: [{ name: 'Sam Lee', title: 'Recruiter', email: 'sam@acme.com' }],
+    notes: 'Referred by Jo'
+  },
+  {
+    id: 'job-2',
+    company: 'Globex',
+    role: 'Designer',
+    source: 'Referral',
+    appliedAt: '2025-11-02T08:15:00.000Z',
+    status: JobStatus.APPLIED,
+    statusHistory: [{ from: null, status: JobStatus.APPLIED, at: '2025-11-02T08:15:00.000Z', origin: StatusOrigin.MANUAL }]
+  }
+];
+
+const planImport = (applications, timezone = 'America/Los_Angeles') => {
+  const table = parseImportFile(JSON.stringify(exported, null, 2), 'astra-export.json');
+  const mapped = mapImportRows(table.rows, guessColumnMapping(table.columns));
+  return buildImportPlan(mapped, applications, timezone);
+};
+
+describe('JSON export round-trip', () => {
+  it('maps appliedAt from the export', () => {
+    const table = parseImportFile(JSON.stringify(exported), 'astra-export.json');
+    expect(guessColumnMapping(table.columns).appliedAt).toBe('appliedAt');
+  });
+
+  it('restores every application into an empty tracker', () => {
+    const plan = planImport([]);
+
+    expect(plan.invalid).toEqual([]);
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.adds).toHaveLength(2);
+
+    const [acme, globex] = plan.adds.map(({ record }) => record);
+    expect(acme.appliedAt).toBe(exported[0].appliedAt);
+    expect(acme).not.toHaveProperty('dateApplied');
+    expect(acme.statusHistory).toEqual(exported[0].statusHistory);
+    expect(acme.interviews).toEqual(exported[0].interviews);
+    expect(acme.offer).toEqual(exported[0].offer);
+    expect(acme.emails).toEqual(exported[0].emails);
+    expect(acme.contacts).toEqual(exported[0].contacts);
+    expect(acme.status).toBe(JobStatus.INTERVIEWING);
+    expect(globex.appliedAt).toBe(exported[1].appliedAt);
+  });
+
+  it('leaves the tracker it came from unchanged', () => {
+    const plan = planImport(exported);
+    expect(plan.adds).toEqual([]);
+    expect(plan.updates).toEqual([]);
+    expect(plan.unchanged).toHaveLength(2);
+  });
+
+  it('fills in structured fields the tracker is missing', () => {
+    const bare = exported.map((job) => ({ ...job, statusHistory: [], interviews: [], offer: undefined, emails: [] }));
+    const plan = planImport(bare);
+
+    expect(plan.updates.map(({ changedFields }) => changedFields)).toEqual([
+      ['statusHistory', 'interviews', 'emails', 'offer'],
+      ['statusHistory']
+    ]);
+    expect(plan.updates[0].record.offer).toEqual(exported[0].offer);
+  });
+});
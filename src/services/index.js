@@ -1,2 +1,17 @@
 export * from './audioUtils';
 export * from './geminiService';
+export * from './toolRegistry';
+export * from './gmailService';
+export * from './emailClassifier';
+export * from './dateUtils';
+export * from './storage';
+export * from './tabSync';
+export * from './jobDetails';
+export * from './jobLookup';
+export * from './interviews';
+export * from './offers';
+export * from './importUtils';
+export * from './exportUtils';
+export * from './pipelineAnalytics';
+export * from './followUps';
+export * from './conversations';
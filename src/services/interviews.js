@@ -0,0 +1,247 @@
+/**
+ * Interviews
+ * Interview rounds stored on an application (interviews[]), upcoming-round
+ * queries and iCalendar (.ics) generation. Each round keeps one UTC
+ * scheduledAt instant; wall-clock values are converted in the user's timezone.
+ */
+
+import { InterviewType, InterviewOutcome } from '@/constants';
+import { fromZonedParts, toZonedParts, formatInTimezone } from './dateUtils';
+
+/** Length assumed for rounds without a duration */
+export const DEFAULT_INTERVIEW_MINUTES = 60;
+
+/** How far ahead the dashboard looks for upcoming rounds */
+export const UPCOMING_INTERVIEW_DAYS = 14;
+
+/**
+ * Creates an ID for a new interview round
+ * @returns {string} - Round ID
+ */
+function createRoundId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Matches a free-form round type against InterviewType values
+ * @param {string} value - Raw type
+ * @returns {string} - InterviewType value (Other when unknown)
+ */
+function normalizeInterviewType(value) {
+  const needle = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  return Object.values(InterviewType).find((type) => type.toLowerCase().replace(/[^a-z]/g, '') === needle) ||
+    InterviewType.OTHER;
+}
+
+/**
+ * Builds an interview round from form, assistant or email fields
+ * @param {Object} fields - Round fields; either scheduledAt or date (YYYY-MM-DD) and time (HH:MM)
+ * @param {string} [timezone] - Timezone of date and time
+ * @returns {Object} - Round ({ id, type, scheduledAt, durationMinutes, interviewer, location, prepNotes, outcome })
+ */
+export function toInterviewRound(fields, timezone = 'UTC') {
+  const scheduledAt = fields.scheduledAt && !isNaN(new Date(fields.scheduledAt).getTime())
+    ? fields.scheduledAt
+    : fromZonedParts(fields.date, fields.time || '09:00', timezone);
+  const duration = parseInt(fields.durationMinutes, 10);
+
+  return {
+    id: fields.id || createRoundId(),
+    type: normalizeInterviewType(fields.type),
+    scheduledAt,
+    durationMinutes: duration > 0 ? duration : DEFAULT_INTERVIEW_MINUTES,
+    interviewer: String(fields.interviewer || '').trim(),
+    location: String(fields.location || '').trim(),
+    prepNotes: String(fields.prepNotes || '').trim(),
+    outcome: Object.values(InterviewOutcome).includes(fields.outcome) ? fields.outcome : InterviewOutcome.PENDING
+  };
+}
+
+/**
+ * Converts stored rounds to form rows with a wall-clock date and time
+ * @param {Array} [interviews] - Interview rounds
+ * @param {string} [timezone] - Timezone the rows are edited in
+ * @returns {Array} - Form rows
+ */
+export function toInterviewFormRows(interviews = [], timezone = 'UTC') {
+  return interviews.map(({ scheduledAt, ...round }) => ({
+    ...round,
+    ...toZonedParts(scheduledAt, timezone)
+  }));
+}
+
+/**
+ * Converts form rows back to rounds, dropping rows without a date
+ * @param {Array} rows - Form rows
+ * @param {string} [timezone] - Timezone the rows were edited in
+ * @returns {Array} - Interview rounds in chronological order
+ */
+export function fromInterviewFormRows(rows, timezone = 'UTC') {
+  return rows
+    .filter((row) => row.date)
+    .map((row) => toInterviewRound(row, timezone))
+    .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+}
+
+/**
+ * Adds a round to a list, replacing the round with the same ID or the same
+ * type and time (so a re-sent invite doesn't create a duplicate)
+ * @param {Array} [rounds] - Existing rounds
+ * @param {Object} round - Round from toInterviewRound
+ * @returns {Array} - Rounds in chronological order
+ */
+export function upsertInterviewRound(rounds = [], round) {
+  const others = rounds.filter((r) =>
+    r.id !== round.id && !(r.type === round.type && r.scheduledAt === round.scheduledAt)
+  );
+  return [...others, round].sort((a, b) => (a.scheduledAt || '').localeCompare(b.scheduledAt || ''));
+}
+
+/**
+ * Lists pending rounds that haven't ended yet, soonest first
+ * @param {Array} applications - Job applications
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.days] - How many days ahead to include
+ * @returns {Array<{ job: Object, interview: Object }>} - Upcoming rounds
+ */
+export function getUpcomingInterviews(applications, { now = new Date(), days = UPCOMING_INTERVIEW_DAYS } = {}) {
+  const horizon = now.getTime() + days * 24 * 60 * 60 * 1000;
+
+  return applications
+    .flatMap((job) => (job.interviews || []).map((interview) => ({ job, interview })))
+    .filter(({ interview }) => {
+      if (interview.outcome && interview.outcome !== InterviewOutcome.PENDING) return false;
+      const start = new Date(interview.scheduledAt).getTime();
+      const end = start + (interview.durationMinutes || DEFAULT_INTERVIEW_MINUTES) * 60 * 1000;
+      return !isNaN(start) && end >= now.getTime() && start <= horizon;
+    })
+    .sort((a, b) => a.interview.scheduledAt.localeCompare(b.interview.scheduledAt));
+}
+
+/**
+ * Describes upcoming rounds for the assistant
+ * @param {Array} upcoming - Output of getUpcomingInterviews
+ * @param {string} [timezone] - Timezone used to display times
+ * @returns {string} - One line per round, or a note that nothing is scheduled
+ */
+export function formatUpcomingInterviews(upcoming, timezone) {
+  if (upcoming.length === 0) {
+    return `No interviews are scheduled in the next ${UPCOMING_INTERVIEW_DAYS} days.`;
+  }
+
+  const lines = upcoming.map(({ job, interview }) => {
+    const details = [
+      interview.interviewer && `with ${interview.interviewer}`,
+      interview.location && `at ${interview.location}`,
+      interview.prepNotes && `prep: ${interview.prepNotes}`
+    ].filter(Boolean).join('; ');
+    return `- ${formatInTimezone(interview.scheduledAt, timezone)}: ${interview.type} for ${job.role} at ${job.company}${details ? ` (${details})` : ''}`;
+  });
+  return `Upcoming interviews:\n${lines.join('\n')}`;
+}
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545 §3.3.11)
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets (RFC 5545 §3.1)
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an instant as an iCalendar UTC date-time
+ * @param {number|string} value - Milliseconds or ISO timestamp
+ * @returns {string} - e.g. 20260314T153000Z
+ */
+function toIcsDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds a single-event calendar file for an interview round. Times are written
+ * in UTC, so every calendar shows them on the viewer's own clock.
+ * @param {Object} job - Job application
+ * @param {Object} interview - Interview round
+ * @returns {string} - iCalendar text
+ */
+export function buildInterviewIcs(job, interview) {
+  const start = new Date(interview.scheduledAt).getTime();
+  const end = start + (interview.durationMinutes || DEFAULT_INTERVIEW_MINUTES) * 60 * 1000;
+  const isLink = /^https?:\/\//i.test(interview.location || '');
+  const description = [
+    `${job.role} at ${job.company}`,
+    interview.interviewer && `Interviewer: ${interview.interviewer}`,
+    isLink && `Join: ${interview.location}`,
+    interview.prepNotes && `Prep notes:\n${interview.prepNotes}`,
+    job.jobUrl && `Job posting: ${job.jobUrl}`
+  ].filter(Boolean).join('\n\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Astra//Interview Scheduler//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${interview.id}@astra`,
+    `DTSTAMP:${toIcsDateTime(Date.now())}`,
+    `DTSTART:${toIcsDateTime(start)}`,
+    `DTEND:${toIcsDateTime(end)}`,
+    `SUMMARY:${escapeIcsText(`${interview.type} interview: ${job.role} at ${job.company}`)}`,
+    interview.location && `LOCATION:${escapeIcsText(interview.location)}`,
+    isLink && `URL:${interview.location}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Interview reminder',
+    'TRIGGER:-PT30M',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Suggests a file name for a round's calendar file
+ * @param {Object} job - Job application
+ * @param {Object} interview - Interview round
+ * @returns {string} - e.g. acme-technical-interview.ics
+ */
+export function interviewIcsFileName(job, interview) {
+  const slug = `${job.company}-${interview.type}-interview`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug}.ics`;
+}
@@ -0,0 +1,152 @@
+/**
+ * Job Details
+ * Normalizes and formats the optional application details: compensation,
+ * location and work mode, posting URL, recruiter contacts and notes
+ */
+
+import { WorkMode } from '@/constants';
+
+/**
+ * Parses a salary amount such as "120000", "$120,000" or "120k"
+ * @param {string|number} value - Raw amount
+ * @returns {number|null} - Amount, or null when missing or unparseable
+ */
+export function parseSalary(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isFinite(value) && value >= 0 ? value : null;
+
+  const match = String(value).replace(/[,\s]/g, '').match(/(\d+(?:\.\d+)?)([km])?/i);
+  if (!match) return null;
+  const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Matches a free-form work mode ("remote", "onsite", "in office") against WorkMode values
+ * @param {string} value - Raw work mode
+ * @returns {string} - WorkMode value, or '' when unknown
+ */
+export function normalizeWorkMode(value) {
+  const needle = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!needle) return '';
+  if (needle.includes('remote')) return WorkMode.REMOTE;
+  if (needle.includes('hybrid')) return WorkMode.HYBRID;
+  if (['onsite', 'inoffice', 'office', 'inperson'].includes(needle)) return WorkMode.ONSITE;
+  return '';
+}
+
+/**
+ * Parses contacts given as a list or as text ("Jane Doe (Recruiter) <jane@acme.com>; ...")
+ * @param {Array|string} value - Raw contacts
+ * @returns {Array<{ name: string, title: string, email: string }>} - Contacts with a name or email
+ */
+export function parseContacts(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || '').split(/[;\n]/);
+
+  return entries
+    .map((entry) => {
+      if (entry && typeof entry === 'object') {
+        return {
+          name: String(entry.name || '').trim(),
+          title: String(entry.title || '').trim(),
+          email: String(entry.email || '').trim()
+        };
+      }
+      const text = String(entry || '');
+      const email = (text.match(/<([^>]+)>/) || text.match(/([^\s<>()]+@[^\s<>()]+)/) || [])[1] || '';
+      const title = (text.match(/\(([^)]*)\)/) || [])[1] || '';
+      const name = text.replace(/<[^>]*>|\([^)]*\)/g, ' ').replace(email, ' ').replace(/\s+/g, ' ').trim();
+      return { name, title: title.trim(), email: email.trim() };
+    })
+    .filter((contact) => contact.name || contact.email);
+}
+
+/**
+ * Formats contacts as text, the inverse of parseContacts
+ * @param {Array} [contacts] - Contacts
+ * @returns {string} - "Name (Title) <email>" entries separated by "; "
+ */
+export function formatContacts(contacts = []) {
+  return contacts
+    .map(({ name, title, email }) =>
+      [name, title && `(${title})`, email && `<${email}>`].filter(Boolean).join(' ')
+    )
+    .join('; ');
+}
+
+/**
+ * Cleans up whichever detail fields are present, so records coming from the
+ * assistant, imports or the edit form all have the same shape
+ * @param {Object} fields - Application fields
+ * @returns {Object} - Fields with details normalized (absent details stay absent)
+ */
+export function normalizeJobDetails(fields) {
+  const record = { ...fields };
+  const has = (key) => Object.prototype.hasOwnProperty.call(record, key);
+
+  if (has('salaryMin')) record.salaryMin = parseSalary(record.salaryMin);
+  if (has('salaryMax')) record.salaryMax = parseSalary(record.salaryMax);
+  // A range given backwards is still the same range
+  if (typeof record.salaryMin === 'number' && typeof record.salaryMax === 'number' && record.salaryMin > record.salaryMax) {
+    [record.salaryMin, record.salaryMax] = [record.salaryMax, record.salaryMin];
+  }
+  if (has('currency')) record.currency = String(record.currency || '').trim().toUpperCase().slice(0, 3);
+  if (has('workMode')) record.workMode = normalizeWorkMode(record.workMode);
+  if (has('contacts')) record.contacts = parseContacts(record.contacts);
+  ['location', 'jobUrl', 'notes'].forEach((key) => {
+    if (has(key)) record[key] = String(record[key] ?? '').trim();
+  });
+
+  return record;
+}
+
+/**
+ * Formats an application's salary range, e.g. "$120K–$150K"
+ * @param {Object} job - Job application
+ * @returns {string} - Formatted range, or '' when no salary is recorded
+ */
+export function formatSalaryRange(job) {
+  const { salaryMin, salaryMax } = job;
+  const hasMin = typeof salaryMin === 'number';
+  const hasMax = typeof salaryMax === 'number';
+  if (!hasMin && !hasMax) return '';
+
+  let format;
+  try {
+    const formatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: job.currency || 'USD',
+      notation: 'compact',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 1
+    });
+    format = (amount) => formatter.format(amount);
+  } catch (e) {
+    // Unknown currency codes fall back to the bare number and code
+    format = (amount) => `${amount.toLocaleString('en-US')} ${job.currency}`;
+  }
+
+  if (hasMin && hasMax && salaryMin !== salaryMax) return `${format(salaryMin)}–${format(salaryMax)}`;
+  if (hasMin && !hasMax) return `${format(salaryMin)}+`;
+  if (!hasMin) return `up to ${format(salaryMax)}`;
+  return format(salaryMin);
+}
+
+/**
+ * Summarizes the details recorded for an application in one line
+ * @param {Object} job - Job application
+ * @returns {string} - e.g. "Berlin · Hybrid · €70K–€85K · 2 contacts", or ''
+ */
+export function describeJobDetails(job) {
+  const contacts = job.contacts || [];
+  return [
+    job.location,
+    job.workMode,
+    formatSalaryRange(job),
+    contacts.length > 0 && `${contacts.length} contact${contacts.length === 1 ? '' : 's'}`
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
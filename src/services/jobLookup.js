@@ -0,0 +1,101 @@
+/**
+ * Job Lookup
+ * Finds the applications a spoken or typed description refers to, so the
+ * assistant can act on a specific application ID instead of guessing
+ */
+
+import { getAppliedAt, toZonedParts, formatInTimezone } from './dateUtils';
+
+/**
+ * Splits a name into lower-cased words, ignoring punctuation
+ * @param {string} value - Company name, role, etc.
+ * @returns {Array<string>} - Words
+ */
+function toWords(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether a name matches a query. Every query word has to appear as a
+ * whole word, so "Meta" matches "Meta Platforms" but not "Metabase".
+ * @param {string} value - Name to test
+ * @param {string} query - Name the user gave
+ * @returns {number} - 2 for the same name, 1 for a whole-word match, 0 for no match
+ */
+function nameMatch(value, query) {
+  const valueWords = toWords(value);
+  const queryWords = toWords(query);
+  if (queryWords.length === 0) return 0;
+
+  // "JP Morgan" and "J.P. Morgan" are the same name once spacing is ignored
+  if (valueWords.join('') === queryWords.join('')) return 2;
+  return queryWords.every((word) => valueWords.includes(word)) ? 1 : 0;
+}
+
+/**
+ * Finds applications matching any combination of company, role, status and
+ * application date. Closer company and role matches come first.
+ * @param {Array} applications - Job applications
+ * @param {Object} criteria - Lookup criteria (all optional)
+ * @param {string} [criteria.company] - Company name
+ * @param {string} [criteria.role] - Role or job title
+ * @param {string} [criteria.status] - Current status
+ * @param {string} [criteria.dateFrom] - Earliest application date (YYYY-MM-DD), inclusive
+ * @param {string} [criteria.dateTo] - Latest application date (YYYY-MM-DD), inclusive
+ * @param {string} [timezone] - Timezone the dates are in
+ * @returns {Array} - Matching applications
+ */
+export function findApplications(applications, criteria = {}, timezone = 'UTC') {
+  const { company, role, status, dateFrom, dateTo } = criteria;
+
+  return applications
+    .map((job) => {
+      const companyScore = company ? nameMatch(job.company, company) : 1;
+      const roleScore = role ? nameMatch(job.role, role) : 1;
+      if (!companyScore || !roleScore) return null;
+      if (status && job.status.toLowerCase() !== status.toLowerCase()) return null;
+
+      if (dateFrom || dateTo) {
+        const { date } = toZonedParts(getAppliedAt(job), timezone);
+        if (!date || (dateFrom && date < dateFrom) || (dateTo && date > dateTo)) return null;
+      }
+
+      return { job, score: companyScore * 2 + roleScore };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(({ job }) => job);
+}
+
+/**
+ * Describes lookup results for the assistant, including the IDs to act on
+ * @param {Array} matches - Output of findApplications
+ * @param {Object} criteria - Criteria that were searched for
+ * @param {string} [timezone] - Timezone used to display dates
+ * @returns {string} - Candidate list, or a not-found message
+ */
+export function formatApplicationCandidates(matches, criteria = {}, timezone = 'UTC') {
+  const searched = Object.entries(criteria)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key} "${value}"`)
+    .join(', ') || 'anything';
+
+  if (matches.length === 0) {
+    return `No applications match ${searched}. Ask the user to check the name, or call list_job_applications.`;
+  }
+
+  const lines = matches.map((job) =>
+    `- id: ${job.id} | ${job.role} at ${job.company} | ${job.status} | applied ${formatInTimezone(getAppliedAt(job), timezone, false)}`
+  );
+
+  const guidance = matches.length > 1
+    ? '\nMore than one application matches. Ask the user which one they mean (by role or date) before changing anything.'
+    : '';
+
+  return `Found ${matches.length} application${matches.length === 1 ? '' : 's'} matching ${searched}:\n${lines.join('\n')}${guidance}`;
+}
@@ -0,0 +1,232 @@
+/**
+ * Offers
+ * Offer details stored on an application (offer), annualized total
+ * compensation and weighted scoring for comparing offers side by side
+ */
+
+import { JobStatus, OfferCriteria, DEFAULT_OFFER_WEIGHTS } from '@/constants';
+import { parseSalary, formatSalaryRange } from './jobDetails';
+import { toZonedParts, formatInTimezone } from './dateUtils';
+
+/** Vesting period assumed when an equity grant has none */
+export const DEFAULT_VESTING_YEARS = 4;
+
+/** Offer amounts parsed like salaries ("120k", "$15,000") */
+const OFFER_AMOUNT_FIELDS = ['baseSalary', 'bonus', 'equity', 'signOnBonus'];
+
+/** Criteria the user rates by hand (everything except compensation) */
+const RATED_CRITERIA = OfferCriteria.filter(({ key }) => key !== 'compensation');
+
+/**
+ * Reads a YYYY-MM-DD date, dropping anything else
+ * @param {string} value - Raw date
+ * @returns {string} - Date, or ''
+ */
+function toDateOnly(value) {
+  const match = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Cleans up whichever offer fields are present (absent fields stay absent, so
+ * a partial update can be merged over the saved offer)
+ * @param {Object} fields - Offer fields: baseSalary, bonus, equity (total grant value),
+ *   vestingYears, signOnBonus, currency, benefits, startDate, deadline, ratings
+ * @returns {Object} - Normalized offer fields
+ */
+export function normalizeOffer(fields = {}) {
+  const offer = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(fields, key);
+
+  OFFER_AMOUNT_FIELDS.forEach((key) => {
+    if (has(key)) offer[key] = parseSalary(fields[key]);
+  });
+  if (has('vestingYears')) {
+    const years = parseFloat(fields.vestingYears);
+    offer.vestingYears = years > 0 ? years : DEFAULT_VESTING_YEARS;
+  }
+  if (has('currency')) offer.currency = String(fields.currency || '').trim().toUpperCase().slice(0, 3);
+  if (has('benefits')) offer.benefits = String(fields.benefits || '').trim();
+  if (has('startDate')) offer.startDate = toDateOnly(fields.startDate);
+  if (has('deadline')) offer.deadline = toDateOnly(fields.deadline);
+  if (has('ratings')) {
+    offer.ratings = {};
+    RATED_CRITERIA.forEach(({ key }) => {
+      const value = fields.ratings?.[key];
+      const rating = parseInt(value, 10);
+      if (rating >= 1 && rating <= 5) offer.ratings[key] = rating;
+      // An emptied rating clears the saved one
+      else if (value === '' || value === null) offer.ratings[key] = null;
+    });
+  }
+
+  return offer;
+}
+
+/**
+ * Merges an offer update over the saved offer
+ * @param {Object} [existing] - Saved offer
+ * @param {Object} update - Normalized offer fields
+ * @returns {Object} - Merged offer
+ */
+export function mergeOffer(existing = {}, update) {
+  return {
+    ...existing,
+    ...update,
+    ...(update.ratings && { ratings: { ...existing.ratings, ...update.ratings } })
+  };
+}
+
+/**
+ * Annualizes an offer: base and bonus per year, with the equity grant and
+ * sign-on bonus spread over the vesting period
+ * @param {Object} [offer] - Offer details
+ * @returns {{ base: number, bonus: number, equityPerYear: number, signOnPerYear: number, total: number }} - Yearly amounts
+ */
+export function computeAnnualComp(offer = {}) {
+  const years = offer.vestingYears || DEFAULT_VESTING_YEARS;
+  const base = offer.baseSalary || 0;
+  const bonus = offer.bonus || 0;
+  const equityPerYear = (offer.equity || 0) / years;
+  const signOnPerYear = (offer.signOnBonus || 0) / years;
+
+  return {
+    base,
+    bonus,
+    equityPerYear,
+    signOnPerYear,
+    total: Math.round(base + bonus + equityPerYear + signOnPerYear)
+  };
+}
+
+/**
+ * Formats a single amount in an offer's currency, e.g. "$180K"
+ * @param {number} amount - Amount
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string} - Formatted amount
+ */
+export function formatOfferAmount(amount, currency) {
+  return formatSalaryRange({ salaryMin: Math.round(amount), salaryMax: Math.round(amount), currency });
+}
+
+/**
+ * Counts whole days from today (in the timezone) until a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @param {string} timezone - User's timezone
+ * @returns {number|null} - Days left (negative once passed), or null without a date
+ */
+function daysUntil(date, now, timezone) {
+  if (!date) return null;
+  const today = toZonedParts(now.toISOString(), timezone).date;
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Scores every application at the Offer stage. Compensation scores out of 5
+ * relative to the best annualized total in the same currency; the other
+ * criteria use the user's 1-5 ratings. Unrated criteria are left out of the
+ * weighted score rather than counted as zero.
+ * @param {Array} applications - Job applications
+ * @param {Object} [weights] - Importance (0-5) of each criterion, keyed like OfferCriteria
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.timezone] - Timezone used for deadline countdowns
+ * @returns {Array<{ job: Object, comp: Object, scores: Object, weightedScore: number|null, unrated: Array<string>, daysToDeadline: number|null }>} - Offers, best first
+ */
+export function compareOffers(applications, weights = DEFAULT_OFFER_WEIGHTS, { now = new Date(), timezone = 'UTC' } = {}) {
+  const offers = applications
+    .filter((job) => job.status === JobStatus.OFFER)
+    .map((job) => ({ job, comp: computeAnnualComp(job.offer) }));
+
+  // Totals in different currencies can't be ranked against each other
+  const bestByCurrency = {};
+  offers.forEach(({ job, comp }) => {
+    const currency = job.offer?.currency || job.currency || 'USD';
+    bestByCurrency[currency] = Math.max(bestByCurrency[currency] || 0, comp.total);
+  });
+
+  return offers
+    .map(({ job, comp }) => {
+      const best = bestByCurrency[job.offer?.currency || job.currency || 'USD'];
+      const scores = {
+        compensation: comp.total > 0 && best > 0 ? Math.round((comp.total / best) * 50) / 10 : null,
+        ...Object.fromEntries(RATED_CRITERIA.map(({ key }) => [key, job.offer?.ratings?.[key] ?? null]))
+      };
+
+      let weightTotal = 0;
+      let weighted = 0;
+      OfferCriteria.forEach(({ key }) => {
+        const weight = weights?.[key] ?? DEFAULT_OFFER_WEIGHTS[key];
+        if (scores[key] === null || !weight) return;
+        weightTotal += weight;
+        weighted += weight * scores[key];
+      });
+
+      return {
+        job,
+        comp,
+        scores,
+        weightedScore: weightTotal > 0 ? Math.round((weighted / weightTotal) * 10) / 10 : null,
+        unrated: OfferCriteria.filter(({ key }) => scores[key] === null).map(({ label }) => label),
+        daysToDeadline: daysUntil(job.offer?.deadline, now, timezone)
+      };
+    })
+    .sort((a, b) => (b.weightedScore ?? -1) - (a.weightedScore ?? -1));
+}
+
+/**
+ * Describes an offer comparison for the assistant
+ * @param {Array} comparison - Output of compareOffers
+ * @param {Object} context - Comparison context
+ * @param {Object} [context.weights] - Criterion weights used
+ * @param {string} [context.targetRole] - User's target role
+ * @param {string} [context.timezone] - Timezone used to display dates
+ * @returns {string} - Comparison summary, or a note that there are no offers
+ */
+export function formatOfferComparison(comparison, { weights = DEFAULT_OFFER_WEIGHTS, targetRole, timezone } = {}) {
+  if (comparison.length === 0) {
+    return 'There are no applications at the Offer stage to compare.';
+  }
+
+  const priorities = OfferCriteria
+    .map(({ key, label }) => `${label} ${weights?.[key] ?? DEFAULT_OFFER_WEIGHTS[key]}/5`)
+    .join(', ');
+
+  const blocks = comparison.map(({ job, comp, scores, weightedScore, unrated, daysToDeadline }, index) => {
+    const offer = job.offer || {};
+    const currency = offer.currency || job.currency;
+    const money = (amount) => formatOfferAmount(amount, currency);
+    const ratings = OfferCriteria
+      .filter(({ key }) => scores[key] !== null)
+      .map(({ key, label }) => `${label} ${scores[key]}`)
+      .join(', ');
+    const deadline = offer.deadline
+      ? `${formatInTimezone(`${offer.deadline}T12:00:00Z`, 'UTC', false)} (${daysToDeadline < 0 ? 'passed' : `${daysToDeadline} day${daysToDeadline === 1 ? '' : 's'} left`})`
+      : 'not recorded';
+
+    const total = comp.total > 0
+      ? `${money(comp.total)} (base ${money(comp.base)}, bonus ${money(comp.bonus)}, equity ${money(comp.equityPerYear)}/yr over ${offer.vestingYears || DEFAULT_VESTING_YEARS} years, sign-on ${money(comp.signOnPerYear)}/yr)`
+      : 'not recorded';
+
+    return [
+      `${index + 1}. ${job.role} at ${job.company} (id: ${job.id}) - weighted score ${weightedScore === null ? 'n/a' : `${weightedScore}/5`}`,
+      `   Annualized total: ${total}`,
+      `   Benefits: ${offer.benefits || 'not recorded'}`,
+      `   Start date: ${offer.startDate ? formatInTimezone(`${offer.startDate}T12:00:00Z`, 'UTC', false) : 'not recorded'}; decision deadline: ${deadline}`,
+      `   Scores: ${ratings || 'none yet'}${unrated.length > 0 ? `; unrated: ${unrated.join(', ')}` : ''}`
+    ].join('\n');
+  });
+
+  const currencies = new Set(comparison.map(({ job }) => job.offer?.currency || job.currency || 'USD'));
+  const currencyNote = currencies.size > 1
+    ? '\nOffers are in different currencies, so compensation is only scored against offers in the same currency. Mention this when comparing pay.'
+    : '';
+
+  return `Offer comparison for someone targeting ${targetRole || 'their next role'} (timezone ${timezone || 'UTC'}).
+User priorities: ${priorities}.
+
+${blocks.join('\n\n')}
+${currencyNote}
+Walk the user through the trade-offs in light of their target role and priorities rather than just naming the top score. Flag deadlines that are close, and ask them to rate unrated criteria if that would change the ranking.`;
+}
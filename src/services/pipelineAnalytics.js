@@ -0,0 +1,171 @@
+/**
+ * Pipeline Analytics
+ * Computes funnel, response and volume statistics from tracked applications
+ */
+
+import { JobStatus } from '@/constants';
+import { getAppliedAt } from './dateUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Statuses that mean the company replied in some way */
+const RESPONSE_STATUSES = [JobStatus.INTERVIEWING, JobStatus.OFFER, JobStatus.REJECTED];
+
+/**
+ * Gets the application timestamp for a job
+ * @param {Object} job - Job application
+ * @returns {number|null} - Milliseconds since epoch, or null when unknown
+ */
+function getAppliedTime(job) {
+  const appliedAt = getAppliedAt(job);
+  return appliedAt ? new Date(appliedAt).getTime() : null;
+}
+
+/**
+ * Lists every status a job has been in, oldest first
+ * @param {Object} job - Job application
+ * @returns {string[]} - Statuses reached
+ */
+function getReachedStatuses(job) {
+  const statuses = (job.statusHistory || []).map((h) => h.status);
+  return [...statuses, job.status];
+}
+
+/**
+ * Returns the Monday (UTC) of the week containing a timestamp
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} - Week start as YYYY-MM-DD
+ */
+function getWeekStart(time) {
+  const date = new Date(time);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return new Date(time - offset * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Computes the median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : 0);
+
+/**
+ * Computes pipeline statistics for applications within a date range
+ * @param {Array} applications - Job applications
+ * @param {Object} [range] - Optional date range
+ * @param {string} [range.from] - Inclusive start date (YYYY-MM-DD)
+ * @param {string} [range.to] - Inclusive end date (YYYY-MM-DD)
+ * @returns {Object} - Pipeline statistics
+ */
+export function computePipelineStats(applications, range = {}) {
+  const from = range.from ? new Date(`${range.from}T00:00:00Z`).getTime() : -Infinity;
+  const to = range.to ? new Date(`${range.to}T00:00:00Z`).getTime() + DAY_MS - 1 : Infinity;
+
+  const jobs = applications.filter((job) => {
+    const applied = getAppliedTime(job);
+    if (applied === null) return !range.from && !range.to;
+    return applied >= from && applied <= to;
+  });
+
+  const byStatus = Object.fromEntries(Object.values(JobStatus).map((s) => [s, 0]));
+  const sources = {};
+  const weekly = {};
+  const responseDays = [];
+  let interviewed = 0;
+  let offers = 0;
+  let responded = 0;
+
+  for (const job of jobs) {
+    byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+
+    const reached = getReachedStatuses(job);
+    const gotInterview = reached.includes(JobStatus.INTERVIEWING) || reached.includes(JobStatus.OFFER);
+    const gotOffer = reached.includes(JobStatus.OFFER);
+    const gotResponse = reached.some((s) => RESPONSE_STATUSES.includes(s));
+
+    if (gotInterview) interviewed++;
+    if (gotOffer) offers++;
+    if (gotResponse) responded++;
+
+    const source = job.source?.trim() || 'Unknown';
+    sources[source] = sources[source] || { source, total: 0, responded: 0 };
+    sources[source].total++;
+    if (gotResponse) sources[source].responded++;
+
+    const applied = getAppliedTime(job);
+    if (applied !== null) {
+      const week = getWeekStart(applied);
+      weekly[week] = (weekly[week] || 0) + 1;
+
+      const firstResponse = (job.statusHistory || []).find((h) => RESPONSE_STATUSES.includes(h.status));
+      if (firstResponse) {
+        const days = (new Date(firstResponse.at).getTime() - applied) / DAY_MS;
+        if (days >= 0) responseDays.push(days);
+      }
+    }
+  }
+
+  return {
+    total: jobs.length,
+    byStatus,
+    funnel: {
+      applied: jobs.length,
+      interviewing: interviewed,
+      offer: offers,
+      appliedToInterview: ratio(interviewed, jobs.length),
+      interviewToOffer: ratio(offers, interviewed)
+    },
+    responseRate: ratio(responded, jobs.length),
+    responseRateBySource: Object.values(sources)
+      .map((s) => ({ ...s, rate: ratio(s.responded, s.total) }))
+      .sort((a, b) => b.total - a.total),
+    medianDaysToResponse: median(responseDays),
+    weeklyVolume: Object.entries(weekly)
+      .map(([weekStart, count]) => ({ weekStart, count }))
+      .sort((a, b) => a.weekStart.localeCompare(b.weekStart)),
+    ghostingRate: ratio(byStatus[JobStatus.GHOSTED], jobs.length)
+  };
+}
+
+/**
+ * Formats pipeline statistics as a plain-text summary for the assistant
+ * @param {Object} stats - Output of computePipelineStats
+ * @param {Object} [range] - Date range the stats were computed for
+ * @returns {string} - Summary text
+ */
+export function formatPipelineStats(stats, range = {}) {
+  if (stats.total === 0) {
+    return 'There are no applications in that period to analyze.';
+  }
+
+  const pct = (value) => `${Math.round(value * 100)}%`;
+  const period = range.from || range.to
+    ? ` between ${range.from || 'the start'} and ${range.to || 'today'}`
+    : '';
+
+  const sources = stats.responseRateBySource
+    .map((s) => `${s.source}: ${pct(s.rate)} (${s.responded}/${s.total})`)
+    .join(', ');
+
+  const recentWeeks = stats.weeklyVolume
+    .slice(-4)
+    .map((w) => `week of ${w.weekStart}: ${w.count}`)
+    .join(', ');
+
+  return [
+    `Pipeline for ${stats.total} applications${period}:`,
+    `- Funnel: ${stats.funnel.applied} applied → ${stats.funnel.interviewing} interviewing (${pct(stats.funnel.appliedToInterview)}) → ${stats.funnel.offer} offers (${pct(stats.funnel.interviewToOffer)} of interviews)`,
+    `- Overall response rate: ${pct(stats.responseRate)}`,
+    `- Response rate by source: ${sources}`,
+    `- Median days to first response: ${stats.medianDaysToResponse === null ? 'not enough history yet' : stats.medianDaysToResponse.toFixed(1)}`,
+    `- Ghosting rate: ${pct(stats.ghostingRate)}`,
+    `- Recent weekly volume: ${recentWeeks || 'none'}`
+  ].join('\n');
+}
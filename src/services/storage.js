@@ -0,0 +1,345 @@
+/**
+ * Storage Service
+ * IndexedDB persistence with a versioned schema. Applications live in their own
+ * object store; settings and other app state live in a key-value store. Data from
+ * older localStorage versions is migrated on first load, and unreadable data is
+ * set aside instead of crashing the app.
+ */
+
+import { JobStatus, STORAGE_KEYS } from '@/constants';
+import { withAppliedAt } from './dateUtils';
+
+const DB_NAME = 'astra';
+
+const STORES = {
+  JOBS: 'jobs',
+  KV: 'kv'
+};
+
+/** Key-value entries the storage layer keeps for itself */
+const META_KEY = 'meta';
+const RECOVERY_KEY = 'recovery';
+
+/**
+ * Object store layout per database version. Each step runs once, in order,
+ * when an older database is opened.
+ */
+const SCHEMA_UPGRADES = {
+  1: (db) => {
+    db.createObjectStore(STORES.JOBS, { keyPath: 'id' });
+    db.createObjectStore(STORES.KV);
+  }
+};
+
+const SCHEMA_VERSION = Math.max(...Object.keys(SCHEMA_UPGRADES).map(Number));
+
+/**
+ * Migrations for the shape of stored applications. Version 0 is the
+ * un-versioned array that older releases kept in localStorage under astra-jobs.
+ */
+const JOB_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize legacy records and replace dateApplied/timeApplied with appliedAt',
+    up: (jobs) => jobs
+      .filter((job) => job && typeof job === 'object')
+      .map((job, index) => withAppliedAt({
+        ...job,
+        id: job.id ? String(job.id) : `${Date.now()}${index}${Math.random().toString(36).substr(2, 5)}`,
+        company: String(job.company ?? ''),
+        role: String(job.role ?? ''),
+        status: Object.values(JobStatus).includes(job.status) ? job.status : JobStatus.APPLIED,
+        statusHistory: Array.isArray(job.statusHistory) ? job.statusHistory : []
+      }))
+  }
+];
+
+export const JOBS_DATA_VERSION = JOB_MIGRATIONS[JOB_MIGRATIONS.length - 1].version;
+
+/**
+ * Runs the job migrations newer than a stored version
+ * @param {Array} jobs - Stored applications
+ * @param {number} fromVersion - Version the data was written with
+ * @returns {Array} - Applications in the current shape
+ */
+export function migrateJobs(jobs, fromVersion = 0) {
+  return JOB_MIGRATIONS
+    .filter(({ version }) => version > fromVersion)
+    .reduce((current, { up }) => up(current), Array.isArray(jobs) ? jobs : []);
+}
+
+/**
+ * Checks that a stored record can be shown and edited
+ * @param {Object} job - Stored application
+ * @returns {boolean} - Whether the record is usable
+ */
+function isValidJob(job) {
+  return Boolean(job && typeof job.id === 'string' && job.company);
+}
+
+/**
+ * Parses JSON without throwing
+ * @param {string|null} raw - Serialized value
+ * @returns {{ value: *, corrupt: boolean }} - Parsed value (undefined when missing or corrupt)
+ */
+function safeParse(raw) {
+  if (raw === null || raw === undefined) return { value: undefined, corrupt: false };
+  try {
+    return { value: JSON.parse(raw), corrupt: false };
+  } catch (e) {
+    return { value: undefined, corrupt: true };
+  }
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades) the database once per page
+ * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    } catch (error) {
+      console.warn('IndexedDB is unavailable, falling back to localStorage:', error);
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion + 1; version <= SCHEMA_VERSION; version++) {
+        SCHEMA_UPGRADES[version]?.(db);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the schema
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => {
+      console.warn('Could not open IndexedDB, falling back to localStorage:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => {
+      console.warn('IndexedDB upgrade is blocked by another open tab.');
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Reads a key-value entry
+ * @param {IDBDatabase} db - Database
+ * @param {string} key - Entry key
+ * @returns {Promise<*>} - Stored value or undefined
+ */
+async function readKey(db, key) {
+  return promisify(db.transaction(STORES.KV, 'readonly').objectStore(STORES.KV).get(key));
+}
+
+/**
+ * Writes a key-value entry
+ * @param {IDBDatabase} db - Database
+ * @param {string} key - Entry key
+ * @param {*} value - Value (structured-cloneable)
+ * @returns {Promise<void>}
+ */
+async function writeKey(db, key, value) {
+  await promisify(db.transaction(STORES.KV, 'readwrite').objectStore(STORES.KV).put(value, key));
+}
+
+/**
+ * Keeps unreadable data so it can be inspected or recovered later
+ * @param {IDBDatabase|null} db - Database (null stores the backup in localStorage)
+ * @param {string} source - Where the data came from
+ * @param {*} data - Raw data
+ * @returns {Promise<boolean>} - Whether the backup was written
+ */
+async function setAside(db, source, data) {
+  console.warn(`Unreadable data in ${source} was set aside and skipped.`);
+  const entry = { source, data, at: new Date().toISOString() };
+  try {
+    if (db) {
+      const existing = (await readKey(db, RECOVERY_KEY)) || [];
+      await writeKey(db, RECOVERY_KEY, [...existing, entry]);
+    } else {
+      localStorage.setItem(`${source}-recovery-${Date.now()}`, typeof data === 'string' ? data : JSON.stringify(data));
+    }
+    return true;
+  } catch (error) {
+    console.error('Could not back up unreadable data:', error);
+    return false;
+  }
+}
+
+/**
+ * Reads a legacy localStorage entry, setting it aside when it doesn't parse
+ * @param {IDBDatabase|null} db - Database used for the backup
+ * @param {string} key - localStorage key
+ * @returns {Promise<*>} - Parsed value or undefined
+ */
+async function readLegacy(db, key) {
+  const raw = localStorage.getItem(key);
+  const { value, corrupt } = safeParse(raw);
+  if (corrupt && await setAside(db, key, raw)) localStorage.removeItem(key);
+  return value;
+}
+
+/**
+ * Reads the applications older versions kept in localStorage
+ * @param {IDBDatabase|null} db - Database used for the backup
+ * @returns {Promise<Array>} - Un-migrated records (empty when missing or unreadable)
+ */
+async function readLegacyJobs(db) {
+  const legacy = await readLegacy(db, STORAGE_KEYS.JOBS);
+  if (legacy === undefined) return [];
+  if (!Array.isArray(legacy)) {
+    await setAside(db, STORAGE_KEYS.JOBS, legacy);
+    return [];
+  }
+  return legacy;
+}
+
+/**
+ * Splits records into usable applications and ones that are set aside
+ * @param {IDBDatabase|null} db - Database used for the backup
+ * @param {string} source - Where the records came from
+ * @param {Array} jobs - Records
+ * @returns {Promise<Array>} - Usable applications
+ */
+async function keepValidJobs(db, source, jobs) {
+  const invalid = jobs.filter((job) => !isValidJob(job));
+  if (invalid.length > 0) await setAside(db, source, invalid);
+  // A missing role can be filled in later from the card
+  return jobs
+    .filter(isValidJob)
+    .map((job) => (typeof job.role === 'string' ? job : { ...job, role: String(job.role ?? '') }));
+}
+
+/**
+ * Loads all job applications, migrating older data on the way
+ * @returns {Promise<Array>} - Applications in the current shape, newest first
+ */
+export async function loadJobs() {
+  const db = await openDatabase();
+
+  // Without IndexedDB the legacy localStorage entry stays the store; migrations are idempotent
+  if (!db) {
+    const legacy = await readLegacyJobs(null);
+    return keepValidJobs(null, STORAGE_KEYS.JOBS, migrateJobs(legacy, 0));
+  }
+
+  const meta = (await readKey(db, META_KEY)) || {};
+
+  // First run on IndexedDB: bring over what localStorage had
+  if (meta.jobsVersion === undefined) {
+    const legacy = await readLegacyJobs(db);
+    const jobs = await keepValidJobs(db, STORAGE_KEYS.JOBS, migrateJobs(legacy, 0));
+    await saveJobs(jobs);
+    localStorage.removeItem(STORAGE_KEYS.JOBS);
+    return jobs;
+  }
+
+  const records = await promisify(db.transaction(STORES.JOBS, 'readonly').objectStore(STORES.JOBS).getAll());
+  const stored = records
+    .sort((a, b) => (a.sortIndex ?? 0) - (b.sortIndex ?? 0))
+    .map((record) => {
+      const job = { ...record };
+      delete job.sortIndex;
+      return job;
+    });
+
+  if (meta.jobsVersion >= JOBS_DATA_VERSION) {
+    return keepValidJobs(db, STORES.JOBS, stored);
+  }
+
+  const jobs = await keepValidJobs(db, STORES.JOBS, migrateJobs(stored, meta.jobsVersion));
+  await saveJobs(jobs);
+  return jobs;
+}
+
+/**
+ * Replaces the stored applications
+ * @param {Array} jobs - Applications, newest first
+ * @returns {Promise<void>}
+ */
+export async function saveJobs(jobs) {
+  const db = await openDatabase();
+  if (!db) {
+    localStorage.setItem(STORAGE_KEYS.JOBS, JSON.stringify(jobs));
+    return;
+  }
+
+  const tx = db.transaction([STORES.JOBS, STORES.KV], 'readwrite');
+  const store = tx.objectStore(STORES.JOBS);
+  store.clear();
+  // Object stores are ordered by key, so keep the display order explicitly
+  jobs.forEach((job, index) => store.put({ ...job, sortIndex: index }));
+  tx.objectStore(STORES.KV).put({ jobsVersion: JOBS_DATA_VERSION }, META_KEY);
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Loads a value from the key-value store, bringing over a legacy localStorage
+ * entry with the same key the first time
+ * @param {string} key - One of STORAGE_KEYS
+ * @returns {Promise<*>} - Stored value, or undefined when nothing was saved
+ */
+export async function loadValue(key) {
+  const db = await openDatabase();
+  if (!db) return readLegacy(null, key);
+
+  const stored = await readKey(db, key);
+  if (stored !== undefined) return stored;
+
+  const legacy = await readLegacy(db, key);
+  if (legacy !== undefined) {
+    await writeKey(db, key, legacy);
+    localStorage.removeItem(key);
+  }
+  return legacy;
+}
+
+/**
+ * Saves a value to the key-value store
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {*} value - Value (structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export async function saveValue(key, value) {
+  const db = await openDatabase();
+  if (!db) {
+    localStorage.setItem(key, JSON.stringify(value));
+    return;
+  }
+  await writeKey(db, key, value);
+}
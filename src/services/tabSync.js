@@ -0,0 +1,74 @@
+/**
+ * Tab Sync
+ * Keeps tracker state consistent between open tabs. Each tab broadcasts the
+ * records it changed; receivers keep whichever version was updated last.
+ */
+
+/** BroadcastChannel name shared by every Astra tab */
+export const TAB_SYNC_CHANNEL = 'astra-sync';
+
+/**
+ * Compares update timestamps, treating records without one as oldest
+ * @param {string} [a] - ISO timestamp
+ * @param {string} [b] - ISO timestamp
+ * @returns {boolean} - Whether a is strictly newer than b
+ */
+function isNewer(a, b) {
+  return (a || '') > (b || '');
+}
+
+/**
+ * Finds the records that changed since the last broadcast.
+ * Unchanged records keep their identity, so they are compared by reference.
+ * @param {Map<string, Object>} known - Records by ID as of the last broadcast or merge
+ * @param {Array} applications - Current applications
+ * @returns {{ upserts: Array, deletions: Array<{ id: string, deletedAt: string }> }} - Changes
+ */
+export function diffApplications(known, applications) {
+  const upserts = applications.filter((job) => known.get(job.id) !== job);
+  const currentIds = new Set(applications.map((job) => job.id));
+  const deletedAt = new Date().toISOString();
+  const deletions = [...known.keys()]
+    .filter((id) => !currentIds.has(id))
+    .map((id) => ({ id, deletedAt }));
+
+  return { upserts, deletions };
+}
+
+/**
+ * Merges changes broadcast by another tab, keeping the most recently updated
+ * version of each record
+ * @param {Array} applications - This tab's applications
+ * @param {Object} changes - Output of diffApplications from the other tab
+ * @param {Map<string, string>} tombstones - Deletion times by ID seen in this tab (updated in place)
+ * @returns {Array} - Merged applications (the same array when nothing changed)
+ */
+export function mergeRemoteChanges(applications, { upserts = [], deletions = [] }, tombstones) {
+  let merged = applications;
+  let changed = false;
+
+  for (const { id, deletedAt } of deletions) {
+    if (isNewer(deletedAt, tombstones.get(id))) tombstones.set(id, deletedAt);
+    const local = merged.find((job) => job.id === id);
+    // An edit made here after the other tab deleted the record wins
+    if (local && !isNewer(local.updatedAt, deletedAt)) {
+      merged = merged.filter((job) => job.id !== id);
+      changed = true;
+    }
+  }
+
+  for (const remote of upserts) {
+    if (tombstones.has(remote.id) && !isNewer(remote.updatedAt, tombstones.get(remote.id))) continue;
+
+    const index = merged.findIndex((job) => job.id === remote.id);
+    if (index === -1) {
+      merged = [remote, ...merged];
+      changed = true;
+    } else if (isNewer(remote.updatedAt, merged[index].updatedAt)) {
+      merged = merged.map((job, i) => (i === index ? remote : job));
+      changed = true;
+    }
+  }
+
+  return changed ? merged : applications;
+}
@@ -0,0 +1,417 @@
+/**
+ * Tool Registry
+ * Every assistant tool in one place: its Gemini declaration, the rule the
+ * system instruction gives for it, its permission level, the channels that
+ * may call it and the handler that runs it. Declarations, dispatch and the
+ * system instruction are all derived from this list.
+ */
+
+import { Type, Behavior } from '@google/genai';
+import { ToolPermission, ToolChannel, ToolApproval } from '@/constants';
+import { withAppliedAt } from './dateUtils';
+import { findApplications, formatApplicationCandidates } from './jobLookup';
+import { toInterviewRound, getUpcomingInterviews, formatUpcomingInterviews } from './interviews';
+import { compareOffers, formatOfferComparison } from './offers';
+import { computePipelineStats, formatPipelineStats } from './pipelineAnalytics';
+import { formatFollowUps } from './followUps';
+
+const { VOICE, TEXT, GMAIL } = ToolChannel;
+
+const STATUS_ENUM = ['Applied', 'Interviewing', 'Rejected', 'Offer', 'Ghosted'];
+
+const APPLICATION_ID = { type: Type.STRING, description: 'ID of the application (from find_job_applications)' };
+
+const SOURCE_EMAIL_ID = { type: Type.STRING, description: 'ID of the email this change was derived from (Gmail sync only)' };
+
+const NO_PARAMETERS = { type: Type.OBJECT, properties: {} };
+
+/**
+ * Names an application for a confirmation prompt
+ * @param {string} id - Application ID
+ * @param {Array} applications - Job applications
+ * @returns {string} - e.g. "the Software Engineer application at Stripe"
+ */
+function describeApplication(id, applications) {
+  const job = applications.find((j) => j.id === id);
+  return job ? `the ${job.role} application at ${job.company}` : 'an application that is no longer tracked';
+}
+
+/**
+ * Assistant tools, in the order the system instruction lists them.
+ * Handlers are called with (args, context); see runTool for the context.
+ * Long-running tools run in the background during voice sessions, and
+ * describe(args, applications) words a call for a confirmation prompt.
+ */
+export const TOOL_REGISTRY = [
+  {
+    name: 'list_job_applications',
+    description: 'Provides a summary of all job applications currently in the user tracker.',
+    parameters: NO_PARAMETERS,
+    instruction: `ALWAYS use 'list_job_applications' if the user asks "how many", "what jobs", "status of my search", or any question regarding their existing tracker data.`,
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions }) => actions.listJobs()
+  },
+  {
+    name: 'save_job_application',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Saves a new job application, or edits an existing one when an id is given.',
+      properties: {
+        id: { type: Type.STRING, description: 'ID of an existing application to edit (from find_job_applications). Omit to add a new application.' },
+        company: { type: Type.STRING, description: 'Name of the company' },
+        role: { type: Type.STRING, description: 'Job title or role' },
+        source: { type: Type.STRING, description: 'Source (e.g., LinkedIn, Referral, Gmail)' },
+        dateApplied: { type: Type.STRING, description: "Date applied (YYYY-MM-DD) in the user's timezone. Defaults to now." },
+        timeApplied: { type: Type.STRING, description: "Time applied (HH:MM, 24-hour) in the user's timezone. Omit when unknown." },
+        status: { type: Type.STRING, description: 'Status', enum: STATUS_ENUM },
+        salaryMin: { type: Type.NUMBER, description: 'Bottom of the annual salary range, as a plain number (e.g. 120000)' },
+        salaryMax: { type: Type.NUMBER, description: 'Top of the annual salary range, as a plain number' },
+        currency: { type: Type.STRING, description: 'ISO 4217 currency code of the salary (e.g. USD, EUR, GBP)' },
+        location: { type: Type.STRING, description: 'City, region or country of the job' },
+        workMode: {
+          type: Type.STRING,
+          description: 'Work arrangement',
+          enum: ['On-site', 'Hybrid', 'Remote']
+        },
+        jobUrl: { type: Type.STRING, description: 'URL of the job posting' },
+        contacts: {
+          type: Type.ARRAY,
+          description: 'Recruiters or other people involved in this application',
+          items: {
+            type: Type.OBJECT,
+            properties: {
+              name: { type: Type.STRING, description: 'Full name' },
+              title: { type: Type.STRING, description: 'Title or role, e.g. Recruiter, Hiring Manager' },
+              email: { type: Type.STRING, description: 'Email address' }
+            }
+          }
+        },
+        notes: { type: Type.STRING, description: 'Free-form notes about the application' },
+        sourceEmailId: SOURCE_EMAIL_ID
+      },
+      required: ['company', 'role', 'source', 'status']
+    },
+    instruction: "Use 'save_job_application' when a user mentions applying to a new role OR when processing emails for new apps. Record salary range and currency, location, remote policy, posting URL, recruiter contacts and notes whenever the user or the email mentions them.",
+    permission: ToolPermission.WRITE,
+    channels: [VOICE, TEXT, GMAIL],
+    describe: (args, applications) => (args.id
+      ? `Edit ${describeApplication(args.id, applications)}`
+      : `Add a ${args.role} application at ${args.company}`),
+    handler: (args, { actions, settings, origin, linkedEmail }) =>
+      actions.saveJobApplication(withAppliedAt(args, settings.timezone), origin, linkedEmail)
+  },
+  {
+    name: 'find_job_applications',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Looks up the applications matching a description and returns their IDs. Call this before acting on an existing application.',
+      properties: {
+        company: { type: Type.STRING, description: 'Company name' },
+        role: { type: Type.STRING, description: 'Role or job title' },
+        status: { type: Type.STRING, description: 'Current status', enum: STATUS_ENUM },
+        dateFrom: { type: Type.STRING, description: "Earliest application date (YYYY-MM-DD) in the user's timezone, inclusive" },
+        dateTo: { type: Type.STRING, description: "Latest application date (YYYY-MM-DD) in the user's timezone, inclusive" }
+      }
+    },
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions, settings }) =>
+      formatApplicationCandidates(findApplications(actions.applicationsRef.current, args, settings.timezone), args, settings.timezone)
+  },
+  {
+    name: 'update_job_status',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Updates the status of a specific job application.',
+      properties: {
+        id: APPLICATION_ID,
+        status: { type: Type.STRING, description: 'The new status', enum: STATUS_ENUM },
+        sourceEmailId: SOURCE_EMAIL_ID
+      },
+      required: ['id', 'status']
+    },
+    instruction: "Use 'update_job_status' when a user shares an update OR when emails indicate an interview invitation (without a set time), rejection or offer.",
+    permission: ToolPermission.WRITE,
+    channels: [VOICE, TEXT, GMAIL],
+    describe: (args, applications) => `Move ${describeApplication(args.id, applications)} to ${args.status}`,
+    handler: (args, { actions, origin, linkedEmail }) => actions.updateJobStatus(args.id, args.status, origin, linkedEmail)
+  },
+  {
+    name: 'get_status_history',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Returns the timeline of status changes (with dates and origin) for an application.',
+      properties: { id: APPLICATION_ID },
+      required: ['id']
+    },
+    instruction: `Use 'get_status_history' when the user asks when an application changed status (e.g. "when did Stripe move to interviewing?").`,
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions }) => actions.getStatusHistory(args.id)
+  },
+  {
+    name: 'get_application_emails',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Returns the emails (sender, date, subject and body) that Gmail sync linked to an application.',
+      properties: { id: APPLICATION_ID },
+      required: ['id']
+    },
+    instruction: `Use 'get_application_emails' when the user asks what a company or recruiter said (e.g. "what did the Google recruiter say?") and answer from that correspondence only.`,
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions }) => actions.getApplicationEmails(args.id)
+  },
+  {
+    name: 'get_pipeline_stats',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Computes job search analytics: funnel conversion rates, response rate by source, median days to first response, weekly application volume and ghosting rate.',
+      properties: {
+        from: { type: Type.STRING, description: 'Optional start date (YYYY-MM-DD), inclusive' },
+        to: { type: Type.STRING, description: 'Optional end date (YYYY-MM-DD), inclusive' }
+      }
+    },
+    instruction: "Use 'get_pipeline_stats' when the user asks how their search is going overall (conversion, response rates, ghosting, volume) and narrate the numbers conversationally.",
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions }) => {
+      const range = { from: args.from, to: args.to };
+      return formatPipelineStats(computePipelineStats(actions.applicationsRef.current, range), range);
+    }
+  },
+  {
+    name: 'list_due_followups',
+    description: 'Lists follow-up reminders that are due: applications to follow up on, likely ghosted applications, and thank-you notes to send after interviews.',
+    parameters: NO_PARAMETERS,
+    instruction: "Use 'list_due_followups' when the user asks what they should follow up on or what needs attention.",
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions }) => formatFollowUps(actions.getDueFollowUps())
+  },
+  {
+    name: 'delete_job_application',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Removes a job application from the tracker.',
+      properties: {
+        id: { type: Type.STRING, description: 'ID of the application to remove (from find_job_applications)' }
+      },
+      required: ['id']
+    },
+    instruction: "Use 'delete_job_application' only if specifically asked to remove an entry.",
+    permission: ToolPermission.DESTRUCTIVE,
+    channels: [VOICE, TEXT],
+    describe: (args, applications) => `Delete ${describeApplication(args.id, applications)}`,
+    handler: (args, { actions }) => actions.deleteJobApplication(args.id)
+  },
+  {
+    name: 'sync_gmail_emails',
+    description: 'Syncs Gmail now: checks new job emails, applies the changes they imply to the tracker and returns what changed (new and updated applications, status changes, scheduled interviews and skipped emails).',
+    parameters: NO_PARAMETERS,
+    instruction: `Use 'sync_gmail_emails' when the user asks to "sync", "check emails", "refresh inbox", or "update from gmail". Then tell them what changed, naming companies and roles, and mention that they can undo it. If it returns an error, explain it instead.`,
+    permission: ToolPermission.BULK,
+    channels: [VOICE, TEXT],
+    longRunning: true,
+    describe: () => 'Sync Gmail and apply every change it finds',
+    handler: (args, { syncGmail, signal }) => syncGmail({ signal })
+  },
+  {
+    name: 'undo_last_action',
+    description: 'Reverts the most recent change to the tracker (an add, edit, status change or delete), whether the user or the assistant made it.',
+    parameters: NO_PARAMETERS,
+    instruction: `Use 'undo_last_action' when the user says "undo that", "take that back" or otherwise wants the last tracker change reverted, then tell them what was undone.`,
+    permission: ToolPermission.WRITE,
+    channels: [VOICE, TEXT],
+    describe: () => 'Undo the last tracker change',
+    handler: (args, { actions }) => {
+      const label = actions.undo();
+      return label ? `Undid: ${label}.` : 'There is nothing to undo.';
+    }
+  },
+  {
+    name: 'schedule_interview',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Adds an interview round to an application (or reschedules the round with the same type and time). Moves Applied applications to Interviewing.',
+      properties: {
+        id: APPLICATION_ID,
+        type: {
+          type: Type.STRING,
+          description: 'Kind of round',
+          enum: ['Phone Screen', 'Technical', 'Behavioral', 'Take-home', 'Onsite', 'Final', 'Other']
+        },
+        date: { type: Type.STRING, description: "Date of the round (YYYY-MM-DD) in the user's timezone" },
+        time: { type: Type.STRING, description: "Start time (HH:MM, 24-hour) in the user's timezone" },
+        durationMinutes: { type: Type.NUMBER, description: 'Length in minutes (defaults to 60)' },
+        interviewer: { type: Type.STRING, description: 'Name (and title) of the interviewer(s)' },
+        location: { type: Type.STRING, description: 'Address, or video call link' },
+        prepNotes: { type: Type.STRING, description: 'What to prepare: topics, format, materials' },
+        outcome: {
+          type: Type.STRING,
+          description: 'Result of the round, when already known',
+          enum: ['Pending', 'Passed', 'Failed', 'Cancelled']
+        },
+        sourceEmailId: SOURCE_EMAIL_ID
+      },
+      required: ['id', 'type', 'date', 'time']
+    },
+    instruction: "Use 'schedule_interview' when the user or an email gives an interview date and time (ask for the time if only the day is known).",
+    permission: ToolPermission.WRITE,
+    channels: [VOICE, TEXT, GMAIL],
+    describe: (args, applications) => `Schedule a ${args.type} interview for ${describeApplication(args.id, applications)} on ${args.date} at ${args.time}`,
+    handler: ({ id, ...round }, { actions, settings, origin, linkedEmail }) =>
+      actions.scheduleInterview(id, toInterviewRound(round, settings.timezone), origin, linkedEmail)
+  },
+  {
+    name: 'list_upcoming_interviews',
+    description: 'Lists interview rounds scheduled in the next two weeks with time, interviewer, location and prep notes.',
+    parameters: NO_PARAMETERS,
+    instruction: "Use 'list_upcoming_interviews' when the user asks what interviews are coming up.",
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions, settings }) =>
+      formatUpcomingInterviews(getUpcomingInterviews(actions.applicationsRef.current), settings.timezone)
+  },
+  {
+    name: 'record_offer',
+    parameters: {
+      type: Type.OBJECT,
+      description: 'Records or updates the details of an offer on an application (only the fields given change). Moves the application to Offer.',
+      properties: {
+        id: APPLICATION_ID,
+        baseSalary: { type: Type.NUMBER, description: 'Annual base salary, as a plain number' },
+        bonus: { type: Type.NUMBER, description: 'Annual target bonus amount, as a plain number' },
+        equity: { type: Type.NUMBER, description: 'Total value of the equity grant over the vesting period, as a plain number' },
+        vestingYears: { type: Type.NUMBER, description: 'Years the equity grant vests over (defaults to 4)' },
+        signOnBonus: { type: Type.NUMBER, description: 'One-time sign-on bonus, as a plain number' },
+        currency: { type: Type.STRING, description: 'ISO 4217 currency code of the amounts (e.g. USD, EUR)' },
+        benefits: { type: Type.STRING, description: 'Notable benefits: health, retirement match, PTO, remote stipend, etc.' },
+        startDate: { type: Type.STRING, description: 'Proposed start date (YYYY-MM-DD)' },
+        deadline: { type: Type.STRING, description: 'Date the offer must be accepted by (YYYY-MM-DD)' },
+        ratings: {
+          type: Type.OBJECT,
+          description: "The user's own 1-5 ratings of the offer. Only set ratings the user gives.",
+          properties: {
+            benefits: { type: Type.NUMBER, description: 'Benefits (1-5)' },
+            growth: { type: Type.NUMBER, description: 'Growth and learning (1-5)' },
+            workLifeBalance: { type: Type.NUMBER, description: 'Work-life balance (1-5)' },
+            roleFit: { type: Type.NUMBER, description: 'Fit with their target role (1-5)' }
+          }
+        }
+      },
+      required: ['id']
+    },
+    instruction: "Use 'record_offer' when the user shares offer details (base, bonus, equity, sign-on, benefits, start date, deadline) or rates an offer.",
+    permission: ToolPermission.WRITE,
+    channels: [VOICE, TEXT],
+    describe: (args, applications) => `Record offer details for ${describeApplication(args.id, applications)}`,
+    handler: ({ id, ...offer }, { actions, origin }) => actions.recordOffer(id, offer, origin)
+  },
+  {
+    name: 'compare_offers',
+    description: "Compares every application at the Offer stage: annualized total compensation, benefits, start dates, deadlines and a score weighted by the user's priorities.",
+    parameters: NO_PARAMETERS,
+    instruction: "Use 'compare_offers' when the user is deciding between offers. Discuss the trade-offs against their target role and priorities, not just the totals.",
+    permission: ToolPermission.READ,
+    channels: [VOICE, TEXT],
+    handler: (args, { actions, settings }) => {
+      const { offerWeights, targetRole, timezone } = settings;
+      return formatOfferComparison(
+        compareOffers(actions.applicationsRef.current, offerWeights, { timezone }),
+        { weights: offerWeights, targetRole, timezone }
+      );
+    }
+  }
+];
+
+/**
+ * Looks up a tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|null} - Registry entry, or null if there is no such tool
+ */
+export function getTool(name) {
+  return TOOL_REGISTRY.find((tool) => tool.name === name) || null;
+}
+
+/**
+ * Lists the tools a channel may call
+ * @param {string} channel - ToolChannel value
+ * @returns {Array} - Registry entries
+ */
+export function getChannelTools(channel) {
+  return TOOL_REGISTRY.filter((tool) => tool.channels.includes(channel));
+}
+
+/**
+ * Builds the Gemini function declarations for a channel. For voice,
+ * long-running tools are declared non-blocking so the conversation carries on
+ * while they run, and tools that change data take a "confirmed" flag for
+ * calls the user has agreed to out loud.
+ * @param {string} channel - ToolChannel value
+ * @returns {Array} - Function declarations
+ */
+export function getToolDeclarations(channel) {
+  return getChannelTools(channel).map(({ name, description, parameters, longRunning, permission }) => ({
+    name,
+    ...(description && { description }),
+    parameters: channel === VOICE && permission !== ToolPermission.READ
+      ? {
+        ...parameters,
+        properties: {
+          ...parameters.properties,
+          confirmed: { type: Type.BOOLEAN, description: 'Only when calling again after asking: true if the user agreed, false if they declined' }
+        }
+      }
+      : parameters,
+    ...(longRunning && channel === VOICE && { behavior: Behavior.NON_BLOCKING })
+  }));
+}
+
+/**
+ * Decides whether a tool runs straight away or waits for the user. Read-only
+ * tools never ask; destructive and bulk tools ask unless the user turned it off.
+ * @param {Object} tool - Registry entry
+ * @param {Object} [approvals] - Approval mode per tool name (settings.toolApprovals)
+ * @returns {string} - ToolApproval value
+ */
+export function getToolApproval(tool, approvals = {}) {
+  if (tool.permission === ToolPermission.READ) return ToolApproval.AUTO;
+  const byDefault = tool.permission === ToolPermission.DESTRUCTIVE || tool.permission === ToolPermission.BULK
+    ? ToolApproval.CONFIRM
+    : ToolApproval.AUTO;
+  return approvals?.[tool.name] || byDefault;
+}
+
+/**
+ * Words a tool call as a question for the user
+ * @param {Object} fc - Function call ({ name, args })
+ * @param {Array} applications - Job applications the call may refer to
+ * @returns {string} - e.g. "Delete the Software Engineer application at Stripe"
+ */
+export function describeToolCall(fc, applications) {
+  const tool = getTool(fc.name);
+  return tool?.describe ? tool.describe(fc.args || {}, applications) : fc.name.replace(/_/g, ' ');
+}
+
+/**
+ * Runs a tool call through its registry handler
+ * @param {Object} fc - Function call ({ name, args })
+ * @param {Object} context - Call context
+ * @param {string} context.channel - ToolChannel the call came from
+ * @param {Object} context.actions - Job actions (see useJobApplications), plus getDueFollowUps
+ * @param {Object} context.settings - User settings
+ * @param {string} context.origin - StatusOrigin recorded on changes
+ * @param {Object} [context.linkedEmail] - Email a Gmail change came from
+ * @param {Function} [context.syncGmail] - Runs an assistant-initiated Gmail sync
+ * @param {AbortSignal} [context.signal] - Aborts when the call is cancelled
+ * @returns {*} - The handler's result (a string, an object or a promise of either)
+ */
+export function runTool(fc, context) {
+  const tool = getTool(fc.name);
+  if (!tool || !tool.channels.includes(context.channel)) {
+    return { error: `Tool '${fc.name}' is not available here.` };
+  }
+  return tool.handler(fc.args || {}, context);
+}
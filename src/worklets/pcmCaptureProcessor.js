@@ -0,0 +1,116 @@
+/* global sampleRate */
+
+/**
+ * PCM Capture Processor
+ * Runs on the audio rendering thread, away from React: resamples microphone
+ * input from the hardware rate to the rate Gemini expects, converts it to
+ * 16-bit PCM and posts it to the main thread in fixed-size chunks.
+ *
+ * Loaded with audioWorklet.addModule, so it must stay self-contained (no imports).
+ *
+ * Messages to the main thread: { type: 'chunk', pcm: ArrayBuffer, dropped: number }
+ * Messages from the main thread:
+ *   { type: 'ack', pcm?: ArrayBuffer } - a chunk was sent; its buffer may be handed back for reuse
+ *   { type: 'stop' }                   - end processing
+ */
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {Object} options - AudioWorkletNode options
+   * @param {Object} options.processorOptions - { targetSampleRate, chunkSize, maxPendingChunks }
+   */
+  constructor(options) {
+    super();
+    const { targetSampleRate, chunkSize, maxPendingChunks } = options.processorOptions;
+
+    // Input samples per output sample
+    this.step = sampleRate / targetSampleRate;
+    // One-pole low-pass below the lower Nyquist frequency, so downsampling doesn't alias
+    const cutoff = 0.45 * Math.min(sampleRate, targetSampleRate);
+    this.alpha = 1 - Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+    this.filtered = 0;
+    this.filteredBlock = new Float32Array(128);
+    // Last filtered sample of the previous block, read at position -1
+    this.previous = 0;
+    // Read position of the next output sample, relative to the current block
+    this.position = 0;
+
+    this.chunkSize = chunkSize;
+    this.chunk = new Int16Array(chunkSize);
+    this.filled = 0;
+
+    // Chunks posted but not yet acknowledged; past the limit new chunks are
+    // dropped so a busy main thread costs a gap rather than growing latency
+    this.maxPendingChunks = maxPendingChunks;
+    this.pending = 0;
+    this.dropped = 0;
+    this.spareBuffers = [];
+    this.stopped = false;
+
+    this.port.onmessage = (event) => {
+      const { type, pcm } = event.data || {};
+      if (type === 'ack') {
+        this.pending = Math.max(0, this.pending - 1);
+        if (pcm?.byteLength === chunkSize * 2) this.spareBuffers.push(pcm);
+      } else if (type === 'stop') {
+        this.stopped = true;
+      }
+    };
+  }
+
+  /**
+   * Posts the filled chunk, or drops it when too many are waiting
+   */
+  flushChunk() {
+    if (this.pending >= this.maxPendingChunks) {
+      this.dropped++;
+    } else {
+      const pcm = this.chunk.buffer;
+      this.port.postMessage({ type: 'chunk', pcm, dropped: this.dropped }, [pcm]);
+      this.pending++;
+      this.dropped = 0;
+      // The buffer now belongs to the main thread
+      const spare = this.spareBuffers.pop();
+      this.chunk = spare ? new Int16Array(spare) : new Int16Array(this.chunkSize);
+    }
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+
+    // First channel of the first input; empty while the source is disconnected
+    const input = inputs[0]?.[0];
+    if (!input || input.length === 0) return true;
+
+    if (this.filteredBlock.length !== input.length) {
+      this.filteredBlock = new Float32Array(input.length);
+    }
+    const block = this.filteredBlock;
+    for (let i = 0; i < input.length; i++) {
+      this.filtered += this.alpha * (input[i] - this.filtered);
+      block[i] = this.filtered;
+    }
+
+    // Linear interpolation between neighbouring input samples
+    const last = block.length - 1;
+    while (this.position < last) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const from = index < 0 ? this.previous : block[index];
+      const value = from + (block[index + 1] - from) * fraction;
+
+      const sample = Math.max(-1, Math.min(1, value));
+      this.chunk[this.filled++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      if (this.filled === this.chunkSize) this.flushChunk();
+
+      this.position += this.step;
+    }
+    this.position -= block.length;
+    this.previous = block[last];
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);